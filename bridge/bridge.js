@@ -1,70 +1,719 @@
 // bridge.js — Local Bridge to auto-apply discount via keystrokes
 // Listens on http://127.0.0.1:1969/apply-discount and simulates a hotkey/PLU in the POS.
+// Each offer (or discount kind) can have its own keys — see "offers" / "kinds" in config.json.
+// "mode": "redeem" makes the bridge redeem the coupon token with the server (its own store
+// device token) first and press keys only when that succeeds; see redeemAndApply below.
 //
 // Requirements: Node 18+. One-time: `npm install` in this folder, then `node bridge.js`.
-// Security: Listens only on 127.0.0.1 (this computer). No external access.
+// Security: Listens only on 127.0.0.1 (this computer). Because any web page open in the
+// register browser can reach 127.0.0.1, every apply request must also carry the shared
+// secret (or an HMAC signature with timestamp + nonce), come from an allowed Origin and
+// stay under the rate limit. Every attempt is written to logs/bridge.log (rotated).
+//
+// Setup / training: "simulate": true (or BRIDGE_SIMULATE=1, or `node bridge.js --simulate`)
+// records the keys it would press instead of pressing them. Open http://127.0.0.1:1969/
+// for the status page: config problems, what each offer presses, recent requests, and a
+// test button that runs a mapping after a countdown so you can click into the POS window.
 
 const express = require('express');
 const bodyParser = require('body-parser');
-const robot = require('robotjs');
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
 
 const app = express();
-app.use(bodyParser.json());
+// Keep the raw body: HMAC signatures are over the exact bytes sent.
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 
 const PORT = 1969;
 const CFG_PATH = './config.json';
-let cfg = JSON.parse(fs.readFileSync(CFG_PATH, 'utf8'));
+const LOG_PATH = './logs/bridge.log';
+const LOG_MAX_BYTES = 1024 * 1024;
+const LOG_KEEP = 5; // bridge.log.1 … bridge.log.5
+const HISTORY_MAX = 50; // recent apply requests kept in memory for the status page
+const LOCAL_ORIGINS = [`http://127.0.0.1:${PORT}`, `http://localhost:${PORT}`];
+
+// robotjs is loaded on first real key press, so simulate mode runs without the native module.
+let robot = null;
+function keyboard() {
+  if (!robot) robot = require('robotjs');
+  return robot;
+}
+
+// config.json allows // and /* */ comments (managers annotate it); strip them outside strings.
+function stripComments(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+      out += text.slice(i, j + 1);
+      i = j;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      out += text.slice(i, stop).replace(/[^\n]/g, ' '); // keep line/column numbers for errors
+      i = stop - 1;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// ---- Config validation: every problem is reported as "where: what is wrong" ----
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`config.json has ${problems.length} problem(s):\n  - ${problems.join('\n  - ')}`);
+    this.problems = problems;
+  }
+}
+
+// robotjs key names. Single letters/digits are valid as-is.
+const KEY_NAMES = new Set([
+  'backspace', 'delete', 'enter', 'tab', 'escape', 'up', 'down', 'right', 'left', 'home', 'end',
+  'pageup', 'pagedown', 'command', 'alt', 'control', 'shift', 'right_shift', 'space', 'insert',
+  'printscreen', 'menu', 'numpad_lock', 'numpad_+', 'numpad_-', 'numpad_*', 'numpad_/', 'numpad_.',
+  ...Array.from({ length: 24 }, (_, i) => `f${i + 1}`),
+  ...Array.from({ length: 10 }, (_, i) => `numpad_${i}`)
+]);
+const KEY_ALIASES = { ctrl: 'control', cmd: 'command', option: 'alt', esc: 'escape', return: 'enter', del: 'delete', pgup: 'pageup', pgdn: 'pagedown' };
+
+function keysProblems(where, keys) {
+  if (!Array.isArray(keys) || !keys.length) return [`${where}: expected a list of keys like ["f7"] or ["control","alt","d"]`];
+  return keys.flatMap(k => {
+    if (typeof k !== 'string') return [`${where}: key ${JSON.stringify(k)} is not a string`];
+    if (k.length === 1 || KEY_NAMES.has(k)) return [];
+    const hint = KEY_ALIASES[k.toLowerCase()] || (KEY_NAMES.has(k.toLowerCase()) ? k.toLowerCase() : null);
+    return [`${where}: unknown key "${k}"${hint ? ` (did you mean "${hint}"?)` : ''}`];
+  });
+}
+
+function mappingProblems(where, m, { needsAction = true } = {}) {
+  if (!m || typeof m !== 'object' || Array.isArray(m)) return [`${where}: expected an object like { "hotkey": ["f7"] }`];
+  if (m.steps !== undefined) {
+    if (!Array.isArray(m.steps) || !m.steps.length) return [`${where}.steps: expected a non-empty list of steps`];
+    return m.steps.flatMap((step, i) => {
+      const at = `${where}.steps[${i}]`;
+      if (step && Array.isArray(step.keys)) return keysProblems(`${at}.keys`, step.keys);
+      if (step && (typeof step.type === 'string' || typeof step.type === 'number')) return [];
+      if (step && Number(step.wait) > 0) return [];
+      return [`${at}: expected { "keys": [...] }, { "type": "..." } or { "wait": ms }, got ${JSON.stringify(step)}`];
+    });
+  }
+  const out = [];
+  const hotkey = m.hotkey !== undefined && !(Array.isArray(m.hotkey) && !m.hotkey.length);
+  if (hotkey) out.push(...keysProblems(`${where}.hotkey`, m.hotkey));
+  for (const f of ['plu', 'text']) {
+    if (m[f] !== undefined && typeof m[f] !== 'string') out.push(`${where}.${f}: expected text in quotes, e.g. "4411"`);
+  }
+  if (m.delayMs !== undefined && !(Number(m.delayMs) >= 0)) out.push(`${where}.delayMs: expected a number of milliseconds`);
+  if (m.pressEnter !== undefined && typeof m.pressEnter !== 'boolean') out.push(`${where}.pressEnter: expected true or false`);
+  const text = (typeof m.plu === 'string' && m.plu.trim()) || (typeof m.text === 'string' && m.text);
+  if (needsAction && !hotkey && !text) out.push(`${where}: nothing to press — give it "hotkey", "plu"/"text" or "steps"`);
+  return out;
+}
+
+function configProblems(c) {
+  if (!c || typeof c !== 'object' || Array.isArray(c)) return ['config.json must be one { ... } object'];
+  const out = [];
+  if (c.auth !== undefined && !['hmac', 'secret'].includes(c.auth)) out.push(`"auth": expected "hmac" or "secret", got ${JSON.stringify(c.auth)}`);
+  if (c.mode !== undefined && !['apply', 'redeem'].includes(c.mode)) out.push(`"mode": expected "apply" or "redeem", got ${JSON.stringify(c.mode)}`);
+  if (c.mode === 'redeem') {
+    const server = c.server || {};
+    if (!server.url) out.push('"server.url": required in redeem mode');
+    if (!server.deviceToken) out.push('"server.deviceToken": required in redeem mode (issued by your account manager)');
+  }
+  if (c.simulate !== undefined && typeof c.simulate !== 'boolean') out.push('"simulate": expected true or false');
+  if (c.allowedOrigins !== undefined && !(Array.isArray(c.allowedOrigins) && c.allowedOrigins.every(o => typeof o === 'string'))) {
+    out.push('"allowedOrigins": expected a list like ["https://coupons.allcitypages.com"]');
+  }
+  for (const f of ['rateLimitPerMin', 'maxSkewSec']) {
+    if (c[f] !== undefined && !(Number(c[f]) > 0)) out.push(`"${f}": expected a positive number`);
+  }
+
+  const offers = c.offers || {};
+  const kinds = c.kinds || {};
+  for (const [f, v] of [['offers', c.offers], ['kinds', c.kinds]]) {
+    if (v !== undefined && (!v || typeof v !== 'object' || Array.isArray(v))) out.push(`"${f}": expected { "name": { ... } }`);
+  }
+  out.push(...mappingProblems('default discount', defaultMapping(c), { needsAction: false }));
+  for (const [name, m] of Object.entries(kinds)) out.push(...mappingProblems(`kinds["${name}"]`, m));
+  for (const [name, m] of Object.entries(offers)) {
+    if (m === 'default') continue;
+    if (typeof m === 'string') {
+      if (!Object.prototype.hasOwnProperty.call(kinds, m)) {
+        out.push(`offers["${name}"]: "${m}" is not "default" or one of the kinds (${Object.keys(kinds).join(', ') || 'none configured'})`);
+      }
+      continue;
+    }
+    out.push(...mappingProblems(`offers["${name}"]`, m));
+  }
+  return out;
+}
+
+// JSON.parse reports a character offset; turn it into line/column plus the line itself.
+function describeJsonError(text, e) {
+  const msg = String(e.message).replace(/ in JSON at position \d+.*$/s, '');
+  const m = /position (\d+)/.exec(e.message);
+  if (!m) return `invalid JSON: ${msg}`;
+  const pos = Number(m[1]);
+  const line = text.slice(0, pos).split('\n').length;
+  const col = pos - text.lastIndexOf('\n', pos - 1);
+  const src = text.split('\n')[line - 1] || '';
+  const hint = /property name|Unexpected token [}\]]/.test(msg) ? ' (a comma after the last item, or a missing quote?)' : '';
+  return `line ${line}, column ${col}: ${msg}${hint}\n      ${src.trimEnd()}\n      ${' '.repeat(Math.max(0, col - 1))}^`;
+}
+
+// Throws ConfigError with readable problems; comments keep their lines, so numbers match the file.
+function loadConfig() {
+  let text;
+  try {
+    text = stripComments(fs.readFileSync(CFG_PATH, 'utf8'));
+  } catch (e) {
+    throw new ConfigError([`cannot read ${path.resolve(CFG_PATH)}: ${e.code || e.message}`]);
+  }
+  let c;
+  try {
+    c = JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError([describeJsonError(text, e)]);
+  }
+  const problems = configProblems(c);
+  if (problems.length) throw new ConfigError(problems);
+  return c;
+}
+
+// The last good config; null (and configError set) while config.json is broken.
+let cfg = null;
+let configError = null;
+function reloadConfig() {
+  try {
+    cfg = loadConfig();
+    configError = null;
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    if (!configError || configError.message !== e.message) console.error(`[bridge] ${e.message}`);
+    configError = e;
+  }
+  return configError ? null : cfg;
+}
+reloadConfig();
+
+const simulating = (c) => Boolean((c && c.simulate === true) || process.env.BRIDGE_SIMULATE === '1' || process.argv.includes('--simulate'));
+
+// ---- Apply log (JSON lines, rotated by size) + in-memory history for the status page ----
+const history = []; // newest first
+
+function logAttempt(req, entry) {
+  const record = {
+    at: new Date().toISOString(),
+    origin: req.get('origin') || '',
+    ip: req.ip,
+    offer: (req.body && req.body.offer) || '',
+    ...entry
+  };
+  history.unshift(record);
+  history.length = Math.min(history.length, HISTORY_MAX);
+  const line = JSON.stringify(record) + '\n';
+  try {
+    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+    if (fs.existsSync(LOG_PATH) && fs.statSync(LOG_PATH).size + line.length > LOG_MAX_BYTES) {
+      for (let i = LOG_KEEP - 1; i >= 1; i--) {
+        if (fs.existsSync(`${LOG_PATH}.${i}`)) fs.renameSync(`${LOG_PATH}.${i}`, `${LOG_PATH}.${i + 1}`);
+      }
+      fs.renameSync(LOG_PATH, `${LOG_PATH}.1`);
+    }
+    fs.appendFileSync(LOG_PATH, line);
+  } catch (e) {
+    console.error('[bridge] could not write log:', e.message);
+  }
+}
+
+// ---- Request guard: origin allowlist, rate limit, secret / HMAC ----
+//   "secret":         shared secret (or env BRIDGE_SECRET)
+//   "auth":           "hmac" (default) or "secret"
+//                     secret: header X-Bridge-Secret: <secret>
+//                     hmac:   X-Bridge-Timestamp (unix s), X-Bridge-Nonce, X-Bridge-Signature =
+//                             hex HMAC-SHA256(secret, `${timestamp}.${nonce}.${raw body}`)
+//   "allowedOrigins": browser Origins allowed to call (requests without Origin need auth all the same)
+//   "maxSkewSec":     accepted clock difference for signed requests (default 60)
+//   "rateLimitPerMin": apply requests per minute (default 20)
+const seenNonces = new Map(); // nonce -> expiry (ms)
+let rateWindow = { start: 0, count: 0 };
+
+const allowedOrigins = (c) => (Array.isArray(c.allowedOrigins) ? c.allowedOrigins : []).map(o => String(o).replace(/\/+$/, ''));
+const bridgeSecret = (c) => process.env.BRIDGE_SECRET || c.secret || '';
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Returns null when the request may go on, else { status, code, message }.
+function checkRequest(req, c) {
+  const origin = req.get('origin');
+  if (origin && !allowedOrigins(c).includes(origin)) {
+    return { status: 403, code: 'origin_not_allowed', message: `Origin ${origin} is not in allowedOrigins` };
+  }
+
+  const now = Date.now();
+  const limit = Number(c.rateLimitPerMin) || 20;
+  if (now - rateWindow.start >= 60000) rateWindow = { start: now, count: 0 };
+  if (++rateWindow.count > limit) return { status: 429, code: 'rate_limited', message: `More than ${limit} requests per minute` };
+
+  const secret = bridgeSecret(c);
+  if (!secret) return { status: 503, code: 'no_secret', message: 'Bridge secret is not configured (config.json "secret")' };
+
+  if ((c.auth || 'hmac') === 'secret') {
+    if (!safeEqual(req.get('x-bridge-secret') || '', secret)) return { status: 401, code: 'bad_secret', message: 'Missing or wrong X-Bridge-Secret' };
+    return null;
+  }
+
+  const ts = Number(req.get('x-bridge-timestamp'));
+  const nonce = String(req.get('x-bridge-nonce') || '');
+  const sig = String(req.get('x-bridge-signature') || '');
+  const skewMs = (Number(c.maxSkewSec) || 60) * 1000;
+  if (!ts || !nonce || !sig) return { status: 401, code: 'unsigned', message: 'X-Bridge-Timestamp, X-Bridge-Nonce and X-Bridge-Signature are required' };
+  if (Math.abs(now - ts * 1000) > skewMs) return { status: 401, code: 'stale', message: 'Timestamp outside the allowed window (check the clock)' };
+
+  const expected = crypto.createHmac('sha256', secret).update(`${ts}.${nonce}.${req.rawBody || ''}`).digest('hex');
+  if (!safeEqual(sig, expected)) return { status: 401, code: 'bad_signature', message: 'Signature does not match' };
+
+  for (const [n, exp] of seenNonces) if (exp < now) seenNonces.delete(n);
+  if (seenNonces.has(nonce)) return { status: 409, code: 'replayed', message: 'Nonce already used' };
+  seenNonces.set(nonce, now + 2 * skewMs);
+  return null;
+}
+
+// CORS for the allowed origins only (incl. Chrome's private-network preflight).
+app.use((req, res, next) => {
+  const origin = req.get('origin');
+  if (origin && cfg && allowedOrigins(cfg).includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Vary', 'Origin');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, X-Bridge-Secret, X-Bridge-Timestamp, X-Bridge-Nonce, X-Bridge-Signature');
+    res.set('Access-Control-Allow-Methods', 'POST');
+    res.set('Access-Control-Allow-Private-Network', 'true');
+  }
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+});
 
 // Small delay helper
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 // Press a combination like ["control","alt","d"] or a single key like ["f7"]
-async function pressCombo(keys) {
-  if (!Array.isArray(keys) || keys.length === 0) return;
+function pressCombo(keys) {
+  const kb = keyboard();
   if (keys.length === 1) {
-    robot.keyTap(keys[0]);
+    kb.keyTap(keys[0]);
     return;
   }
   // Hold all but last
-  for (let i = 0; i < keys.length - 1; i++) robot.keyToggle(keys[i], 'down');
-  robot.keyTap(keys[keys.length - 1]);
+  for (let i = 0; i < keys.length - 1; i++) kb.keyToggle(keys[i], 'down');
+  kb.keyTap(keys[keys.length - 1]);
   // Release
-  for (let i = keys.length - 2; i >= 0; i--) robot.keyToggle(keys[i], 'up');
+  for (let i = keys.length - 2; i >= 0; i--) kb.keyToggle(keys[i], 'up');
+}
+
+// The top-level applyHotkey / plu / pressEnter / delayMs are the default mapping.
+function defaultMapping(c) {
+  return {
+    hotkey: c.applyHotkey,
+    plu: c.plu,
+    pressEnter: c.pressEnter,
+    delayMs: c.delayMs,
+    ...(c.default || {})
+  };
 }
 
-async function typeString(s) { robot.typeString(s); }
+// Which keys to press for this payload:
+//   1) cfg.offers[payload.offer]   (an object, or "default" to use the default on purpose)
+//   2) cfg.kinds[payload.kind]     (discount kind, e.g. "bogo", "free_item")
+//   3) no offer in the payload, or no offers/kinds configured at all -> default
+// An offer that matches none of them is refused: pressing the default key for an offer
+// nobody mapped is how the wrong discount ends up on a ticket.
+// Returns { mapping, source } or { error }.
+function resolveMapping(c, payload) {
+  const offers = c.offers || {};
+  const kinds = c.kinds || {};
+  const offer = String(payload.offer || '').trim();
+  const kind = String(payload.kind || '').trim();
+
+  if (offer && Object.prototype.hasOwnProperty.call(offers, offer)) {
+    const m = offers[offer];
+    if (m === 'default') return { mapping: defaultMapping(c), source: `offer ${offer} -> default` };
+    if (typeof m === 'string' && Object.prototype.hasOwnProperty.call(kinds, m)) return { mapping: kinds[m], source: `offer ${offer} -> kind ${m}` };
+    if (m && typeof m === 'object') return { mapping: m, source: `offer ${offer}` };
+    return { error: `Mapping for offer "${offer}" in config.json is not usable` };
+  }
+  if (kind && Object.prototype.hasOwnProperty.call(kinds, kind)) return { mapping: kinds[kind], source: `kind ${kind}` };
+  if (!offer || (!Object.keys(offers).length && !Object.keys(kinds).length)) {
+    return { mapping: defaultMapping(c), source: 'default' };
+  }
+  return { error: `No POS mapping for offer "${offer}"${kind ? ` (kind "${kind}")` : ''} — add it to "offers" in config.json` };
+}
+
+// The key sequence for a mapping, as steps { keys } | { type } | { wait }. Either explicit steps:
+//   "steps": [ { "keys": ["f7"] }, { "wait": 150 }, { "type": "BOGO" }, { "keys": ["enter"] } ]
+// or the short form: hotkey, then (after delayMs) a PLU or text, then Enter if pressEnter.
+function planMapping(m) {
+  if (Array.isArray(m.steps)) {
+    return m.steps.map(step => {
+      if (step.keys) return { keys: step.keys };
+      if (step.type !== undefined) return { type: String(step.type) };
+      if (step.wait) return { wait: Number(step.wait) };
+      throw new Error(`Unknown step in config.json: ${JSON.stringify(step)}`);
+    });
+  }
+
+  const actions = [];
+  // Preferred: press a single hotkey that POS maps to discount (simplest)
+  if (Array.isArray(m.hotkey) && m.hotkey.length) {
+    actions.push({ keys: m.hotkey });
+    if (m.delayMs) actions.push({ wait: Number(m.delayMs) });
+  }
+
+  // Or: type a PLU/SKU (or any text) then Enter
+  const text = (typeof m.plu === 'string' && m.plu.trim()) || (typeof m.text === 'string' && m.text);
+  if (text) {
+    actions.push({ type: text.trim() });
+    if (m.pressEnter) actions.push({ keys: ['enter'] });
+  }
+  return actions;
+}
+
+const describeAction = (a) => (a.keys ? `press ${a.keys.join('+')}` : a.type !== undefined ? `type "${a.type}"` : `wait ${a.wait} ms`);
+
+// Press the keys, or in simulate mode only print them. Returns the sequence as text (for logs/history).
+async function runActions(actions, simulate) {
+  const steps = actions.map(describeAction);
+  if (simulate) {
+    console.log(`[bridge] SIMULATE — would ${steps.join(', ') || 'press nothing'}`);
+    return steps;
+  }
+  for (const a of actions) {
+    if (a.keys) pressCombo(a.keys);
+    else if (a.type !== undefined) keyboard().typeString(a.type);
+    else if (a.wait) await sleep(a.wait);
+  }
+  return steps;
+}
+
+// ---- Redeem mode: server first, keys second ----
+//   "server": { "url": "https://coupons…", "deviceToken": "acpd_…" }
+// POST /apply-discount { token, code?, scan_id?, pin?, kind? }
+//   1) /api/redeem/verify  -> offer id (nothing is redeemed yet; unmapped offers stop here)
+//   2) /api/redeem         -> only on success are keys pressed
+//   3) key press fails     -> /api/redeem/void (reverse, pos_failure) so the coupon stays usable
+// In simulate mode it stops after 1): the coupon is checked, nothing is redeemed or pressed.
+// The caller gets the server's answer (+ applied / mapping), so the cashier sees one result.
+const SERVER_TIMEOUT_MS = 8000;
+
+async function serverCall(c, route, body, pin) {
+  const server = c.server || {};
+  if (!server.url || !server.deviceToken) throw new Error('config.json "server.url" / "server.deviceToken" are not set');
+  const headers = { 'Content-Type': 'application/json', 'x-api-key': server.deviceToken };
+  if (pin) headers['x-staff-pin'] = String(pin);
+  const res = await fetch(server.url.replace(/\/+$/, '') + route, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(SERVER_TIMEOUT_MS)
+  });
+  return { status: res.status, body: await res.json().catch(() => ({ error: `HTTP ${res.status}` })) };
+}
+
+async function redeemAndApply(req, res, c, payload) {
+  const token = String(payload.token || '').trim();
+  if (!token) return res.status(400).json({ ok: false, code: 'missing_token', message: 'token is required in redeem mode' });
+  const scanId = String(payload.scan_id || crypto.randomUUID());
+  const pin = payload.pin;
+
+  let verify;
+  try {
+    verify = await serverCall(c, '/api/redeem/verify', { token, code: payload.code }, pin);
+  } catch (e) {
+    logAttempt(req, { result: 'error', code: 'server_unreachable', message: e.message });
+    return res.status(502).json({ ok: false, applied: false, code: 'server_unreachable', message: `Coupon server unreachable: ${e.message}` });
+  }
+  if (verify.status !== 200 || !verify.body.redeemable) {
+    const problem = verify.body.problem || verify.body;
+    logAttempt(req, { result: 'declined', code: problem.code || `http_${verify.status}`, message: problem.error });
+    return res.status(verify.status !== 200 ? verify.status : 409).json({ ...verify.body, ...problem, ok: false, applied: false });
+  }
+
+  const offer = verify.body.offer && verify.body.offer.id;
+  // Stores wired to a POS adapter get the discount pushed by the server; no keys to press.
+  const picked = verify.body.pos
+    ? { mapping: null, source: `pos:${verify.body.pos}` }
+    : resolveMapping(c, { offer, kind: payload.kind });
+  if (picked.error) {
+    console.error(`[bridge] REFUSED: ${picked.error}`);
+    logAttempt(req, { result: 'refused', offer, code: 'unmapped_offer', message: picked.error });
+    return res.status(422).json({ ok: false, applied: false, code: 'unmapped_offer', message: picked.error });
+  }
+
+  if (simulating(c)) {
+    const actions = picked.mapping ? await runActions(planMapping(picked.mapping), true) : [];
+    logAttempt(req, { result: 'simulated', offer, token_hash: verify.body.token_hash, mapping: picked.source, actions });
+    return res.json({ ...verify.body, ok: true, applied: false, simulated: true, redeemed: false, mapping: picked.source, actions });
+  }
+
+  // scan_id makes the retry safe: a redeem that did land comes back as a duplicate, not a conflict.
+  let redeem;
+  for (let attempt = 1; !redeem; attempt++) {
+    try {
+      redeem = await serverCall(c, '/api/redeem', { token, code: payload.code, scan_id: scanId }, pin);
+    } catch (e) {
+      if (attempt < 2) continue;
+      logAttempt(req, { result: 'error', offer, code: 'server_unreachable', message: e.message });
+      return res.status(502).json({ ok: false, applied: false, code: 'server_unreachable', message: `Coupon server unreachable: ${e.message}` });
+    }
+  }
+  if (redeem.status !== 200) {
+    logAttempt(req, { result: 'declined', offer, code: redeem.body.code, message: redeem.body.error });
+    return res.status(redeem.status).json({ ...redeem.body, ok: false, applied: false });
+  }
+
+  let actions = [];
+  try {
+    console.log(`[bridge] redeemed ${redeem.body.token_hash}, using ${picked.source}`);
+    if (picked.mapping) actions = await runActions(planMapping(picked.mapping), false);
+  } catch (e) {
+    console.error('[bridge] key press failed, reversing redemption:', e.message);
+    let undo;
+    try {
+      undo = await serverCall(c, '/api/redeem/void', { token, reason: 'pos_failure', note: `bridge: ${e.message}` }, pin);
+    } catch (err) {
+      undo = { status: 0, body: { error: err.message } };
+    }
+    logAttempt(req, { result: 'pos_failed', offer, token_hash: redeem.body.token_hash, message: e.message, reversed: undo.status === 200 });
+    return res.status(502).json({
+      ok: false,
+      applied: false,
+      code: 'pos_failed',
+      message: `Discount could not be applied (${e.message}). ` +
+        (undo.status === 200 ? 'The redemption was reversed; the coupon can be scanned again.' : 'Reversing the redemption FAILED — tell a manager.'),
+      redeem: redeem.body,
+      void: undo.body
+    });
+  }
+
+  logAttempt(req, { result: 'applied', offer, token_hash: redeem.body.token_hash, mapping: picked.source, actions });
+  res.json({ ...redeem.body, applied: true, mapping: picked.source, actions });
+}
 
 app.post('/apply-discount', async (req, res) => {
   try {
     const payload = req.body || {};
-    console.log('[bridge] apply-discount', JSON.stringify(payload));
+    console.log('[bridge] apply-discount', JSON.stringify({ ...payload, token: payload.token ? '(token)' : undefined, pin: undefined }));
 
     // Read fresh config each time so manager can tweak without restart
-    cfg = JSON.parse(fs.readFileSync(CFG_PATH, 'utf8'));
-
-    // 1) Optional: bring POS to front (if you set a global hotkey that works anywhere, you can skip this)
-    // (Most stores click the POS window once and leave it focused.)
+    if (!reloadConfig()) {
+      logAttempt(req, { result: 'config_invalid', code: 'config_invalid', message: configError.problems.join('; ') });
+      return res.status(503).json({ ok: false, code: 'config_invalid', message: 'config.json has errors — see the bridge window or http://127.0.0.1:1969/' });
+    }
 
-    // 2) Preferred: press a single hotkey that POS maps to discount (simplest)
-    if (Array.isArray(cfg.applyHotkey) && cfg.applyHotkey.length) {
-      await pressCombo(cfg.applyHotkey);
-      if (cfg.delayMs) await sleep(cfg.delayMs);
+    const denied = checkRequest(req, cfg);
+    if (denied) {
+      console.error(`[bridge] DENIED (${denied.code}): ${denied.message}`);
+      logAttempt(req, { result: 'denied', code: denied.code, message: denied.message });
+      return res.status(denied.status).json({ ok: false, code: denied.code, message: denied.message });
     }
 
-    // 3) Or: type a PLU/SKU then Enter
-    if (cfg.plu && typeof cfg.plu === 'string' && cfg.plu.trim()) {
-      await typeString(cfg.plu.trim());
-      if (cfg.pressEnter) robot.keyTap('enter');
+    if (cfg.mode === 'redeem') return await redeemAndApply(req, res, cfg, payload);
+
+    // (Most stores click the POS window once and leave it focused.)
+    const picked = resolveMapping(cfg, payload);
+    if (picked.error) {
+      console.error(`[bridge] REFUSED: ${picked.error}`);
+      logAttempt(req, { result: 'refused', code: 'unmapped_offer', message: picked.error });
+      return res.status(422).json({ ok: false, code: 'unmapped_offer', message: picked.error });
     }
 
-    res.json({ ok: true });
+    console.log(`[bridge] using ${picked.source}`);
+    const simulate = simulating(cfg);
+    const actions = await runActions(planMapping(picked.mapping), simulate);
+
+    logAttempt(req, { result: simulate ? 'simulated' : 'applied', mapping: picked.source, actions });
+    res.json({ ok: true, mapping: picked.source, simulated: simulate, actions });
   } catch (e) {
     console.error('bridge error:', e);
+    logAttempt(req, { result: 'error', message: e.message });
     res.status(500).json({ ok: false, message: e.message });
   }
 });
 
+// ---- Status page + test run (this computer only) ----
+// GET  /             status page (config problems, mappings, recent requests, test button)
+// GET  /status.json  the same data as JSON
+// POST /test         { offer?, kind?, seconds? } -> runs that mapping after a countdown (default 5 s)
+//                    so the manager can click into the POS window first. Honours simulate.
+// /test presses keys without the secret, so it only takes JSON from the status page itself
+// (a cross-site page cannot send a JSON body without a CORS preflight, which it won't get).
+function localOnly(req, res, next) {
+  const origin = req.get('origin');
+  if (origin && !LOCAL_ORIGINS.includes(origin)) return res.status(403).json({ ok: false, code: 'origin_not_allowed', message: 'Use the status page on this computer' });
+  if (req.method === 'POST' && !req.is('application/json')) return res.status(415).json({ ok: false, code: 'json_required', message: 'Send JSON' });
+  next();
+}
+
+function statusData() {
+  const c = reloadConfig();
+  const mappings = [];
+  if (c) {
+    const names = [...Object.keys(c.offers || {}).map(offer => ({ offer })), ...Object.keys(c.kinds || {}).map(kind => ({ kind })), {}];
+    for (const payload of names) {
+      const picked = resolveMapping(c, payload);
+      mappings.push({
+        name: payload.offer ? `offer ${payload.offer}` : payload.kind ? `kind ${payload.kind}` : 'default',
+        ...payload,
+        source: picked.source || null,
+        actions: picked.mapping ? planMapping(picked.mapping).map(describeAction) : [],
+        error: picked.error || null
+      });
+    }
+  }
+  return {
+    ok: !configError,
+    mode: c ? c.mode || 'apply' : null,
+    simulate: simulating(c),
+    secret_set: Boolean(c && bridgeSecret(c)),
+    allowed_origins: c ? allowedOrigins(c) : [],
+    server: c && c.mode === 'redeem' ? (c.server || {}).url || null : null,
+    problems: configError ? configError.problems : [],
+    mappings,
+    testing: testRun,
+    history: history.map(({ ip, ...h }) => h)
+  };
+}
+
+let testRun = null; // { name, runs_at } while a countdown is going
+
+app.get('/status.json', localOnly, (req, res) => res.json(statusData()));
+
+app.post('/test', localOnly, async (req, res) => {
+  const body = req.body || {};
+  const c = reloadConfig();
+  if (!c) return res.status(503).json({ ok: false, code: 'config_invalid', message: configError.message });
+  if (testRun) return res.status(409).json({ ok: false, code: 'busy', message: `A test is already counting down (${testRun.name})` });
+
+  const payload = { offer: body.offer, kind: body.kind };
+  const picked = resolveMapping(c, payload);
+  if (picked.error) return res.status(422).json({ ok: false, code: 'unmapped_offer', message: picked.error });
+  const actions = planMapping(picked.mapping);
+  const seconds = Math.min(30, Math.max(0, Math.round(Number(body.seconds ?? 5)) || 0));
+  const simulate = simulating(c);
+
+  testRun = { name: picked.source, runs_at: new Date(Date.now() + seconds * 1000).toISOString() };
+  try {
+    for (let s = seconds; s > 0; s--) {
+      console.log(`[bridge] TEST ${picked.source}: ${simulate ? 'simulating' : 'pressing keys'} in ${s}… (click into the POS window)`);
+      await sleep(1000);
+    }
+    const steps = await runActions(actions, simulate);
+    logAttempt(req, { result: simulate ? 'test_simulated' : 'test', offer: payload.offer || '', mapping: picked.source, actions: steps });
+    res.json({ ok: true, mapping: picked.source, simulated: simulate, actions: steps });
+  } catch (e) {
+    console.error('[bridge] test failed:', e.message);
+    logAttempt(req, { result: 'test_failed', offer: payload.offer || '', mapping: picked.source, message: e.message });
+    res.status(500).json({ ok: false, code: 'test_failed', message: e.message });
+  } finally {
+    testRun = null;
+  }
+});
+
+app.get('/', localOnly, (req, res) => {
+  res.type('html').send(STATUS_PAGE);
+});
+
+const STATUS_PAGE = `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>Coupon Bridge</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  body{font:14px/1.4 system-ui,sans-serif;margin:20px;color:#222;max-width:960px}
+  h1{font-size:20px;margin:0 0 4px} h2{font-size:15px;margin:20px 0 6px}
+  .pill{display:inline-block;padding:2px 8px;border-radius:10px;background:#eee;margin-right:6px}
+  .ok{background:#d8f3dc}.bad{background:#ffd6d6}.sim{background:#fff3bf}
+  table{border-collapse:collapse;width:100%} td,th{border-bottom:1px solid #ddd;padding:4px 6px;text-align:left;vertical-align:top}
+  pre{background:#fff0f0;padding:8px;white-space:pre-wrap;margin:4px 0} code{font-size:13px}
+  #count{font-size:28px;font-weight:700;margin-left:10px}
+</style></head><body>
+<h1>Coupon Bridge</h1>
+<div id="summary">Loading…</div>
+<div id="problems"></div>
+<h2>Test a mapping</h2>
+<p>Pick what to test, press <b>Run</b>, then click into the POS window before the countdown ends.</p>
+<select id="pick"></select>
+<label>Countdown <input id="secs" type="number" min="0" max="30" value="5" style="width:50px"> s</label>
+<button id="run">Run</button><span id="count"></span>
+<div id="result"></div>
+<h2>What each offer presses</h2>
+<table><thead><tr><th>Mapping</th><th>Keys</th></tr></thead><tbody id="maps"></tbody></table>
+<h2>Recent requests</h2>
+<table><thead><tr><th>Time</th><th>Result</th><th>Offer</th><th>Mapping</th><th>Keys / message</th></tr></thead><tbody id="hist"></tbody></table>
+<script>
+const esc = s => String(s == null ? '' : s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+let picked = '';
+async function refresh() {
+  const d = await (await fetch('/status.json')).json();
+  document.getElementById('summary').innerHTML =
+    '<span class="pill ' + (d.ok ? 'ok' : 'bad') + '">config ' + (d.ok ? 'OK' : 'has problems') + '</span>' +
+    (d.ok ? '<span class="pill">mode: ' + esc(d.mode) + '</span>' : '') +
+    (d.simulate ? '<span class="pill sim">SIMULATE — no keys are pressed</span>' : '<span class="pill">live keys</span>') +
+    '<span class="pill ' + (d.secret_set ? 'ok' : 'bad') + '">secret ' + (d.secret_set ? 'set' : 'missing') + '</span>' +
+    (d.server ? '<span class="pill">server: ' + esc(d.server) + '</span>' : '');
+  document.getElementById('problems').innerHTML = d.problems.length
+    ? '<h2>config.json problems</h2>' + d.problems.map(p => '<pre>' + esc(p) + '</pre>').join('') : '';
+  const sel = document.getElementById('pick');
+  picked = sel.value || picked;
+  sel.innerHTML = d.mappings.filter(m => !m.error).map(m =>
+    '<option value="' + esc(JSON.stringify({ offer: m.offer, kind: m.kind })) + '">' + esc(m.name) + '</option>').join('');
+  if (picked) sel.value = picked;
+  document.getElementById('maps').innerHTML = d.mappings.map(m => '<tr><td>' + esc(m.name) +
+    (m.source && m.source !== m.name ? '<br><small>' + esc(m.source) + '</small>' : '') + '</td><td>' +
+    (m.error ? '<b>' + esc(m.error) + '</b>' : '<code>' + esc(m.actions.join(', ')) + '</code>') + '</td></tr>').join('');
+  document.getElementById('hist').innerHTML = d.history.map(h => '<tr><td>' + esc(new Date(h.at).toLocaleTimeString()) +
+    '</td><td>' + esc(h.result) + (h.code ? '<br><small>' + esc(h.code) + '</small>' : '') + '</td><td>' + esc(h.offer) +
+    '</td><td>' + esc(h.mapping) + '</td><td>' + (h.actions ? '<code>' + esc(h.actions.join(', ')) + '</code>' : esc(h.message)) + '</td></tr>').join('') ||
+    '<tr><td colspan="5">No requests yet.</td></tr>';
+}
+document.getElementById('run').onclick = async () => {
+  const secs = Number(document.getElementById('secs').value) || 0;
+  const btn = document.getElementById('run');
+  const out = document.getElementById('result');
+  btn.disabled = true; out.textContent = '';
+  let left = secs;
+  const count = document.getElementById('count');
+  count.textContent = left ? left : '';
+  const timer = setInterval(() => { left--; count.textContent = left > 0 ? left : ''; }, 1000);
+  try {
+    const r = await fetch('/test', { method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...JSON.parse(document.getElementById('pick').value || '{}'), seconds: secs }) });
+    const d = await r.json();
+    out.innerHTML = d.ok ? (d.simulated ? 'Simulated: ' : 'Pressed: ') + '<code>' + esc(d.actions.join(', ') || 'nothing') + '</code>' : '<b>' + esc(d.message) + '</b>';
+  } catch (e) {
+    out.textContent = e.message;
+  } finally {
+    clearInterval(timer); count.textContent = ''; btn.disabled = false; refresh();
+  }
+};
+refresh();
+setInterval(refresh, 3000);
+</script></body></html>`;
+
 app.listen(PORT, '127.0.0.1', () => {
-  console.log(`Local Bridge listening on http://127.0.0.1:${PORT}`);
+  console.log(`Local Bridge listening on http://127.0.0.1:${PORT} (status page: http://127.0.0.1:${PORT}/)`);
+  if (!cfg) return console.error('[bridge] config.json has errors — fix them; the bridge refuses apply requests until then');
+  if (simulating(cfg)) console.log('[bridge] SIMULATE mode: keys are recorded, not pressed');
+  if (!bridgeSecret(cfg)) console.error('[bridge] WARNING: no "secret" in config.json — every apply request will be refused');
+  if (!allowedOrigins(cfg).length) console.error('[bridge] WARNING: "allowedOrigins" is empty — browser pages cannot call the bridge');
+  if (cfg.mode === 'redeem') console.log(`[bridge] redeem mode: coupons are checked with ${(cfg.server || {}).url || '(server.url not set!)'} first`);
 });
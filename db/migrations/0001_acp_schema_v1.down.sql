@@ -0,0 +1,29 @@
+/* ============================================================
+ ACP SQL Schema (v1) — DOWN
+ Drops everything 0001 created. acp_core itself is kept because it
+ holds acp_core.schema_migrations (the runner's bookkeeping).
+ Extensions (pgcrypto, citext) are left installed.
+============================================================ */
+
+DROP SCHEMA IF EXISTS acp_analytics CASCADE;
+DROP SCHEMA IF EXISTS acp_compliance CASCADE;
+DROP SCHEMA IF EXISTS acp_ci CASCADE;
+DROP SCHEMA IF EXISTS acp_rei CASCADE;
+DROP SCHEMA IF EXISTS acp_ads CASCADE;
+DROP SCHEMA IF EXISTS acp_deals CASCADE;
+DROP SCHEMA IF EXISTS acp_dir CASCADE;
+DROP SCHEMA IF EXISTS acp_i18n CASCADE;
+
+DROP TABLE IF EXISTS
+  acp_core.contact_points,
+  acp_core.addresses,
+  acp_core.places,
+  acp_core.admin_regions,
+  acp_core.countries,
+  acp_core.api_keys,
+  acp_core.auth_accounts,
+  acp_core.org_memberships,
+  acp_core.people,
+  acp_core.organizations,
+  acp_core.tenants
+CASCADE;
@@ -0,0 +1,28 @@
+/* ============================================================
+ ACP SQL Schema — 0002 DOWN
+ Issued-but-unredeemed passes have no meaning in the v1 model, so
+ they are deleted before redeemed_at becomes NOT NULL again.
+============================================================ */
+
+DROP INDEX IF EXISTS acp_deals.idx_redemptions_offer_status;
+DROP INDEX IF EXISTS acp_deals.idx_redemptions_token_hash;
+DROP INDEX IF EXISTS acp_deals.uq_redemptions_token;
+
+DELETE FROM acp_deals.offer_redemptions WHERE redeemed_at IS NULL;
+
+ALTER TABLE acp_deals.offer_redemptions
+  DROP COLUMN IF EXISTS source,
+  DROP COLUMN IF EXISTS staff,
+  DROP COLUMN IF EXISTS store_code,
+  DROP COLUMN IF EXISTS issued_at,
+  DROP COLUMN IF EXISTS token_hash,
+  DROP COLUMN IF EXISTS token,
+  DROP COLUMN IF EXISTS status,
+  ALTER COLUMN redeemed_at SET DEFAULT now(),
+  ALTER COLUMN redeemed_at SET NOT NULL;
+
+DROP INDEX IF EXISTS acp_deals.uq_offers_tenant_key;
+
+ALTER TABLE acp_deals.offers
+  DROP COLUMN IF EXISTS attributes_json,
+  DROP COLUMN IF EXISTS offer_key;
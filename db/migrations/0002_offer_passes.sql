@@ -0,0 +1,33 @@
+/* ============================================================
+ ACP SQL Schema — 0002: coupon passes
+ Lets acp_deals back the coupon server's store interface:
+   - offers get a stable offer_key (the offers.json id) + display attributes
+   - offer_redemptions rows double as passes: issued -> redeemed
+============================================================ */
+
+/* ---------- Offers: legacy key + presentation fields ---------- */
+ALTER TABLE acp_deals.offers
+  ADD COLUMN IF NOT EXISTS offer_key        citext NULL,   -- e.g. "popeyes-2pc"
+  ADD COLUMN IF NOT EXISTS attributes_json  jsonb NOT NULL DEFAULT '{}'::jsonb; -- restaurant, logo, colors, addresses...
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_offers_tenant_key
+  ON acp_deals.offers(tenant_id, offer_key) WHERE offer_key IS NOT NULL;
+
+/* ---------- Redemptions: pass lifecycle ---------- */
+ALTER TABLE acp_deals.offer_redemptions
+  ALTER COLUMN redeemed_at DROP NOT NULL,
+  ALTER COLUMN redeemed_at DROP DEFAULT;
+
+ALTER TABLE acp_deals.offer_redemptions
+  ADD COLUMN IF NOT EXISTS status      text NOT NULL DEFAULT 'redeemed', -- issued|redeemed
+  ADD COLUMN IF NOT EXISTS token       text NULL,   -- secret shown as QR; never logged
+  ADD COLUMN IF NOT EXISTS token_hash  text NULL,   -- short sha256 prefix shown to staff
+  ADD COLUMN IF NOT EXISTS issued_at   timestamptz NOT NULL DEFAULT now(),
+  ADD COLUMN IF NOT EXISTS store_code  text NULL,   -- config/stores.json code
+  ADD COLUMN IF NOT EXISTS staff       text NULL,
+  ADD COLUMN IF NOT EXISTS source      text NULL;   -- attribution (?src=)
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_redemptions_token
+  ON acp_deals.offer_redemptions(token) WHERE token IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_redemptions_token_hash ON acp_deals.offer_redemptions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_redemptions_offer_status ON acp_deals.offer_redemptions(offer_id, status);
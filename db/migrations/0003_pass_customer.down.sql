@@ -0,0 +1,8 @@
+/* ============================================================
+ ACP SQL Schema — 0003 DOWN
+============================================================ */
+
+DROP INDEX IF EXISTS acp_deals.idx_redemptions_offer_customer;
+
+ALTER TABLE acp_deals.offer_redemptions
+  DROP COLUMN IF EXISTS customer_key;
@@ -0,0 +1,12 @@
+/* ============================================================
+ ACP SQL Schema — 0003: per-customer pass tracking
+ Anonymous coupon holders are identified by a device key (the
+ acp_cid cookie), so max_redemptions_per_user can be enforced
+ without an acp_core.people row.
+============================================================ */
+
+ALTER TABLE acp_deals.offer_redemptions
+  ADD COLUMN IF NOT EXISTS customer_key text NULL;
+
+CREATE INDEX IF NOT EXISTS idx_redemptions_offer_customer
+  ON acp_deals.offer_redemptions(offer_id, customer_key) WHERE customer_key IS NOT NULL;
@@ -0,0 +1,10 @@
+/* ============================================================
+ ACP SQL Schema — 0004 DOWN
+============================================================ */
+
+DROP INDEX IF EXISTS acp_deals.idx_redemptions_issued_expiry;
+
+UPDATE acp_deals.offer_redemptions SET status = 'issued' WHERE status = 'expired';
+
+ALTER TABLE acp_deals.offer_redemptions
+  DROP COLUMN IF EXISTS expires_at;
@@ -0,0 +1,12 @@
+/* ============================================================
+ ACP SQL Schema — 0004: per-pass validity window
+ A claimed pass is valid until expires_at (offer pass_valid_hours /
+ pass_valid_days, capped at the offer end). Lapsed passes move to
+ status 'expired' (cleanup job or lazily on redeem).
+============================================================ */
+
+ALTER TABLE acp_deals.offer_redemptions
+  ADD COLUMN IF NOT EXISTS expires_at timestamptz NULL;
+
+CREATE INDEX IF NOT EXISTS idx_redemptions_issued_expiry
+  ON acp_deals.offer_redemptions(expires_at) WHERE status = 'issued' AND expires_at IS NOT NULL;
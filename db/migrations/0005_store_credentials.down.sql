@@ -0,0 +1,5 @@
+/* ============================================================
+ ACP SQL Schema — 0005 DOWN
+============================================================ */
+
+DROP TABLE IF EXISTS acp_deals.store_credentials;
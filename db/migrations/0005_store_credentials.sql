@@ -0,0 +1,28 @@
+/* ============================================================
+ ACP SQL Schema — 0005: store-scoped cashier credentials
+ Device tokens (one per register, bound to a config/stores.json
+ code) and optional staff PINs replace the shared API key on
+ redeem.html. Only hashes are stored.
+============================================================ */
+
+CREATE TABLE IF NOT EXISTS acp_deals.store_credentials (
+  credential_id        uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id            uuid NOT NULL REFERENCES acp_core.tenants(tenant_id),
+
+  kind                 text NOT NULL,        -- device|pin
+  store_code           text NOT NULL,        -- config/stores.json code
+  label                text NULL,            -- e.g. "Front register"
+  staff                text NULL,            -- PIN holder, recorded as redeemed_by_staff
+  require_pin          boolean NOT NULL DEFAULT false,
+  secret_hash          text NOT NULL,        -- sha256 of the token / store-scoped PIN
+
+  created_at           timestamptz NOT NULL DEFAULT now(),
+  created_by           text NULL,
+  revoked_at           timestamptz NULL,
+  revoked_by           text NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_store_credentials_active_hash
+  ON acp_deals.store_credentials(tenant_id, secret_hash) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_store_credentials_store
+  ON acp_deals.store_credentials(tenant_id, store_code);
@@ -4,12 +4,31 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const fsp = require('fs/promises');
 const crypto = require('crypto');
 const QRCode = require('qrcode');
 const puppeteer = require('puppeteer');
 const https = require('https'); // use https instead of fetch for geocode
-const { Pool } = require('pg'); // ✅ NEW: Postgres health check
+const { env } = require('./src/config/env');
+const { getPool } = require('./src/data/db');
+const { store } = require('./src/data/store');
+const { toLimit, remainingFor } = require('./src/data/limits');
+const { VOID_ACTIONS, validateVoidRequest, lastCorrection, isLapsed, expiredAfter } = require('./src/data/passHistory');
+const {
+  newDeviceToken, newPin, isDeviceToken, credentialHash, validateCredentialRequest, publicCredential
+} = require('./src/data/credentials');
+const { startJobs } = require('./src/jobs/cleanup');
+const { pinLimiter } = require('./src/middleware/rateLimiters');
+const { withFileLock, readJson, writeJsonAtomic, updateJson } = require('./src/lib/jsonFile');
+const { passTokens, isSignedToken } = require('./src/lib/passToken');
+const { liveCodeKey, liveCode, verifyLiveCode } = require('./src/lib/liveCode');
+const { storeKey, eligibleStores } = require('./src/lib/storeMatch');
+const { scheduleState, describeSchedule, normalizeSchedule } = require('./src/lib/schedule');
+const { parseReconcileInput, reconcileDate } = require('./src/lib/reconcile');
+const { adapterFor, discountFor, PosError } = require('./src/pos');
+const { diffCatalog, recordRevision, listRevisions, getRevision, pruneRevisions } = require('./src/lib/catalogRevisions');
+const { validateOffer, validateStore, validateCatalog, readCatalogFiles, formatProblem } = require('./src/lib/catalogSchema');
+const { OFFER_STATUSES, storedStatus, hasEnded, offerStatus, withStatus } = require('./src/lib/offerStatus');
+const { ImageError, saveUploadedImage, keepVariants } = require('./src/lib/images');
 
 const app = express();
 app.use(express.json());
@@ -18,7 +37,7 @@ app.use(express.urlencoded({ extended: false }));
 // ---------- CORS ----------
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, x-api-key');
+  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, x-api-key, x-staff-pin, Idempotency-Key');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
@@ -27,23 +46,21 @@ app.use((req, res, next) => {
 // ---------- ENV ----------
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.API_KEY || '';
+// Signs private offer preview links. Never the admin key; without it there are no preview links.
+const PREVIEW_SECRET = process.env.OFFER_PREVIEW_SECRET || '';
+// Keys the rotating live codes (src/lib/liveCode.js). Never the admin key; without it live-code
+// offers cannot be enabled or claimed.
+const LIVE_CODE_SECRET = process.env.LIVE_CODE_SECRET || '';
 const RAW_BASE = (process.env.COUPON_BASE_URL || process.env.BASE_URL || '').replace(/\/$/, '');
 const BASE_URL = RAW_BASE || ''; // falls back to relative links
 
-// ✅ NEW: Postgres pool (used by /health/db)
-const pool = process.env.DATABASE_URL
-  ? new Pool({
-      connectionString: process.env.DATABASE_URL,
-      // Render Postgres requires SSL; local Postgres usually does not.
-      ssl: process.env.DATABASE_URL.includes('render.com') ? { rejectUnauthorized: false } : undefined,
-    })
-  : null;
+// Postgres pool (used by /health/db, shared with the pg store driver)
+const pool = getPool();
 
 // ---------- PATHS ----------
 const ROOT = __dirname;
 const DATA_DIR = path.join(ROOT, 'data');
 const PUBLIC_DIR = path.join(ROOT, 'public');
-const DB_FILE = path.join(DATA_DIR, 'db.json');          // { passes:[], redemptions:[] }
 const EVENTS_FILE = path.join(DATA_DIR, 'events.json');  // { events:[] }
 const OFFERS_FILE = path.join(ROOT, 'config', 'offers.json');      // offer catalog (root)
 const STORES_FILE = path.join(ROOT, 'config', 'stores.json');      // optional store list
@@ -51,15 +68,14 @@ const STORES_FILE = path.join(ROOT, 'config', 'stores.json');      // optional s
 // ensure dirs/files
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
-if (!fs.existsSync(DB_FILE)) fs.writeFileSync(DB_FILE, JSON.stringify({ passes: [], redemptions: [] }, null, 2));
 if (!fs.existsSync(EVENTS_FILE)) fs.writeFileSync(EVENTS_FILE, JSON.stringify({ events: [] }, null, 2));
 
 // ---------- helpers ----------
 const nowISO = () => new Date().toISOString();
 const randHex = (n = 16) => crypto.randomBytes(n).toString('hex');
 const sha12 = s => crypto.createHash('sha256').update(s).digest('hex').slice(0, 12);
-const jread = async (f, fb) => { try { return JSON.parse(await fsp.readFile(f, 'utf8')); } catch { return fb; } };
-const jwrite = (f, o) => fsp.writeFile(f, JSON.stringify(o, null, 2));
+const jread = readJson;
+const jwrite = (f, o) => withFileLock(f, () => writeJsonAtomic(f, o)); // atomic rename, serialized per file
 const csvEsc = v => {
   const s = (v ?? '').toString();
   return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
@@ -91,6 +107,35 @@ function isExpiredOffer(o) {
   return false;
 }
 
+// Offer end: expires_on, else none. Legacy expires_days is a countdown kept by hand for
+// the offer as a whole (isExpiredOffer), not a lifetime for each claimed pass.
+function offerEndsAt(o) {
+  return o && o.expires_on ? parseDateISO(o.expires_on) : null;
+}
+
+// When a pass claimed at `issuedAt` stops being valid: pass_valid_hours / pass_valid_days
+// after the claim, never later than the offer end. Null = valid until redeemed.
+function passExpiresAt(o, issuedAt) {
+  const hours = toLimit(o && o.pass_valid_hours);
+  const days = toLimit(o && o.pass_valid_days);
+  const windowMs = hours !== null ? hours * 3600000 : days !== null ? days * 86400000 : null;
+  const windowEnd = windowMs !== null ? new Date(issuedAt.getTime() + windowMs) : null;
+  const end = offerEndsAt(o);
+  if (windowEnd && end) return windowEnd < end ? windowEnd : end;
+  return windowEnd || end;
+}
+
+// New pass id + token + expiry (token signed when PASS_TOKEN_FORMAT=signed, else random hex).
+function newPassToken(offerId, offer) {
+  const passId = crypto.randomUUID();
+  const issuedAt = new Date();
+  const expiresAt = passExpiresAt(offer, issuedAt);
+  const token = passTokens.signing
+    ? passTokens.sign({ offerId, passId, issuedAt, expiresAt })
+    : randHex(16);
+  return { passId, token, expiresAt: expiresAt ? expiresAt.toISOString() : null };
+}
+
 // ---------- Geocode helpers ----------
 const NOM_USER_AGENT = 'ACP-Coupons/1.0 (contact: info@AllCityPages.com)';
 function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
@@ -149,6 +194,25 @@ async function geocodeLabel(label){
 }
 
 // Small utilities
+// Anonymous per-device customer key (used for per-customer redemption limits)
+const CID_COOKIE = 'acp_cid';
+function readCookie(req, name) {
+  const hit = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(name + '='));
+  return hit ? decodeURIComponent(hit.slice(name.length + 1)) : '';
+}
+function customerIdFor(req, res) {
+  const existing = readCookie(req, CID_COOKIE);
+  if (/^[a-f0-9]{32}$/.test(existing)) return existing;
+  const cid = randHex(16);
+  res.setHeader('Set-Cookie', `${CID_COOKIE}=${cid}; Path=/; Max-Age=63072000; SameSite=Lax; HttpOnly`);
+  return cid;
+}
+
+const LIMIT_MESSAGES = {
+  cap_reached: 'This offer has reached its redemption limit',
+  customer_limit: 'Redemption limit reached for this customer'
+};
+
 const toSlug = (s) => (s || '')
   .toLowerCase()
   .normalize('NFKD').replace(/[\u0300-\u036f]/g,'')
@@ -209,9 +273,13 @@ app.get('/health/db', async (_req, res) => {
 });
 
 // explicit MIME-correct catalog/PWA routes
-app.get('/offers.json', (_req, res) => {
+// Only live offers: drafts and scheduled deals stay private until they go live.
+app.get('/offers.json', async (_req, res) => {
+  const offers = await jread(OFFERS_FILE, {});
+  const now = new Date();
+  const live = Object.fromEntries(Object.entries(offers).filter(([, o]) => o && offerStatus(o, now) === 'active'));
   res.type('application/json; charset=utf-8');
-  res.sendFile(OFFERS_FILE);
+  res.send(JSON.stringify(live, null, 2));
 });
 app.get('/manifest.json', (_req, res) => {
   res.type('application/manifest+json; charset=utf-8');
@@ -222,8 +290,8 @@ app.get('/redeem.html', (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'redeem.html'));
 });
 
-// NEW: Business Deal Creator page (static file in /public)
-app.get('/business/deals/new', (_req, res) => {
+// NEW: Business Deal Creator page (static file in /public); /edit?id=… opens an existing deal
+app.get(['/business/deals/new', '/business/deals/edit'], (_req, res) => {
   res.type('text/html; charset=utf-8');
   res.sendFile(path.join(PUBLIC_DIR, 'business-deal-new.html'));
 });
@@ -235,6 +303,65 @@ async function loadCatalog() {
   return { offers, stores };
 }
 
+// Every catalog write goes through here. Under the file lock the current catalog is read and
+// handed to `mutate(current)` (a copy; it returns the catalog to write, may be async), so
+// concurrent admin writes never work from a stale read. The entries it adds or changes must
+// pass the catalog schema (src/lib/catalogSchema.js), then the file is replaced atomically and
+// the change is recorded as a revision (who/when/per-offer diff, src/lib/catalogRevisions.js).
+// `note` may be a function, called after mutate (e.g. for an id picked inside it).
+// Returns the revision (null: no change); throws an error with .problems when invalid, and
+// whatever mutate throws (catalogError for a 4xx answer).
+async function saveCatalog(file, mutate, { by, action, note = '' }) {
+  const catalog = file === STORES_FILE ? 'stores' : 'offers';
+  const stores = catalog === 'offers' ? await jread(STORES_FILE, {}) : null;
+  return withFileLock(file, async () => {
+    const before = await readJson(file, {});
+    const next = await mutate(structuredClone(before));
+    const diff = diffCatalog(before, next);
+    const problems = [...diff.added, ...Object.keys(diff.changed)]
+      .flatMap(k => (catalog === 'stores' ? validateStore(k, next[k]) : validateOffer(k, next[k], { stores })))
+      .filter(p => p.level === 'error');
+    if (problems.length) throw Object.assign(new Error('Catalog validation failed'), { problems });
+
+    await writeJsonAtomic(file, next);
+    if (catalog === 'offers') await syncStoreOffers(next, [...diff.added, ...Object.keys(diff.changed)]);
+    return recordRevision({ catalog, before, after: next, by, action, note: typeof note === 'function' ? note() : note, file });
+  });
+}
+
+// STORE_DRIVER=pg keeps its own offer rows (src/data/pgCatalog.js): mirror the entries a write
+// touched. offers.json is already written, so a failure is logged, not thrown; issuePass
+// upserts the offer it issues for anyway.
+async function syncStoreOffers(offers, ids) {
+  if (!ids.length) return;
+  try {
+    await store.syncOffers(Object.fromEntries(ids.map(id => [id, offers[id]])));
+  } catch (e) {
+    console.error(`[catalog] could not mirror ${ids.join(', ')} to the ${store.driver} store:`, e.message);
+  }
+}
+
+// A write refused from inside a saveCatalog mutate callback, answered as `status` + { error, ...extra }.
+const catalogError = (status, error, extra = {}) => Object.assign(new Error(error), { status, body: { error, ...extra } });
+
+// 400 for a write the catalog schema refused, the status of a catalogError; false for
+// anything else (the caller answers 500).
+function sendCatalogError(res, e) {
+  if (e && e.problems) {
+    res.status(400).json({ error: `Catalog validation failed: ${formatProblem(e.problems[0])}`, problems: e.problems.map(formatProblem) });
+    return true;
+  }
+  if (e && e.status && e.body) {
+    res.status(e.status).json(e.body);
+    return true;
+  }
+  return false;
+}
+
+// Who is making an admin change: body.by, header x-admin-user or ?by=, else "admin".
+const adminActor = (req) =>
+  String((req.body && req.body.by) || req.get('x-admin-user') || req.query.by || 'admin').trim().slice(0, 80);
+
 // ======================================================================
 //  COUPON ISSUANCE / VIEW  (single, with attribution)
 // ======================================================================
@@ -243,30 +370,31 @@ app.get('/coupon', async (req, res) => {
   const id = (req.query.offer || '').toString();
   const offer = offers[id];
   if (!offer) return res.status(400).send('Invalid offer id');
+  const status = offerStatus(offer);
+  if (status === 'draft' || status === 'scheduled') return res.status(410).send('This deal is not live yet');
+  if (status !== 'active') return res.status(410).send('This deal is paused or no longer available');
+
+  if (offer.live_code && !LIVE_CODE_SECRET) return res.status(503).send('This deal is temporarily unavailable');
 
   const src = (req.query.src || 'direct').toString(); // attribution
 
-  const db = await jread(DB_FILE, { passes: [], redemptions: [] });
-  const token = randHex(16);
-  const pass = {
-    id: crypto.randomUUID(),
-    token,
-    token_hash: sha12(token),
-    offer: id,
-    client_slug: offer.client_slug || 'general',
-    restaurant: offer.restaurant || '',
-    status: 'issued',
-    issued_at: nowISO(),
-    redeemed_at: null,
-    redeemed_by_store: '',
-    redeemed_by_staff: '',
-    source: src
-  };
-  db.passes.push(pass);
-  await jwrite(DB_FILE, db);
+  const customerId = customerIdFor(req, res);
+
+  let result;
+  try {
+    result = await store.issuePass({ offerId: id, offer, ...newPassToken(id, offer), source: src, customerId });
+  } catch (e) {
+    console.error('issue pass error', e);
+    return res.status(500).send('Could not issue coupon');
+  }
+  if (!result.ok) return res.status(409).send(LIMIT_MESSAGES[result.error] || 'Could not issue coupon');
+  const { pass } = result;
+
+  // Live-code offers never show a static QR: go straight to the rotating view.
+  if (offer.live_code) return res.redirect(303, `/coupon/view?token=${encodeURIComponent(pass.token)}`);
 
   const origin = BASE_URL || `${req.protocol}://${req.get('host')}`;
-  const url = `${origin}/coupon/view?token=${encodeURIComponent(token)}`;
+  const url = `${origin}/coupon/view?token=${encodeURIComponent(pass.token)}`;
   const qr = await QRCode.toDataURL(url);
 
   res.send(`<!doctype html><html><head><meta charset="utf-8"/>
@@ -293,12 +421,13 @@ ${offer.hero_image ? `<img src="${offer.hero_image}" style="max-width:100%;borde
 
 app.get('/coupon/view', async (req, res) => {
   const token = (req.query.token || '').toString();
-  const db = await jread(DB_FILE, { passes: [] });
-  const pass = db.passes.find(p => p.token === token);
+  const pass = await store.findPass(token);
   if (!pass) return res.status(404).send('Not found');
 
   const { offers } = await loadCatalog();
   const offer = offers[pass.offer] || {};
+  const status = isLapsed(pass) ? 'expired' : pass.status; // the cleanup job may not have flipped it yet
+  const usable = status === 'issued';
   res.send(`<!doctype html><html><head><meta charset="utf-8"/>
 <meta name="viewport" content="width=device-width,initial-scale=1"/>
 <title>${offer.title || 'Coupon'}</title>
@@ -308,80 +437,705 @@ app.get('/coupon/view', async (req, res) => {
 <h2>${offer.title || 'Coupon'}</h2>
 <p>${offer.restaurant || ''}</p>
 ${offer.hero_image ? `<img src="${offer.hero_image}" style="max-width:100%;border-radius:12px">` : ''}
-<p>Status: <b>${String(pass.status || '').toUpperCase()}</b>${pass.status === 'redeemed' ? ' ✅' : ''}</p>
+<p>Status: <b>${String(status || '').toUpperCase()}</b>${status === 'redeemed' ? ' ✅' : ''}</p>
+${usable && pass.expires_at ? expiryCountdown(pass.expires_at) : ''}
 <p>Token (short): <code>${pass.token_hash}</code></p>
-<a class="contrast" href="/redeem.html?token=${encodeURIComponent(token)}">Show Cashier</a>
+${!usable ? '' : offer.live_code ? liveCodeBlock(token) : `<a class="contrast" href="/redeem.html?token=${encodeURIComponent(token)}">Show Cashier</a>`}
 </body></html>`);
 });
 
+// "Valid for 1h 04m 09s" ticking down to pass.expires_at; reloads once it runs out.
+function expiryCountdown(expiresAt) {
+  return `<p>Valid for <b id="pass-left">…</b> <small>(until ${new Date(expiresAt).toLocaleString('en-US')})</small></p>
+<script>
+(function(){
+  var end = new Date(${JSON.stringify(expiresAt)}).getTime();
+  function pad(n){ return (n < 10 ? '0' : '') + n; }
+  function tick(){
+    var s = Math.max(0, Math.floor((end - Date.now()) / 1000));
+    var d = Math.floor(s / 86400), h = Math.floor(s % 86400 / 3600), m = Math.floor(s % 3600 / 60);
+    document.getElementById('pass-left').textContent =
+      (d ? d + 'd ' : '') + (d || h ? h + 'h ' : '') + pad(m) + 'm ' + pad(s % 60) + 's';
+    if (s === 0) { clearInterval(timer); setTimeout(function(){ location.reload(); }, 1500); }
+  }
+  var timer = setInterval(tick, 1000);
+  tick();
+})();
+</script>`;
+}
+
+// Rotating code + QR for live_code offers; refreshed from /coupon/live every window.
+function liveCodeBlock(token) {
+  return `<article style="text-align:center">
+  <p style="margin:0">Show this live code at the register</p>
+  <p id="live-code" style="font-size:2.6rem;font-weight:800;letter-spacing:.2em;margin:.2em 0">······</p>
+  <img id="live-qr" alt="QR" style="width:240px;max-width:100%;background:#fff;border-radius:8px;padding:8px">
+  <progress id="live-left" max="30" value="30"></progress>
+  <small>Changes every 30 seconds — screenshots won't scan.</small>
+  <p><a id="live-cashier" class="contrast" href="#">Show Cashier</a></p>
+</article>
+<script>
+(function(){
+  var token = ${JSON.stringify(token)};
+  var left = 0, period = 30;
+  function refresh(){
+    fetch('/coupon/live?token=' + encodeURIComponent(token), { cache: 'no-store' })
+      .then(function(r){ return r.json(); })
+      .then(function(j){
+        if (!j.ok) { document.getElementById('live-code').textContent = (j.status || '').toUpperCase(); left = Infinity; return; }
+        document.getElementById('live-code').textContent = j.code;
+        document.getElementById('live-qr').src = j.qr;
+        document.getElementById('live-cashier').href = j.redeem_url;
+        period = j.period; left = j.expires_in;
+      })
+      .catch(function(){ left = 3; });
+  }
+  setInterval(function(){
+    left -= 1;
+    document.getElementById('live-left').max = period;
+    document.getElementById('live-left').value = Math.max(0, left);
+    if (left <= 0) refresh();
+  }, 1000);
+  refresh();
+})();
+</script>`;
+}
+
+// Current live code for a pass (view page polling). Only issued passes of live_code offers get one.
+// The QR / cashier link carries the pass's token_hash and the code, never the token: the token
+// is what this endpoint answers to.
+app.get('/coupon/live', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    const token = (req.query.token || '').toString();
+    const pass = token ? await store.findPass(token) : null;
+    if (!pass) return res.status(404).json({ ok: false, error: 'Not found' });
+    const { offers } = await loadCatalog();
+    if (!(offers[pass.offer] || {}).live_code) return res.status(400).json({ ok: false, error: 'Offer has no live code' });
+    if (isLapsed(pass)) return res.json({ ok: false, status: 'expired' });
+    if (pass.status !== 'issued') return res.json({ ok: false, status: pass.status });
+
+    if (!LIVE_CODE_SECRET) return res.status(503).json({ ok: false, error: 'Live codes are not configured (LIVE_CODE_SECRET)' });
+
+    const live = liveCode(liveCodeKey(LIVE_CODE_SECRET, pass.id));
+    const origin = BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const redeemURL = `${origin}/redeem.html?pass=${encodeURIComponent(pass.token_hash)}&code=${live.code}`;
+    res.json({ ok: true, ...live, redeem_url: redeemURL, qr: await QRCode.toDataURL(redeemURL) });
+  } catch (e) {
+    console.error('live code error', e);
+    res.status(500).json({ ok: false, error: 'live-code-failed' });
+  }
+});
+
 // ======================================================================
 //  CASHIER REDEEM API
+//  scan_id (or Idempotency-Key header) makes retries safe. /api/redeem checks
+//  everything at server time; scanned_at only counts for offline scans replayed
+//  through /api/redeem/batch (up to OFFLINE_SCAN_MAX_AGE_HOURS back). Offers with
+//  live_code also need the pass's rotating `code` (src/lib/liveCode.js).
+//  Auth: x-api-key is either API_KEY (any store) or a store device token
+//  (src/data/credentials.js) + optional x-staff-pin, limited to that store.
 // ======================================================================
-app.post('/api/redeem', async (req, res) => {
-  if ((req.header('x-api-key') || '') !== API_KEY) {
-    return res.status(401).json({ error: 'Invalid API key' });
-  }
-  const { token, store_id, staff } = req.body || {};
-  if (!token || !store_id) return res.status(400).json({ error: 'Missing token/store_id' });
-
-  const db = await jread(DB_FILE, { passes: [], redemptions: [] });
-  const pass = db.passes.find(p => p.token === token);
-  if (!pass) return res.status(404).json({ error: 'Token not found' });
-  if (pass.status === 'redeemed') {
-    return res.status(409).json({ error: 'Already redeemed', redeemed_at: pass.redeemed_at });
-  }
-
-  pass.status = 'redeemed';
-  pass.redeemed_at = nowISO();
-  pass.redeemed_by_store = store_id;
-  pass.redeemed_by_staff = staff || '';
-  db.redemptions.push({
-    token,
-    offer: pass.offer,
-    client_slug: pass.client_slug,
-    store_id,
-    staff: pass.redeemed_by_staff,
-    redeemed_at: pass.redeemed_at
-  });
-  await jwrite(DB_FILE, db);
+const MAX_BATCH_SCANS = 200;
+
+// ISO time of an offline scan, or null (missing/invalid). Future times are clamped to now.
+// Callers decide how far back they trust it (see scanTooOld).
+function scanTime(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  if (isNaN(d)) return null;
+  return (d > new Date() ? new Date() : d).toISOString();
+}
+
+// A replayed scan older than OFFLINE_SCAN_MAX_AGE_HOURS: its scanned_at could backdate the
+// deal-hours and expiry checks indefinitely, so it is refused for the cashier to review.
+function scanTooOld(at) {
+  return Boolean(at) && new Date(at).getTime() < Date.now() - env.OFFLINE_SCAN_MAX_AGE_HOURS * 3600000;
+}
+
+// Signed tokens are rejected here (bad signature / expired at `at`, the scan time) before the store is touched.
+// Returns null when the token may go on to the store (valid signed token or legacy hex).
+function tokenPrecheck(token, at = null) {
+  if (!isSignedToken(token) || !passTokens.canVerify) return null;
+  const check = passTokens.verify(token, at ? new Date(at) : new Date());
+  if (check.ok) return null;
+  if (check.error === 'expired') return { status: 410, body: { error: 'Coupon expired', code: 'expired' } };
+  return { status: 400, body: { error: 'Invalid coupon token', code: 'invalid_token' } };
+}
+
+// Live-code offers need the pass's rotating code from the current window (±1 window). A
+// replayed offline scan (`at` = its scanned_at) is checked at its scan time, but never more
+// than LIVE_CODE_MAX_LAG_SEC back, so an old code cannot be replayed with an old scanned_at.
+function liveCodePrecheck(offer, pass, code, at) {
+  if (!offer.live_code) return null;
+  if (!code) return { status: 403, body: { error: 'Live code required for this offer', code: 'live_code_required' } };
+  if (!LIVE_CODE_SECRET) return { status: 503, body: { error: 'Live codes are not configured (LIVE_CODE_SECRET)', code: 'live_code_unavailable' } };
+  const now = Date.now();
+  const checkAt = at ? Math.max(new Date(at).getTime(), now - env.LIVE_CODE_MAX_LAG_SEC * 1000) : now;
+  if (!verifyLiveCode(liveCodeKey(LIVE_CODE_SECRET, pass.id), code, checkAt)) {
+    return { status: 403, body: { error: 'Live code expired or wrong — ask the customer to show the current code', code: 'live_code_invalid' } };
+  }
+  return null;
+}
+
+// Offers only redeem at their own locations (src/lib/storeMatch.js); skipped when no stores are configured.
+function storePrecheck(offer, stores, storeId) {
+  if (!Object.keys(stores || {}).length) return null;
+  const { stores: valid } = eligibleStores(offer, stores);
+  if (valid.some(s => s.code === storeId)) return null;
+  return {
+    status: 403,
+    body: {
+      error: `This coupon is not valid at store ${storeId}`,
+      code: 'store_not_eligible',
+      valid_stores: valid.map(s => ({ code: s.code, label: s.label }))
+    }
+  };
+}
+
+// Day-part schedules (src/lib/schedule.js), evaluated in the redeeming store's timezone when it has one.
+function schedulePrecheck(offer, storeMeta, at) {
+  if (!offer.schedule) return null;
+  const tz = (storeMeta && typeof storeMeta === 'object' && storeMeta.timezone) || undefined;
+  const state = scheduleState(offer.schedule, at ? new Date(at) : new Date(), tz);
+  if (state.available_now) return null;
+  const next = state.next_valid_at
+    ? ` Next valid: ${new Date(state.next_valid_at).toLocaleString('en-US', { timeZone: state.timezone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}.`
+    : '';
+  return {
+    status: 403,
+    body: {
+      error: `This deal is only valid ${describeSchedule(offer.schedule)} (${state.timezone}).${next}`,
+      code: 'outside_schedule',
+      next_valid_at: state.next_valid_at
+    }
+  };
+}
+
+// Everything checked before the store write: signature/expiry, then store eligibility, schedule + live code,
+// at `at` (a replayed offline scan's scanned_at; null = now). Returns null (go ahead) or { status, body }.
+async function redeemPrecheck(token, { storeId, code, at }) {
+  const signed = tokenPrecheck(token, at);
+  if (signed) return signed;
+  const pass = await store.findPass(token);
+  if (!pass) return null; // the store reports not_found
+  const { offers, stores } = await loadCatalog();
+  const offer = offers[pass.offer] || {};
+  return storePrecheck(offer, stores, storeId) ||
+    schedulePrecheck(offer, (stores || {})[storeId], at) ||
+    liveCodePrecheck(offer, pass, code, at);
+}
+
+// Live-code QRs carry the pass's token_hash instead of its token (see /coupon/live). Cashier
+// endpoints take either in `token` and work with the full token; a bare token_hash only
+// stands in for passes of live_code offers, where the rotating code is still required.
+const TOKEN_HASH_RE = /^[0-9a-f]{12}$/;
+async function cashierToken(raw) {
+  const token = String(raw || '').trim();
+  if (!TOKEN_HASH_RE.test(token)) return token;
+  const pass = await store.findPassByHash(token);
+  if (!pass) return token; // the store reports not_found
+  const { offers } = await loadCatalog();
+  return (offers[pass.offer] || {}).live_code ? pass.token : token;
+}
+
+// Map a store.redeemPass result to { status, body } for both the single and batch APIs.
+function redeemOutcome(result) {
+  const { pass } = result;
+  if (result.ok) {
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        code: result.replayed ? 'duplicate' : 'redeemed',
+        token_hash: pass.token_hash,
+        offer: pass.offer,
+        redeemed_at: pass.redeemed_at,
+        replayed: !!result.replayed
+      }
+    };
+  }
+  if (result.error === 'not_found') return { status: 404, body: { error: 'Token not found', code: 'not_found' } };
+  if (result.error === 'already_redeemed') {
+    return {
+      status: 409,
+      body: {
+        error: 'Already redeemed',
+        code: 'already_redeemed',
+        token_hash: pass.token_hash,
+        redeemed_at: pass.redeemed_at,
+        redeemed_by_store: pass.redeemed_by_store
+      }
+    };
+  }
+  if (result.error === 'voided') return { status: 410, body: { error: 'Coupon was voided', code: 'voided' } };
+  if (result.error === 'expired') {
+    return { status: 410, body: { error: 'Coupon expired', code: 'expired', expires_at: pass ? pass.expires_at : null } };
+  }
+  if (LIMIT_MESSAGES[result.error]) return { status: 409, body: { error: LIMIT_MESSAGES[result.error], code: result.error } };
+  return { status: 400, body: { error: 'Could not redeem', code: result.error || 'failed' } };
+}
+
+// requireCashier sets req.cashier = { scope: 'admin' } for API_KEY, or
+// { scope: 'store', storeId, staff, credentialId } for a store device token (+ staff PIN).
+async function cashierDevice(req, res, next) {
+  const key = req.header('x-api-key') || '';
+  if (API_KEY && key === API_KEY) {
+    req.cashier = { scope: 'admin' };
+    return next();
+  }
+  try {
+    const device = isDeviceToken(key) ? await store.findCredential(credentialHash('device', key)) : null;
+    if (!device || device.kind !== 'device') return res.status(401).json({ error: 'Invalid API key' });
+    req.cashierDevice = device;
+    next();
+  } catch (e) {
+    console.error('cashier auth error', e);
+    res.status(500).json({ error: 'auth-failed' });
+  }
+}
+
+async function cashierPin(req, res, next) {
+  if (req.cashier) return next(); // admin key
+  const device = req.cashierDevice;
+  try {
+    const pin = String(req.header('x-staff-pin') || '').trim();
+    let staff = null;
+    if (pin) {
+      staff = await store.findCredential(credentialHash('pin', pin, device.store_id));
+      if (!staff || staff.kind !== 'pin' || staff.store_id !== device.store_id) {
+        return res.status(401).json({ error: 'Invalid staff PIN', code: 'invalid_pin' });
+      }
+    } else if (device.require_pin) {
+      return res.status(401).json({ error: 'Staff PIN required', code: 'pin_required' });
+    }
+
+    req.cashier = {
+      scope: 'store',
+      storeId: device.store_id,
+      staff: staff ? staff.staff : (device.label || 'device'),
+      credentialId: staff ? staff.id : device.id
+    };
+    next();
+  } catch (e) {
+    console.error('cashier auth error', e);
+    res.status(500).json({ error: 'auth-failed' });
+  }
+}
 
-  res.json({ ok: true, token_hash: pass.token_hash, redeemed_at: pass.redeemed_at });
+// Device key, then the wrong-PIN limit for that device (pinLimiter), then the staff PIN.
+const requireCashier = [cashierDevice, pinLimiter, cashierPin];
+
+// Store + staff a scan is recorded under. Store credentials are pinned to their own
+// store (an omitted store_id means theirs) and always record their own staff name.
+// Returns { storeId, staff } or { error }.
+function cashierScope(cashier, storeId, staff) {
+  const wanted = String(storeId || '').trim();
+  if (cashier.scope === 'admin') return { storeId: wanted, staff: staff || '' };
+  if (wanted && wanted !== cashier.storeId) {
+    return { error: { error: `This login can only redeem for store ${cashier.storeId}`, code: 'store_forbidden' } };
+  }
+  return { storeId: cashier.storeId, staff: cashier.staff };
+}
+
+// ----------------------------------------------------------------------
+//  POS adapters (src/pos): a store with a `pos` block in stores.json gets the
+//  discount pushed to its POS on redeem instead of the robotjs bridge. If the
+//  POS refuses, the redemption is reversed (pos_failure) so nothing half-happens.
+// ----------------------------------------------------------------------
+
+// { adapter, discount } for this store + pass; null for bridge/manual stores; { error } if misconfigured.
+async function posTarget(token, storeId) {
+  const { offers, stores } = await loadCatalog();
+  let adapter;
+  try {
+    adapter = adapterFor(storeId, (stores || {})[storeId]);
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (!adapter) return null;
+  const pass = await store.findPass(token);
+  if (!pass) return null; // the store reports not_found
+  const picked = discountFor(offers[pass.offer], pass.offer, adapter.name);
+  return picked.error ? { error: picked.error } : { adapter, discount: picked.discount };
+}
+
+// The ticket to discount: the client's order_id, else the store's one open order. Several
+// open orders (more than one register) or none are refused before anything is redeemed,
+// so the discount never lands on whichever ticket happens to be newest.
+// Returns { orderId } or { status, body }.
+async function posOrder({ adapter }, orderId) {
+  const wanted = String(orderId || '').trim();
+  if (wanted) return { orderId: wanted };
+  try {
+    return { orderId: (await adapter.lookupOrder({})).id };
+  } catch (e) {
+    if (!(e instanceof PosError)) throw e;
+    const code = e.code === 'order_ambiguous' || e.code === 'order_not_found' ? e.code : 'pos_failed';
+    return { status: 409, body: { error: `${e.message}. Nothing was redeemed.`, code, pos_error: e.code } };
+  }
+}
+
+// Push the discount for a fresh redemption. Returns { ok, pos } or { ok: false, body } (already reversed).
+async function posPush({ adapter, discount }, pass, { orderId, scanId }) {
+  try {
+    const applied = await adapter.applyDiscount({
+      orderId: orderId || undefined,
+      discount,
+      idempotencyKey: `acp-${pass.id}-${scanId || Date.now()}`,
+      externalId: `acp-${pass.token_hash}`
+    });
+    const pos = {
+      adapter: adapter.name,
+      order_id: applied.order_id,
+      check_id: applied.check_id || null,
+      discount_id: applied.discount_id,
+      name: discount.name,
+      applied_at: new Date().toISOString()
+    };
+    await store.recordPos({ token: pass.token, pos });
+    console.log(`[pos] ${adapter.name} ${pass.token_hash} -> order ${pos.order_id} discount ${pos.discount_id}`);
+    return { ok: true, pos };
+  } catch (e) {
+    console.error(`[pos] ${adapter.name} apply failed for ${pass.token_hash}:`, e.message);
+    const undo = await store.correctPass({
+      token: pass.token, action: 'reverse', reason: 'pos_failure', note: `${adapter.name}: ${e.message}`, by: `pos:${adapter.name}`
+    }).catch(err => ({ ok: false, error: err.message }));
+    return {
+      ok: false,
+      body: {
+        error: `The POS did not accept the discount (${e.message}). ` +
+          (undo.ok ? 'The coupon was not used and can be scanned again.' : 'Reversing the redemption failed — tell a manager.'),
+        code: 'pos_failed',
+        pos_error: e.code || 'pos_error',
+        reversed: !!undo.ok,
+        token_hash: pass.token_hash
+      }
+    };
+  }
+}
+
+// Take a pushed discount back off the POS before a void/reverse. Best effort: the
+// order may be closed by now. Returns null (nothing pushed) or { ok, error? }.
+async function posUndo(pass) {
+  if (!pass || pass.status !== 'redeemed' || !pass.pos || pass.pos.voided_at) return null;
+  try {
+    const { stores } = await loadCatalog();
+    const adapter = adapterFor(pass.redeemed_by_store, (stores || {})[pass.redeemed_by_store]);
+    if (!adapter) return { ok: false, error: 'Store no longer has a POS adapter' };
+    await adapter.voidDiscount({
+      orderId: pass.pos.order_id,
+      checkId: pass.pos.check_id || undefined,
+      discountId: pass.pos.discount_id,
+      idempotencyKey: `acp-void-${pass.id}-${Date.now()}`
+    });
+    await store.recordPos({ token: pass.token, pos: { ...pass.pos, voided_at: new Date().toISOString() } });
+    return { ok: true };
+  } catch (e) {
+    console.error(`[pos] void failed for ${pass.token_hash}:`, e.message);
+    return { ok: false, error: e.message };
+  }
+}
+
+app.post('/api/redeem', requireCashier, async (req, res) => {
+  const { code } = req.body || {};
+  const scope = cashierScope(req.cashier, req.body && req.body.store_id, req.body && req.body.staff);
+  if (scope.error) return res.status(403).json(scope.error);
+  const { storeId: store_id, staff } = scope;
+  if (!(req.body && req.body.token) || !store_id) return res.status(400).json({ error: 'Missing token/store_id' });
+  const scanId = String((req.body && req.body.scan_id) || req.header('idempotency-key') || '').trim();
+
+  let result, target, body, status;
+  try {
+    const token = await cashierToken(req.body.token);
+    const rejected = await redeemPrecheck(token, { storeId: store_id, code, at: null });
+    if (rejected) return res.status(rejected.status).json(rejected.body);
+    target = await posTarget(token, store_id);
+    if (target && target.error) return res.status(409).json({ error: target.error, code: 'pos_not_configured' });
+    if (target) {
+      const order = await posOrder(target, req.body.order_id);
+      if (!order.orderId) return res.status(order.status).json(order.body);
+      target.orderId = order.orderId;
+    }
+    result = await store.redeemPass({ token, storeId: store_id, staff, scanId, scannedAt: null });
+    ({ status, body } = redeemOutcome(result));
+
+    if (result.ok && target) {
+      if (result.replayed) {
+        body.pos = result.pass.pos || null;
+      } else {
+        const pushed = await posPush(target, result.pass, { orderId: target.orderId, scanId });
+        if (!pushed.ok) return res.status(502).json(pushed.body);
+        body.pos = pushed.pos;
+      }
+    }
+  } catch (e) {
+    console.error('redeem error', e);
+    return res.status(500).json({ error: 'redeem-failed' });
+  }
+  res.status(status).json(body);
+});
+
+// Read-only lookup so the cashier can check a coupon before the order is rung up.
+// POST /api/redeem/verify  { token, store_id, code? }  (same x-api-key as /api/redeem)
+// -> { ok, redeemable, problem, status, offer: {...}, expires_at, eligible_stores, ... }
+// `problem` is what /api/redeem would answer right now ({ code, error, ... }) or null.
+// Nothing is written: lapsed passes are reported as expired without flipping them.
+app.post('/api/redeem/verify', requireCashier, async (req, res) => {
+  const { code } = req.body || {};
+  const scope = cashierScope(req.cashier, req.body && req.body.store_id);
+  if (scope.error) return res.status(403).json(scope.error);
+  const store_id = scope.storeId;
+  if (!(req.body && req.body.token) || !store_id) return res.status(400).json({ error: 'Missing token/store_id' });
+
+  try {
+    const token = await cashierToken(req.body.token);
+    const signed = tokenPrecheck(token);
+    if (signed && signed.body.code === 'invalid_token') return res.status(signed.status).json(signed.body);
+    const pass = await store.findPass(token);
+    if (!pass) return res.status(404).json({ error: 'Token not found', code: 'not_found' });
+
+    const { offers, stores } = await loadCatalog();
+    const offer = offers[pass.offer] || {};
+    const at = new Date().toISOString();
+    const status = isLapsed(pass, at) ? 'expired' : pass.status;
+    const eligible = Object.keys(stores || {}).length ? eligibleStores(offer, stores).stores : [];
+    const target = status === 'issued' ? await posTarget(token, store_id) : null;
+
+    let problem = null;
+    if (status === 'redeemed') problem = redeemOutcome({ ok: false, error: 'already_redeemed', pass }).body;
+    else if (status !== 'issued') problem = redeemOutcome({ ok: false, error: status, pass }).body;
+    else if (signed) problem = signed.body;
+    else {
+      const check = storePrecheck(offer, stores, store_id) ||
+        schedulePrecheck(offer, (stores || {})[store_id], at) ||
+        (code ? liveCodePrecheck(offer, pass, code, at) : null);
+      if (check) problem = check.body;
+      else if (target && target.error) problem = { error: target.error, code: 'pos_not_configured' };
+    }
+
+    res.json({
+      ok: true,
+      redeemable: !problem,
+      problem,
+      token_hash: pass.token_hash,
+      status,
+      offer: {
+        id: pass.offer,
+        title: offer.title || pass.offer,
+        restaurant: offer.restaurant || '',
+        includes: (offer.includes || offer.Includes || offer.bundle || '').trim(),
+        fine_print: offer.fine_print || '',
+        age_gate: offer.age_gate || 'all-ages',
+        live_code: !!offer.live_code,
+        schedule_label: offer.schedule ? describeSchedule(offer.schedule) : ''
+      },
+      needs_live_code: !!offer.live_code && !code,
+      issued_at: pass.issued_at,
+      expires_at: pass.expires_at || null,
+      redeemed_at: pass.redeemed_at || null,
+      redeemed_by_store: pass.redeemed_by_store || null,
+      eligible_stores: eligible.map(s => ({ code: s.code, label: s.label })),
+      valid_here: !eligible.length || eligible.some(s => s.code === store_id),
+      checked_as: { store_id, staff: req.cashier.scope === 'store' ? req.cashier.staff : null },
+      pos: target && target.adapter ? target.adapter.name : null
+    });
+  } catch (e) {
+    console.error('verify error', e);
+    res.status(500).json({ error: 'verify-failed' });
+  }
+});
+
+// Undo a redemption this store just made, e.g. the POS bridge could not put the discount
+// on the ticket. Store credentials may only undo their own store's redemptions within
+// CASHIER_UNDO_MINUTES; anything older goes through /api/admin/redemptions/void.
+// POST /api/redeem/void  { token, action?: reverse|void (reverse), reason? (pos_failure), note? }
+const CASHIER_UNDO_MINUTES = 15;
+
+app.post('/api/redeem/void', requireCashier, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const token = await cashierToken(body.token);
+    const action = String(body.action || 'reverse').trim();
+    const reason = String(body.reason || 'pos_failure').trim();
+    const note = String(body.note || '').trim();
+    const by = req.cashier.scope === 'store' ? req.cashier.staff : String(body.by || body.staff || 'cashier').trim();
+    if (!token) return res.status(400).json({ error: 'Missing token' });
+
+    const invalid = validateVoidRequest({ action, reason, note, by });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const pass = await store.findPass(token);
+    if (!pass) return res.status(404).json({ error: 'Token not found', code: 'not_found' });
+    if (req.cashier.scope === 'store') {
+      if (pass.redeemed_by_store !== req.cashier.storeId) {
+        return res.status(403).json({ error: 'Only the redeeming store can undo this redemption', code: 'store_forbidden' });
+      }
+      if (Date.now() - new Date(pass.redeemed_at).getTime() > CASHIER_UNDO_MINUTES * 60000) {
+        return res.status(403).json({ error: `Redemptions older than ${CASHIER_UNDO_MINUTES} minutes need an admin`, code: 'undo_window_passed' });
+      }
+    }
+
+    const posVoid = await posUndo(pass);
+    const result = await store.correctPass({ token, action, reason, note, by });
+    if (result.error === 'not_found') return res.status(404).json({ error: 'Token not found', code: 'not_found' });
+    if (result.error === 'not_redeemed') {
+      return res.status(409).json({ error: `Pass is ${result.pass ? result.pass.status : 'not redeemed'}`, code: 'not_redeemed' });
+    }
+
+    const { entry } = result;
+    console.log(`[void] ${result.pass.token_hash} ${entry.from} -> ${entry.to} (${reason}) by ${by} @ ${req.cashier.storeId || 'admin'}`);
+    res.json({ ok: true, token_hash: result.pass.token_hash, status: result.pass.status, entry, pos_void: posVoid });
+  } catch (e) {
+    console.error('cashier void error', e);
+    res.status(500).json({ error: 'void-failed' });
+  }
+});
+
+// Replay of scans queued by redeem.html while offline.
+// POST /api/redeem/batch  { store_id, staff?, scans: [{ token, scan_id, scanned_at, code?, store_id? }] }
+// -> { ok, results: [{ scan_id, token, status, ... }], summary: { [code]: n } }
+// Each scan is redeemed independently and in scan order; already_redeemed is a
+// conflict for the cashier to review, not a batch failure.
+// Nothing is pushed to POS adapters here: the ticket those scans belonged to is long closed.
+// A fresh redemption at a store with a POS adapter comes back as pos_pending instead of
+// redeemed, so the cashier checks that the discount made it onto that ticket by hand.
+app.post('/api/redeem/batch', requireCashier, async (req, res) => {
+  const body = req.body || {};
+  const scans = Array.isArray(body.scans) ? body.scans : null;
+  if (!scans || !scans.length) return res.status(400).json({ error: 'scans[] required' });
+  if (scans.length > MAX_BATCH_SCANS) return res.status(413).json({ error: `At most ${MAX_BATCH_SCANS} scans per batch` });
+
+  const ordered = scans
+    .map((s, i) => ({ ...(s || {}), i, at: scanTime(s && s.scanned_at) }))
+    .sort((a, b) => String(a.at || '').localeCompare(String(b.at || '')) || a.i - b.i);
+
+  const results = new Array(scans.length);
+  for (const scan of ordered) {
+    const token = String(scan.token || '').trim();
+    const scanId = String(scan.scan_id || '').trim();
+    const base = { scan_id: scanId, token, scanned_at: scan.at };
+    const scope = cashierScope(req.cashier, scan.store_id || body.store_id, scan.staff || body.staff);
+    if (scope.error) {
+      results[scan.i] = { ...base, status: scope.error.code, error: scope.error.error };
+      continue;
+    }
+    const { storeId, staff } = scope;
+
+    if (!token || !storeId) {
+      results[scan.i] = { ...base, status: 'invalid', error: 'Missing token/store_id' };
+      continue;
+    }
+    if (scanTooOld(scan.at)) {
+      results[scan.i] = { ...base, status: 'scan_too_old', error: `Scanned more than ${env.OFFLINE_SCAN_MAX_AGE_HOURS} h ago — redeem it again or reconcile it` };
+      continue;
+    }
+    try {
+      const full = await cashierToken(token); // live-code scans carry the token_hash
+      const rejected = await redeemPrecheck(full, { storeId, code: scan.code, at: scan.at });
+      const outcome = rejected || redeemOutcome(
+        await store.redeemPass({ token: full, storeId, staff, scanId, scannedAt: scan.at })
+      );
+      const { code, ...out } = outcome.body;
+      results[scan.i] = { ...base, status: code, ...out };
+      if (code === 'redeemed') {
+        const target = await posTarget(full, storeId);
+        if (target) {
+          const pos = target.adapter ? target.adapter.name : 'pos';
+          results[scan.i] = {
+            ...results[scan.i],
+            status: 'pos_pending',
+            pos,
+            error: target.error || `Redeemed, but the discount was not pushed to ${pos} — check the ticket`
+          };
+          console.log(`[pos] ${out.token_hash} redeemed offline at ${storeId}: not pushed to ${pos}`);
+        }
+      }
+    } catch (e) {
+      console.error('batch redeem error', e);
+      results[scan.i] = { ...base, status: 'error', error: 'redeem-failed' };
+    }
+  }
+
+  const summary = {};
+  for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+  res.json({ ok: true, results, summary });
 });
 
 // ======================================================================
 //  PUBLIC OFFERS API (includes logo + addresses + includes)
-//  UPDATED: auto-hide expired offers using expires_on (preferred)
+//  Only active offers (src/lib/offerStatus.js): drafts, scheduled deals before
+//  start_at, paused and expired ones are hidden. A draft can be seen through its
+//  private preview link: /offers.html?preview=<id>&t=<token> -> /api/offers/preview/:id
 // ======================================================================
+function publicOffer(id, o, redeemed, now) {
+  const expDays = o.expires_on
+    ? daysUntil(parseDateISO(o.expires_on) || new Date())
+    : o.expires_days;
+  const sched = scheduleState(o.schedule, now);
+
+  return {
+    id,
+    title: o.title,
+    restaurant: o.restaurant,
+    description: o.description,
+    category: o.category,
+    expires_days: expDays,
+    expires_on: o.expires_on || null,
+    hero_image: o.hero_image,
+    hero_variants: o.hero_variants || null, // uploaded sizes for srcset (src/lib/images.js)
+    hero_nozoom: o.hero_nozoom === true,
+    logo: o.logo,
+    logo_variants: o.logo_variants || null,
+    brand_color: o.brand_color,
+    accent_color: o.accent_color,
+    addresses: o.addresses || [],
+    fine_print: o.fine_print,
+    includes: (o.includes || o.Includes || o.bundle || '').trim(),
+    age_gate: o.age_gate || 'all-ages',
+    max_redemptions_total: toLimit(o.max_redemptions_total),
+    max_redemptions_per_user: toLimit(o.max_redemptions_per_user),
+    pass_valid_hours: toLimit(o.pass_valid_hours), // claimed pass lifetime (null = until offer end)
+    pass_valid_days: toLimit(o.pass_valid_days),
+    remaining: remainingFor(o, redeemed), // null = unlimited
+    schedule: o.schedule || null,
+    schedule_label: describeSchedule(o.schedule),
+    available_now: sched.available_now,
+    available_until: sched.available_until,
+    next_valid_at: sched.next_valid_at // null when available now (or never again)
+  };
+}
+
+// Private preview links: an HMAC of the offer id + created_at, so a clone gets its own link.
+// Without OFFER_PREVIEW_SECRET there are no previews (preview_url is null).
+function previewToken(id, o) {
+  if (!PREVIEW_SECRET) return null;
+  return crypto.createHmac('sha256', PREVIEW_SECRET)
+    .update(`offer-preview:${id}:${(o && o.created_at) || ''}`)
+    .digest('base64url').slice(0, 22);
+}
+function validPreview(id, o, token) {
+  const expected = previewToken(id, o);
+  const given = String(token || '');
+  return Boolean(expected) && given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+function previewUrl(req, id, o) {
+  const token = previewToken(id, o);
+  if (!token) return null;
+  const origin = BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${origin}/offers.html?preview=${encodeURIComponent(id)}&t=${token}`;
+}
+
 app.get('/api/offers', async (req, res) => {
   try {
     const map = await jread(OFFERS_FILE, {});  // { "id": { ...offer... }, ... }
+    const redeemedCounts = await store.redemptionCounts();
+    const now = new Date();
 
     const offers = Object.entries(map)
-      .filter(([id, o]) => o && o.active !== false && !isExpiredOffer(o))
-      .map(([id, o]) => {
-        const expDays = o.expires_on
-          ? daysUntil(parseDateISO(o.expires_on) || new Date())
-          : o.expires_days;
-
-        return {
-          id,
-          title: o.title,
-          restaurant: o.restaurant,
-          description: o.description,
-          category: o.category,
-          expires_days: expDays,
-          expires_on: o.expires_on || null,
-          hero_image: o.hero_image,
-          hero_nozoom: o.hero_nozoom === true,
-          logo: o.logo,
-          brand_color: o.brand_color,
-          accent_color: o.accent_color,
-          addresses: o.addresses || [],
-          fine_print: o.fine_print,
-          includes: (o.includes || o.Includes || o.bundle || '').trim(),
-          age_gate: o.age_gate || 'all-ages'
-        };
-      });
+      .filter(([, o]) => o && offerStatus(o, now) === 'active')
+      .map(([id, o]) => publicOffer(id, o, redeemedCounts[id], now));
 
     res.json({ offers });
   } catch (err) {
@@ -390,9 +1144,40 @@ app.get('/api/offers', async (req, res) => {
   }
 });
 
+// One offer in any status, same shape as /api/offers, for its preview link (?t=token).
+app.get('/api/offers/preview/:id', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    const map = await jread(OFFERS_FILE, {});
+    const o = map[req.params.id];
+    if (!o || !validPreview(req.params.id, o, req.query.t)) return res.status(404).json({ offers: [], error: 'Preview not found' });
+    const redeemedCounts = await store.redemptionCounts();
+    const offer = publicOffer(req.params.id, o, redeemedCounts[req.params.id], new Date());
+    res.json({ offers: [{ ...offer, status: offerStatus(o), start_at: o.start_at || null, preview: true }] });
+  } catch (err) {
+    console.error('Error in /api/offers/preview:', err);
+    res.status(500).json({ offers: [], error: 'Failed to load preview' });
+  }
+});
+
 // ======================================================================
-//  ADMIN: Create offers (writes to offers.json) — protected by API_KEY
-//  POST /api/admin/offers/create   (header x-api-key: API_KEY)
+//  ADMIN: Offer lifecycle (writes to offers.json) — protected by API_KEY
+//  draft -> scheduled -> active -> paused / expired, see src/lib/offerStatus.js
+//  GET  /api/admin/offers[?status=draft,scheduled][&archived=1]
+//                                        every offer grouped by status (archived on request)
+//  GET  /api/admin/offers/:id            one offer as stored, with its status + preview link
+//  POST /api/admin/offers/create         { restaurant, title, description, category, expires_on, ... } -> draft
+//  POST /api/admin/offers/update         { id, ...fields to change }  (status stays as is)
+//  POST /api/admin/offers/publish        { id, start_at? }  draft -> active now, or scheduled until start_at
+//  POST /api/admin/offers/pause          { id }           active/scheduled -> paused (hidden, no new claims)
+//  POST /api/admin/offers/resume         { id }           paused (or expired with a later expires_on)
+//                                                         -> active, or scheduled while start_at is ahead
+//  POST /api/admin/offers/clone          { id, new_id?, ...fields to change }  -> draft copy
+//  POST /api/admin/offers/archive        { id }           retired for good; read-only, clone to reuse
+//  (header x-api-key: API_KEY)
+//  Every write runs the create validation over the resulting offer and stamps updated_at.
+//  scheduled -> active at start_at and -> expired after expires_on are the cleanup job's.
+//  Passes already claimed stay redeemable when an offer is paused or archived.
 // ======================================================================
 function requireKeyJson(req, res, next) {
   const k = req.header('x-api-key') || req.query.key || '';
@@ -401,58 +1186,635 @@ function requireKeyJson(req, res, next) {
   next();
 }
 
+const OFFER_ID_RE = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+function newOfferId(restaurant, title) {
+  const idBase = `${toSlug(restaurant)}-${toSlug(title)}`.slice(0, 48);
+  return `${idBase}-${sha12(Date.now() + Math.random() + idBase).slice(0, 6)}`;
+}
+
+// Validate an admin payload and build the offer to store. On update/clone `base` is the
+// current offer: the payload is laid over it, so omitted fields keep their values and fields
+// this form does not manage (pos_discount, …) are carried along.
+// Returns { offer } or { error }.
+async function offerFromBody(body, base = null) {
+  const input = { ...(base || {}), ...body };
+
+  const restaurant = String(input.restaurant || '').trim();
+  const title = String(input.title || '').trim();
+  const description = String(input.description || '').trim();
+  const category = String(input.category || '').trim();
+  const expires_on = String(input.expires_on || '').trim(); // YYYY-MM-DD preferred
+  // Catalog entries from before expires_on carry expires_days; they may keep it.
+  const legacyExpiry = Boolean(base) && typeof base.expires_days === 'number';
+
+  if (!restaurant || !title || !description || !category || (!expires_on && !legacyExpiry)) {
+    return { error: 'Missing required fields' };
+  }
+
+  if (expires_on && !parseDateISO(expires_on)) return { error: 'Invalid expires_on date' };
+
+  const age_gate = String(input.age_gate || 'all-ages'); // all-ages | 18-plus-only | 21-plus-only
+  const allowedAge = new Set(['all-ages', '18-plus-only', '21-plus-only']);
+  const ageGateSafe = allowedAge.has(age_gate) ? age_gate : 'all-ages';
+
+  const limitFields = {};
+  for (const f of ['max_redemptions_total', 'max_redemptions_per_user', 'pass_valid_hours', 'pass_valid_days']) {
+    const raw = input[f];
+    if (raw === undefined || raw === null || raw === '') { limitFields[f] = null; continue; }
+    const n = toLimit(raw);
+    if (n === null) return { error: `Invalid ${f} (must be a positive whole number)` };
+    limitFields[f] = n;
+  }
+
+  const sched = normalizeSchedule(input.schedule);
+  if (sched.error) return { error: sched.error };
+
+  if (input.live_code === true && !(base && base.live_code) && !LIVE_CODE_SECRET) {
+    return { error: 'live_code needs LIVE_CODE_SECRET set on the server' };
+  }
+
+  const storeCodes = Array.isArray(input.store_codes) ? input.store_codes.map(c => String(c).trim()).filter(Boolean) : [];
+  if (storeCodes.length) {
+    const stores = await jread(STORES_FILE, {});
+    const unknown = storeCodes.filter(c => !stores[c]);
+    if (unknown.length) return { error: `Unknown store_codes: ${unknown.join(', ')}` };
+  }
+
+  const status = base ? storedStatus(base) : 'draft';
+  const hero_image = String(input.hero_image || '').trim();
+  const logo = String(input.logo || '').trim();
+  const offer = {
+    ...(base || {}),
+    status,
+    active: status === 'active' && !(base && base.archived),
+    title,
+    restaurant,
+    includes: String(input.includes || '').trim(),
+    client_slug: String(input.client_slug || toSlug(restaurant)).trim(),
+    category,
+    description,
+    expires_on, // ✅ source of truth for auto-hide
+    hero_image,
+    hero_variants: keepVariants(input.hero_variants, hero_image), // dropped when the URL no longer matches
+    hero_nozoom: input.hero_nozoom === true,
+    logo,
+    logo_variants: keepVariants(input.logo_variants, logo),
+    brand_color: String(input.brand_color || '').trim(),
+    accent_color: String(input.accent_color || '').trim(),
+    fine_print: String(input.fine_print || '').trim(),
+    age_gate: ageGateSafe,
+    addresses: Array.isArray(input.addresses) ? input.addresses : [],
+    ...limitFields,
+    live_code: input.live_code === true,
+    franchise_wide: input.franchise_wide === true, // redeemable at every store of the brand
+    store_codes: storeCodes,
+    schedule: sched.schedule,
+    created_at: (base && base.created_at) || nowISO(),
+    updated_at: nowISO()
+  };
+  if (!expires_on) delete offer.expires_on;
+  if (!storeCodes.length) delete offer.store_codes;
+  if (!sched.schedule) delete offer.schedule;
+  if (!offer.hero_variants) delete offer.hero_variants;
+  if (!offer.logo_variants) delete offer.logo_variants;
+  return { offer };
+}
+
+// The offer an admin write applies to; throws a catalogError (404/409) when it cannot be edited.
+function editableOffer(offers, id) {
+  const offer = offers[id];
+  if (!offer) throw catalogError(404, `Unknown offer id: ${id}`);
+  if (offer.archived) throw catalogError(409, 'Offer is archived; clone it to reuse it', { code: 'archived' });
+  return offer;
+}
+
+// Validate, save and answer for update/publish/pause/resume/archive. `edit(offer)` gives the
+// offer to lay `body` over; it runs under the catalog lock on the current offer.
+async function saveOfferEdit(req, res, action, body, edit = (offer) => offer) {
+  const id = String((req.body && req.body.id) || '').trim();
+  if (!id) return res.status(400).json({ error: 'id is required' });
+  let saved;
+  const revision = await saveCatalog(OFFERS_FILE, async (offers) => {
+    const built = await offerFromBody(body, edit(editableOffer(offers, id)));
+    if (built.error) throw catalogError(400, built.error);
+    saved = offers[id] = built.offer;
+    return offers;
+  }, { by: adminActor(req), action, note: id });
+  res.json({ ok: true, id, status: offerStatus(saved), offer: saved, revision: revision && revision.id });
+}
+
+// Admin status moves and the statuses they start from (what offerStatus() says now).
+const OFFER_MOVES = {
+  publish: ['draft'],
+  pause: ['active', 'scheduled'],
+  resume: ['paused', 'expired']
+};
+
+// Check the move, then save the offer moved to `to` (409 invalid_transition otherwise).
+async function moveOffer(req, res, action, to, changes = {}) {
+  await saveOfferEdit(req, res, action, {}, (current) => {
+    const from = offerStatus(current);
+    if (!OFFER_MOVES[action].includes(from)) {
+      throw catalogError(409, `Cannot ${action} a ${from} offer`, { code: 'invalid_transition', status: from });
+    }
+    const offer = { ...current, ...changes };
+    if (hasEnded(offer)) {
+      throw catalogError(409, `Offer ended on ${offer.expires_on || 'its expiry'}; move expires_on first`, { code: 'ended', status: from });
+    }
+    const next = typeof to === 'function' ? to(offer) : to; // resume: active or scheduled
+    return withStatus(offer, next, nowISO());
+  });
+}
+
+// Live now, unless start_at is still ahead.
+const liveStatus = (o) => {
+  const start = parseDateISO(o.start_at);
+  return start && start > new Date() ? 'scheduled' : 'active';
+};
+
+const offerSummary = (id, o) => ({
+  id,
+  title: o.title,
+  restaurant: o.restaurant,
+  status: offerStatus(o),
+  active: o.active !== false,
+  archived: o.archived === true,
+  expired: isExpiredOffer(o),
+  start_at: o.start_at || null,
+  expires_on: o.expires_on || null,
+  published_at: o.published_at || null,
+  updated_at: o.updated_at || null
+});
+
+const STATUS_ORDER = [...OFFER_STATUSES, 'archived'];
+
+app.get('/api/admin/offers', requireKeyJson, async (req, res) => {
+  try {
+    const withArchived = req.query.archived === '1';
+    const wanted = String(req.query.status || '').split(',').map(s => s.trim()).filter(Boolean);
+    const offers = await jread(OFFERS_FILE, {});
+    const list = Object.entries(offers)
+      .filter(([, o]) => o && (withArchived || !o.archived))
+      .map(([id, o]) => offerSummary(id, o))
+      .filter(o => !wanted.length || wanted.includes(o.status))
+      .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+        String(a.restaurant).localeCompare(String(b.restaurant)) || a.id.localeCompare(b.id));
+    const counts = Object.fromEntries(STATUS_ORDER.map(s => [s, 0]));
+    for (const o of list) counts[o.status] += 1;
+    res.json({ offers: list, counts });
+  } catch (e) {
+    console.error('list offers error', e);
+    res.status(500).json({ error: 'list-failed' });
+  }
+});
+
+app.get('/api/admin/offers/:id', requireKeyJson, async (req, res) => {
+  try {
+    const offers = await jread(OFFERS_FILE, {});
+    const offer = offers[req.params.id];
+    if (!offer) return res.status(404).json({ error: `Unknown offer id: ${req.params.id}` });
+    res.json({ ok: true, id: req.params.id, status: offerStatus(offer), preview_url: previewUrl(req, req.params.id, offer), offer });
+  } catch (e) {
+    console.error('get offer error', e);
+    res.status(500).json({ error: 'get-failed' });
+  }
+});
+
 app.post('/api/admin/offers/create', requireKeyJson, async (req, res) => {
   try {
+    const { by, ...body } = req.body || {};
+    const built = await offerFromBody(body);
+    if (built.error) return res.status(400).json({ error: built.error });
+
+    const id = newOfferId(built.offer.restaurant, built.offer.title);
+    const revision = await saveCatalog(OFFERS_FILE, (offers) => ({ ...offers, [id]: built.offer }),
+      { by: adminActor(req), action: 'create', note: id });
+    res.json({ ok: true, id, status: 'draft', preview_url: previewUrl(req, id, built.offer), revision: revision && revision.id });
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('create offer error', e);
+    res.status(500).json({ error: 'create-failed' });
+  }
+});
+
+app.post('/api/admin/offers/update', requireKeyJson, async (req, res) => {
+  try {
+    const { id, active, archived, created_at, by, status, start_at, published_at, status_changed_at, ...fields } = req.body; // lifecycle fields have their own endpoints
+    await saveOfferEdit(req, res, 'update', fields);
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('update offer error', e);
+    res.status(500).json({ error: 'update-failed' });
+  }
+});
+
+// start_at (ISO time) in the future schedules the offer; without one it goes live now.
+app.post('/api/admin/offers/publish', requireKeyJson, async (req, res) => {
+  try {
+    const raw = String(req.body.start_at || '').trim();
+    const startAt = raw ? parseDateISO(raw) : null;
+    if (raw && !startAt) return res.status(400).json({ error: 'Invalid start_at (expected an ISO date/time)' });
+    if (startAt && startAt > new Date()) {
+      await moveOffer(req, res, 'publish', 'scheduled', { start_at: startAt.toISOString() });
+    } else {
+      await moveOffer(req, res, 'publish', 'active');
+    }
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('publish offer error', e);
+    res.status(500).json({ error: 'publish-failed' });
+  }
+});
+
+app.post('/api/admin/offers/pause', requireKeyJson, async (req, res) => {
+  try {
+    await moveOffer(req, res, 'pause', 'paused');
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('pause offer error', e);
+    res.status(500).json({ error: 'pause-failed' });
+  }
+});
+
+app.post('/api/admin/offers/resume', requireKeyJson, async (req, res) => {
+  try {
+    await moveOffer(req, res, 'resume', liveStatus);
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('resume offer error', e);
+    res.status(500).json({ error: 'resume-failed' });
+  }
+});
+
+app.post('/api/admin/offers/archive', requireKeyJson, async (req, res) => {
+  try {
+    await saveOfferEdit(req, res, 'archive', {}, (offer) => ({ ...offer, active: false, archived: true, archived_at: nowISO() }));
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('archive offer error', e);
+    res.status(500).json({ error: 'archive-failed' });
+  }
+});
+
+// Archived offers can be cloned too: that is how a retired deal comes back.
+app.post('/api/admin/offers/clone', requireKeyJson, async (req, res) => {
+  try {
+    const { id, new_id, active, archived, created_at, by, status, start_at, published_at, status_changed_at, ...fields } = req.body || {};
+    const newId = new_id === undefined || new_id === '' ? null : String(new_id).trim();
+    if (newId && !OFFER_ID_RE.test(newId)) return res.status(400).json({ error: 'new_id must be lowercase letters, digits and dashes' });
+
+    let cloneId, built;
+    const revision = await saveCatalog(OFFERS_FILE, async (offers) => {
+      const source = offers[String(id || '')];
+      if (!source) throw catalogError(404, `Unknown offer id: ${id}`);
+      if (newId && offers[newId]) throw catalogError(409, `Offer id ${newId} is taken`, { code: 'id_taken' });
+
+      const {
+        archived: _a, archived_at, paused_at, updated_at, created_at: _c, cloned_from,
+        status: _s, start_at: _st, published_at: _p, status_changed_at: _sc, ...copy
+      } = source;
+      built = await offerFromBody(fields, { ...copy, status: 'draft', cloned_from: id });
+      if (built.error) throw catalogError(400, built.error);
+
+      cloneId = newId || newOfferId(built.offer.restaurant, built.offer.title);
+      offers[cloneId] = built.offer;
+      return offers;
+    }, { by: adminActor(req), action: 'clone', note: () => `${cloneId} from ${id}` });
+    res.json({ ok: true, id: cloneId, offer: built.offer, revision: revision && revision.id });
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('clone offer error', e);
+    res.status(500).json({ error: 'clone-failed' });
+  }
+});
+
+// ======================================================================
+//  ADMIN: Image uploads for hero images / logos — protected by API_KEY
+//  POST /api/admin/images?brand=<restaurant>&kind=hero|logo
+//       body: the file itself, Content-Type image/png | image/jpeg | image/webp
+//  -> { ok, url, variants: [{ name, width, height, url, webp }], width, height, hash }
+//  Written under public/<brand>/ with content-hashed names (src/lib/images.js); the deal
+//  form puts `url` in hero_image / logo and `variants` in hero_variants / logo_variants.
+// ======================================================================
+const rawImage = express.raw({ type: ['image/*', 'application/octet-stream'], limit: env.IMAGE_UPLOAD_MAX_BYTES });
+
+function readImageBody(req, res, next) {
+  rawImage(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Image is larger than ${Math.round(env.IMAGE_UPLOAD_MAX_BYTES / 1048576)} MB`, code: 'too_large' });
+    }
+    res.status(400).json({ error: 'Could not read the upload', code: 'bad_upload' });
+  });
+}
+
+app.post('/api/admin/images', requireKeyJson, readImageBody, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: 'Send the image file as the request body (PNG, JPEG or WebP)', code: 'unsupported_type' });
+    }
+    const image = await saveUploadedImage(req.body, {
+      brand: String(req.query.brand || ''),
+      kind: String(req.query.kind || 'hero'),
+      declaredType: req.is('image/*') ? req.get('content-type') : ''
+    });
+    res.json({ ok: true, ...image });
+  } catch (e) {
+    if (e instanceof ImageError) return res.status(e.status).json({ error: e.message, code: e.code });
+    console.error('image upload error', e);
+    res.status(500).json({ error: 'upload-failed' });
+  }
+});
+
+// ======================================================================
+//  ADMIN: Catalog revisions (offers.json / stores.json) — protected by API_KEY
+//  GET  /api/admin/catalog/revisions[?catalog=offers|stores][&offer=id][&limit=50]
+//  GET  /api/admin/catalog/revisions/:id[?snapshot=1]     who/when + per-offer diff
+//  POST /api/admin/catalog/revisions/:id/restore { offer_id? | store_id?, by? }
+//       one entry (offer_id / store_id) or the whole catalog back to how it was right
+//       after revision :id; the restore is itself recorded as a new revision
+//  POST /api/admin/catalog/revisions/prune               apply the retention rule now
+// ======================================================================
+app.get('/api/admin/catalog/revisions', requireKeyJson, async (req, res) => {
+  try {
+    const catalog = ['offers', 'stores'].includes(req.query.catalog) ? req.query.catalog : undefined;
+    const key = String(req.query.offer || req.query.store || '').trim() || undefined;
+    const limit = Math.min(500, toLimit(req.query.limit) || 50);
+    res.json({ revisions: await listRevisions({ catalog, key, limit }) });
+  } catch (e) {
+    console.error('list revisions error', e);
+    res.status(500).json({ error: 'revisions-failed' });
+  }
+});
+
+app.get('/api/admin/catalog/revisions/:id', requireKeyJson, async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.id, { snapshot: req.query.snapshot === '1' });
+    if (!revision) return res.status(404).json({ error: 'Unknown or pruned revision' });
+    res.json({ ok: true, revision });
+  } catch (e) {
+    console.error('get revision error', e);
+    res.status(500).json({ error: 'revision-failed' });
+  }
+});
+
+app.post('/api/admin/catalog/revisions/:id/restore', requireKeyJson, async (req, res) => {
+  try {
+    const rev = await getRevision(req.params.id, { snapshot: true });
+    if (!rev || !rev.snapshot) return res.status(404).json({ error: 'Unknown or pruned revision' });
+
+    const file = rev.catalog === 'stores' ? STORES_FILE : OFFERS_FILE;
     const body = req.body || {};
+    const entry = String((rev.catalog === 'stores' ? body.store_id : body.offer_id) || '').trim();
+
+    // One entry is laid over the catalog as it is under the lock, so the revision's diff
+    // (and any concurrent edit to other entries) stays intact.
+    const restore = (current) => {
+      if (!entry) return rev.snapshot;
+      const had = Object.prototype.hasOwnProperty.call(rev.snapshot, entry);
+      if (!had && !current[entry]) throw catalogError(404, `${entry} is in neither revision ${rev.id} nor the current catalog`);
+      if (had) current[entry] = rev.snapshot[entry];
+      else delete current[entry]; // it did not exist yet at that revision
+      return current;
+    };
 
-    const restaurant = String(body.restaurant || '').trim();
-    const title = String(body.title || '').trim();
-    const description = String(body.description || '').trim();
-    const category = String(body.category || '').trim();
-    const expires_on = String(body.expires_on || '').trim(); // YYYY-MM-DD preferred
+    const note = entry ? `${entry} from revision ${rev.id}` : `${rev.catalog} from revision ${rev.id}`;
+    const revision = await saveCatalog(file, restore, { by: adminActor(req), action: 'restore', note });
+    console.log(`[catalog] restored ${note} by ${adminActor(req)}`);
+    res.json({ ok: true, restored_from: rev.id, catalog: rev.catalog, entry: entry || null, revision });
+  } catch (e) {
+    if (sendCatalogError(res, e)) return;
+    console.error('restore revision error', e);
+    res.status(500).json({ error: 'restore-failed' });
+  }
+});
 
-    if (!restaurant || !title || !description || !category || !expires_on) {
-      return res.status(400).json({ error: 'Missing required fields' });
+app.post('/api/admin/catalog/revisions/prune', requireKeyJson, async (_req, res) => {
+  try {
+    const removed = await pruneRevisions({ backupDirs: [path.dirname(OFFERS_FILE)] });
+    res.json({ ok: true, removed });
+  } catch (e) {
+    console.error('prune revisions error', e);
+    res.status(500).json({ error: 'prune-failed' });
+  }
+});
+
+// ======================================================================
+//  ADMIN: Void / reverse a redemption (mis-scans) — protected by API_KEY
+//  POST /api/admin/redemptions/void  { token | token_hash, action: reverse|void, reason, note?, by }
+//    reverse: redeemed -> issued (coupon usable again); void: redeemed -> voided
+// ======================================================================
+app.post('/api/admin/redemptions/void', requireKeyJson, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const action = String(body.action || '').trim();
+    const reason = String(body.reason || '').trim();
+    const note = String(body.note || '').trim();
+    const by = String(body.by || '').trim();
+
+    const invalid = validateVoidRequest({ action, reason, note, by });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    let token = String(body.token || '').trim();
+    if (!token && body.token_hash) {
+      const found = await store.findPassByHash(String(body.token_hash).trim());
+      token = found ? found.token : '';
     }
+    if (!token) return res.status(404).json({ error: 'Token not found', code: 'not_found' });
 
-    const exp = parseDateISO(expires_on);
-    if (!exp) return res.status(400).json({ error: 'Invalid expires_on date' });
+    const posVoid = await posUndo(await store.findPass(token));
+    const result = await store.correctPass({ token, action, reason, note, by });
+    if (result.error === 'not_found') return res.status(404).json({ error: 'Token not found', code: 'not_found' });
+    if (result.error === 'not_redeemed') {
+      return res.status(409).json({ error: `Pass is ${result.pass ? result.pass.status : 'not redeemed'}`, code: 'not_redeemed' });
+    }
 
-    const age_gate = String(body.age_gate || 'all-ages'); // all-ages | 18-plus-only | 21-plus-only
-    const allowedAge = new Set(['all-ages', '18-plus-only', '21-plus-only']);
-    const ageGateSafe = allowedAge.has(age_gate) ? age_gate : 'all-ages';
+    const { pass, entry } = result;
+    console.log(`[void] ${pass.token_hash} ${entry.from} -> ${entry.to} (${reason}) by ${by}`);
+    res.json({ ok: true, token_hash: pass.token_hash, status: pass.status, entry, pos_void: posVoid });
+  } catch (e) {
+    console.error('void redemption error', e);
+    res.status(500).json({ error: 'void-failed' });
+  }
+});
 
-    const offers = await jread(OFFERS_FILE, {});
+// ======================================================================
+//  ADMIN: Paper-coupon reconciliation — protected by API_KEY
+//  POST /api/admin/redemptions/reconcile[?dry=1]
+//    text/csv body, or JSON { csv | rows: [{ token | token_hash, store_id, date }], store_id?, date?, by? }
+//    (see src/lib/reconcile.js for the accepted CSV shapes; store_id/date are per-row defaults)
+//  -> { ok, dry_run, rows, summary: { [status]: n }, results: [{ line, input, status, ... }] }
+//  status: redeemed | already_redeemed | unknown | expired | voided | store_not_eligible | invalid | ...
+//  dry=1 reports what would happen without writing.
+// ======================================================================
+const MAX_RECONCILE_ROWS = 5000;
 
-    const idBase = `${toSlug(restaurant)}-${toSlug(title)}`.slice(0, 48);
-    const id = `${idBase}-${sha12(Date.now() + Math.random() + idBase).slice(0, 6)}`;
-
-    offers[id] = {
-      active: true,
-      title,
-      restaurant,
-      includes: String(body.includes || '').trim(),
-      client_slug: String(body.client_slug || toSlug(restaurant)).trim(),
-      category,
-      description,
-      expires_on, // ✅ source of truth for auto-hide
-      hero_image: String(body.hero_image || '').trim(),
-      hero_nozoom: body.hero_nozoom === true,
-      logo: String(body.logo || '').trim(),
-      brand_color: String(body.brand_color || '').trim(),
-      accent_color: String(body.accent_color || '').trim(),
-      fine_print: String(body.fine_print || '').trim(),
-      age_gate: ageGateSafe,
-      addresses: Array.isArray(body.addresses) ? body.addresses : [],
-      created_at: nowISO(),
-      updated_at: nowISO()
+function reconcileRows(body, defaults) {
+  if (typeof body === 'string') return parseReconcileInput(body, defaults);
+  if (Array.isArray(body.rows)) {
+    return body.rows.map((r, i) => {
+      const value = String((r && (r.token || r.token_hash)) || '').trim();
+      return {
+        line: i + 1,
+        value,
+        kind: r && r.token ? 'token' : 'token_hash',
+        store_id: String((r && r.store_id) || defaults.storeId || '').trim(),
+        date: String((r && r.date) || defaults.date || '').trim()
+      };
+    });
+  }
+  return parseReconcileInput(body.csv || body.text || '', defaults);
+}
+
+app.post('/api/admin/redemptions/reconcile', requireKeyJson, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const json = typeof body === 'object' ? body : {};
+    const dry = String(req.query.dry || '') === '1' || json.dry === true;
+    const by = String(json.by || req.query.by || '').trim();
+    const defaults = {
+      storeId: String(json.store_id || req.query.store_id || '').trim(),
+      date: String(json.date || req.query.date || '').trim()
     };
 
-    await jwrite(OFFERS_FILE, offers);
-    res.json({ ok: true, id });
+    const rows = reconcileRows(body, defaults);
+    if (!rows.length) return res.status(400).json({ error: 'No rows: send a CSV or rows[] of token/token_hash, store_id, date' });
+    if (rows.length > MAX_RECONCILE_ROWS) return res.status(413).json({ error: `At most ${MAX_RECONCILE_ROWS} rows per upload` });
+
+    const { offers, stores } = await loadCatalog();
+    const seen = new Set();
+    const results = [];
+
+    for (const row of rows) {
+      const base = { line: row.line, input: row.value, store_id: row.store_id, date: row.date };
+      const at = reconcileDate(row.date);
+      const invalid = !row.value ? 'Missing token/token_hash'
+        : !row.store_id ? 'Missing store_id'
+        : !Object.prototype.hasOwnProperty.call(stores || {}, row.store_id) ? `Unknown store_id: ${row.store_id}`
+        : !at ? 'Missing or invalid date'
+        : null;
+      if (invalid) {
+        results.push({ ...base, status: 'invalid', error: invalid });
+        continue;
+      }
+
+      const pass = row.kind === 'token_hash'
+        ? await store.findPassByHash(row.value.toLowerCase())
+        : await store.findPass(row.value);
+      if (!pass) {
+        results.push({ ...base, status: 'unknown', error: 'No pass with this token/token_hash' });
+        continue;
+      }
+      const found = { ...base, token_hash: pass.token_hash, offer: pass.offer };
+      if (seen.has(pass.id)) {
+        results.push({ ...found, status: 'already_redeemed', error: 'Listed more than once in this upload' });
+        continue;
+      }
+      seen.add(pass.id);
+
+      const ineligible = storePrecheck(offers[pass.offer] || {}, stores, row.store_id);
+      if (ineligible) {
+        results.push({ ...found, status: 'store_not_eligible', error: ineligible.body.error });
+        continue;
+      }
+
+      // Expiry is judged at the row's date, as store.redeemPass does for the live run: a coupon
+      // taken before it expired still reconciles, even once the pass has been flipped to expired.
+      const when = scanTime(at);
+      let outcome;
+      if (dry) {
+        const status = isLapsed(pass, when) ? 'expired' : expiredAfter(pass, when) ? 'issued' : pass.status;
+        outcome = status === 'issued'
+          ? { body: { code: 'redeemed', redeemed_at: when > pass.issued_at ? when : new Date().toISOString() } }
+          : redeemOutcome({ ok: false, error: status === 'redeemed' ? 'already_redeemed' : status, pass });
+      } else {
+        outcome = redeemOutcome(await store.redeemPass({
+          token: pass.token, storeId: row.store_id, staff: by || 'paper reconcile', scanId: '', scannedAt: when
+        }));
+      }
+      const { code, ok, replayed, token_hash, ...out } = outcome.body;
+      results.push({ ...found, status: code === 'not_found' ? 'unknown' : code, ...out });
+    }
+
+    const summary = {};
+    for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+    if (!dry) console.log(`[reconcile] ${rows.length} row(s)${by ? ` by ${by}` : ''}:`, JSON.stringify(summary));
+    res.json({ ok: true, dry_run: dry, rows: rows.length, summary, results });
   } catch (e) {
-    console.error('create offer error', e);
-    res.status(500).json({ error: 'create-failed' });
+    console.error('reconcile error', e);
+    res.status(500).json({ ok: false, error: 'reconcile-failed' });
+  }
+});
+
+// ======================================================================
+//  ADMIN: Store credentials for redeem.html — protected by API_KEY
+//  GET  /api/admin/credentials[?store_id=]
+//  POST /api/admin/credentials/issue   { store_id, kind: device|pin, label?, staff?, pin?, require_pin?, by? }
+//    device -> { token }  (shown once; paste into redeem.html as the API key)
+//    pin    -> { pin }    (given or generated 6 digits; recorded as redeemed_by_staff = staff)
+//  POST /api/admin/credentials/revoke  { id, by? }
+// ======================================================================
+app.get('/api/admin/credentials', requireKeyJson, async (req, res) => {
+  try {
+    const storeId = (req.query.store_id || '').toString().trim();
+    const list = await store.listCredentials({ storeId: storeId || undefined });
+    res.json({ ok: true, credentials: list.map(publicCredential) });
+  } catch (e) {
+    console.error('list credentials error', e);
+    res.status(500).json({ error: 'list-failed' });
+  }
+});
+
+app.post('/api/admin/credentials/issue', requireKeyJson, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const kind = String(body.kind || '').trim();
+    const storeId = String(body.store_id || '').trim();
+    const label = String(body.label || '').trim();
+    const staff = String(body.staff || '').trim();
+    const by = String(body.by || '').trim();
+    let pin = String(body.pin || '').trim();
+
+    const { stores } = await loadCatalog();
+    const invalid = validateCredentialRequest({ kind, storeId, staff, pin }, stores);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const secret = kind === 'device' ? newDeviceToken() : (pin = pin || newPin());
+    const result = await store.issueCredential({
+      kind, storeId, label, staff, by,
+      requirePin: body.require_pin === true || body.require_pin === 'true',
+      secretHash: credentialHash(kind, secret, storeId)
+    });
+    if (!result.ok) return res.status(409).json({ error: `That PIN is already in use at ${storeId}`, code: 'duplicate' });
+
+    console.log(`[credentials] issued ${kind} ${result.credential.id} for ${storeId}${by ? ` by ${by}` : ''}`);
+    res.json({
+      ok: true,
+      credential: publicCredential(result.credential),
+      ...(kind === 'device' ? { token: secret } : { pin })
+    });
+  } catch (e) {
+    console.error('issue credential error', e);
+    res.status(500).json({ error: 'issue-failed' });
+  }
+});
+
+app.post('/api/admin/credentials/revoke', requireKeyJson, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const id = String(body.id || '').trim();
+    if (!id) return res.status(400).json({ error: 'id required' });
+    const result = await store.revokeCredential({ id, by: String(body.by || '').trim() });
+    if (result.error === 'not_found') return res.status(404).json({ error: 'Credential not found', code: 'not_found' });
+    if (result.error === 'revoked') {
+      return res.status(409).json({ error: 'Credential already revoked', code: 'revoked', credential: publicCredential(result.credential) });
+    }
+    console.log(`[credentials] revoked ${id}`);
+    res.json({ ok: true, credential: publicCredential(result.credential) });
+  } catch (e) {
+    console.error('revoke credential error', e);
+    res.status(500).json({ error: 'revoke-failed' });
   }
 });
 
@@ -460,26 +1822,38 @@ app.post('/api/admin/offers/create', requireKeyJson, async (req, res) => {
 //  EVENTS
 // ======================================================================
 app.post('/api/save', async (req, res) => {
-  const { offer_id } = req.body || {};
-  const ev = await jread(EVENTS_FILE, { events: [] });
-  ev.events.push({ t: nowISO(), type: 'save', offer_id, meta: {} });
-  await jwrite(EVENTS_FILE, ev);
-  res.json({ ok: true });
+  try {
+    const { offer_id } = req.body || {};
+    await updateJson(EVENTS_FILE, () => ({ events: [] }), ev => {
+      ev.events = ev.events || [];
+      ev.events.push({ t: nowISO(), type: 'save', offer_id, meta: {} });
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('save event error', e);
+    res.status(500).json({ error: 'save-failed' });
+  }
 });
 
 app.post('/api/event', async (req, res) => {
-  const { type, offer_id, restaurant, client_slug, meta } = req.body || {};
-  const ev = await jread(EVENTS_FILE, { events: [] });
-  ev.events.push({
-    t: nowISO(),
-    type: type || 'unknown',
-    offer_id: offer_id || '',
-    restaurant: restaurant || '',
-    client_slug: client_slug || '',
-    meta: meta || {}
-  });
-  await jwrite(EVENTS_FILE, ev);
-  res.json({ ok: true });
+  try {
+    const { type, offer_id, restaurant, client_slug, meta } = req.body || {};
+    await updateJson(EVENTS_FILE, () => ({ events: [] }), ev => {
+      ev.events = ev.events || [];
+      ev.events.push({
+        t: nowISO(),
+        type: type || 'unknown',
+        offer_id: offer_id || '',
+        restaurant: restaurant || '',
+        client_slug: client_slug || '',
+        meta: meta || {}
+      });
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('event error', e);
+    res.status(500).json({ error: 'event-failed' });
+  }
 });
 
 // ======================================================================
@@ -564,15 +1938,13 @@ app.get('/admin/geocode', requireKey, async (req, res) => {
       };
     });
 
-    const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 15);
-    const backupPath = OFFERS_FILE.replace(/\.json$/i, `.backup-${stamp}.json`);
-    if (!dry) fs.copyFileSync(OFFERS_FILE, backupPath);
-
     const ids = Object.keys(offers).filter(id => !onlyId || id === onlyId);
     let requests = 0, hits = 0, misses = 0, touchedOffers = 0, borrowed = 0;
 
+    const geocoded = {}; // id -> { was, addresses }: applied to the catalog as it is at save time
     for (const id of ids) {
       const o = offers[id];
+      const was = JSON.stringify([o.addresses, o.address]);
 
       // Normalize to array "addresses"
       let list = [];
@@ -630,13 +2002,25 @@ app.get('/admin/geocode', requireKey, async (req, res) => {
         await sleep(1100);
       }
 
-      if (list.length) o.addresses = list;
+      if (list.length) geocoded[id] = { was, addresses: list };
       if (updated) touchedOffers++;
     }
 
-    if (!dry) {
-      await jwrite(OFFERS_FILE, offers);
-    }
+    // Geocoding takes ~1s per address, so the catalog is not locked meanwhile: the new
+    // addresses go onto the current offers, skipping any whose addresses were edited since.
+    let skipped = 0;
+    const applyGeocoded = (current) => {
+      for (const [id, { was, addresses }] of Object.entries(geocoded)) {
+        const o = current[id];
+        if (!o || JSON.stringify([o.addresses, o.address]) !== was) { skipped++; continue; }
+        o.addresses = addresses;
+        delete o.address;
+      }
+      return current;
+    };
+
+    // The previous catalog is kept as a revision (restorable) instead of a .backup file
+    const revision = dry ? null : await saveCatalog(OFFERS_FILE, applyGeocoded, { by: adminActor(req), action: 'geocode', note: onlyId });
 
     res.json({
       ok: true,
@@ -647,9 +2031,11 @@ app.get('/admin/geocode', requireKey, async (req, res) => {
       hits,
       misses,
       borrowed_from_stores: borrowed,
-      backup: dry ? null : path.basename(backupPath)
+      skipped_edited: skipped,
+      revision: revision ? revision.id : null
     });
   } catch (e) {
+    if (sendCatalogError(res, e)) return;
     console.error('geocode error', e);
     res.status(500).json({ ok: false, error: 'geocode-failed' });
   }
@@ -661,54 +2047,56 @@ app.get('/admin/sync-stores', requireKey, async (req, res) => {
   try{
     const dry = String(req.query.dry || '') === '1';
     const offers = await jread(OFFERS_FILE, {});
-    const existingStores = await jread(STORES_FILE, {}); // object map
-
-    const indexKey = (brand, label) => `${(brand||'').trim()}|${(label||'').trim()}`.toLowerCase();
-    const existingByKey = new Map();
-    Object.entries(existingStores).forEach(([code, meta]) => {
-      const brand = (typeof meta === 'string') ? meta : (meta.brand || '');
-      const label = (typeof meta === 'string') ? meta : (meta.label || meta.brand || code);
-      existingByKey.set(indexKey(brand, label), { code, meta: (typeof meta === 'string' ? { brand, label } : meta) });
-    });
 
-    const upserts = [];
-    const storesOut = { ...existingStores };
-
-    for (const [offerId, o] of Object.entries(offers)) {
-      const brand = o.restaurant || o.brand || '';
-      const arr = Array.isArray(o.addresses) ? o.addresses.map(normalizeAddrEntry) : [];
-      arr.forEach((a) => {
-        if (!a.label) return;
-        const key = indexKey(brand, a.label);
-        if (existingByKey.has(key)) {
-          const { code, meta } = existingByKey.get(key);
-          const oldLat = meta.lat, oldLng = meta.lng;
-          const newLat = isFiniteNum(a.lat) ? a.lat : oldLat;
-          const newLng = isFiniteNum(a.lng) ? a.lng : oldLng;
-          const updatedMeta = { ...meta, brand: brand || meta.brand, label: a.label, lat: newLat, lng: newLng };
-          if (JSON.stringify({lat:oldLat,lng:oldLng}) !== JSON.stringify({lat:newLat,lng:newLng})) {
-            upserts.push({ action:'update', code, brand, label:a.label, lat:newLat, lng:newLng });
-          }
-          storesOut[code] = updatedMeta;
-        } else {
-          const code = `${toSlug(brand)||'store'}-${sha12(a.label).slice(0,6)}`;
-          const meta = { brand, label: a.label };
-          if (isFiniteNum(a.lat) && isFiniteNum(a.lng)) { meta.lat = a.lat; meta.lng = a.lng; }
-          storesOut[code] = meta;
-          existingByKey.set(key, { code, meta });
-          upserts.push({ action:'insert', code, brand, label:a.label, lat: meta.lat ?? null, lng: meta.lng ?? null });
-        }
+    // Planned against stores.json as it is under the lock (dry run: as it is now)
+    const plan = (existingStores) => {
+      const indexKey = storeKey; // same brand|label matching as redeem eligibility (src/lib/storeMatch.js)
+      const existingByKey = new Map();
+      Object.entries(existingStores).forEach(([code, meta]) => {
+        const brand = (typeof meta === 'string') ? meta : (meta.brand || '');
+        const label = (typeof meta === 'string') ? meta : (meta.label || meta.brand || code);
+        existingByKey.set(indexKey(brand, label), { code, meta: (typeof meta === 'string' ? { brand, label } : meta) });
       });
-    }
 
-    let backupName = null;
-    if (!dry) {
-      const stamp = new Date().toISOString().replace(/[-:T]/g,'').slice(0,15);
-      const backupPath = STORES_FILE.replace(/\.json$/i, `.backup-${stamp}.json`);
-      if (fs.existsSync(STORES_FILE)) fs.copyFileSync(STORES_FILE, backupPath);
-      backupName = path.basename(backupPath);
-      await jwrite(STORES_FILE, storesOut);
-    }
+      const upserts = [];
+      const storesOut = { ...existingStores };
+
+      for (const [offerId, o] of Object.entries(offers)) {
+        const brand = o.restaurant || o.brand || '';
+        const arr = Array.isArray(o.addresses) ? o.addresses.map(normalizeAddrEntry) : [];
+        arr.forEach((a) => {
+          if (!a.label) return;
+          const key = indexKey(brand, a.label);
+          if (existingByKey.has(key)) {
+            const { code, meta } = existingByKey.get(key);
+            const oldLat = meta.lat, oldLng = meta.lng;
+            const newLat = isFiniteNum(a.lat) ? a.lat : oldLat;
+            const newLng = isFiniteNum(a.lng) ? a.lng : oldLng;
+            const updatedMeta = { ...meta, brand: brand || meta.brand, label: a.label, lat: newLat, lng: newLng };
+            if (JSON.stringify({lat:oldLat,lng:oldLng}) !== JSON.stringify({lat:newLat,lng:newLng})) {
+              upserts.push({ action:'update', code, brand, label:a.label, lat:newLat, lng:newLng });
+            }
+            storesOut[code] = updatedMeta;
+          } else {
+            const code = `${toSlug(brand)||'store'}-${sha12(a.label).slice(0,6)}`;
+            const meta = { brand, label: a.label };
+            if (isFiniteNum(a.lat) && isFiniteNum(a.lng)) { meta.lat = a.lat; meta.lng = a.lng; }
+            storesOut[code] = meta;
+            existingByKey.set(key, { code, meta });
+            upserts.push({ action:'insert', code, brand, label:a.label, lat: meta.lat ?? null, lng: meta.lng ?? null });
+          }
+        });
+      }
+      return { storesOut, upserts };
+    };
+
+    // The previous stores.json is kept as a revision (restorable) instead of a .backup file
+    let storesOut, upserts;
+    const revision = dry ? null : await saveCatalog(STORES_FILE, (current) => {
+      ({ storesOut, upserts } = plan(current));
+      return storesOut;
+    }, { by: adminActor(req), action: 'sync-stores' });
+    if (dry) ({ storesOut, upserts } = plan(await jread(STORES_FILE, {})));
 
     const total = Object.keys(storesOut).length;
     res.json({
@@ -716,20 +2104,25 @@ app.get('/admin/sync-stores', requireKey, async (req, res) => {
       dry_run: dry,
       total_stores_after: total,
       changes: upserts.length,
-      backup: dry ? null : backupName,
+      revision: revision ? revision.id : null,
       sample_changes: upserts.slice(0, 20)
     });
   }catch(e){
+    if (sendCatalogError(res, e)) return;
     console.error('sync-stores error', e);
     res.status(500).json({ ok:false, error: 'sync-stores-failed', message: e.message || String(e) });
   }
 });
 
 app.get('/hub', requireKey, async (req, res) => {
-  const db = await jread(DB_FILE, { passes: [] });
-  const rows = db.passes.slice().reverse().map(p => `
+  const passes = await store.listPasses();
+  const rows = passes.slice().reverse().map(p => {
+    const fix = lastCorrection(p);
+    const fixCell = fix ? `${fix.action}: ${fix.reason} — ${fix.by} @ ${fix.at}` : '';
+    return `
     <tr><td><code>${p.token_hash}</code></td><td>${p.offer}</td><td>${p.restaurant}</td>
-    <td>${p.client_slug}</td><td>${p.status}</td><td>${p.issued_at}</td><td>${p.redeemed_at || ''}</td></tr>`).join('');
+    <td>${p.client_slug}</td><td>${p.status}</td><td>${p.issued_at}</td><td>${p.redeemed_at || ''}</td><td>${fixCell}</td></tr>`;
+  }).join('');
   const keyParam = encodeURIComponent(req.query.key || '');
   res.send(`<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
 <title>Admin Hub</title>
@@ -749,18 +2142,51 @@ app.get('/hub', requireKey, async (req, res) => {
   <a href="/admin/sync-stores?key=${keyParam}">Sync stores now</a> ·
   <a href="/admin/sync-stores?dry=1&key=${keyParam}" title="Preview only, no write">Preview sync (dry run)</a>
 </p>
+<details>
+  <summary>Reconcile paper coupons</summary>
+  <p><small>One coupon per line: <code>token or token_hash,store_id,date</code> (a header row is fine). Store/date below fill blank columns.</small></p>
+  <textarea id="rc-csv" rows="6" placeholder="9f3efa40e076,popeyes-mckinney-121,2026-10-01"></textarea>
+  <div class="grid">
+    <input id="rc-store" placeholder="default store_id">
+    <input id="rc-date" type="date">
+    <input id="rc-file" type="file" accept=".csv,text/csv,text/plain">
+  </div>
+  <button id="rc-dry" class="secondary">Dry run</button> <button id="rc-go">Reconcile</button>
+  <pre id="rc-out" style="max-height:320px;overflow:auto"></pre>
+</details>
+<script>
+(function(){
+  const $ = id => document.getElementById(id);
+  $('rc-file').addEventListener('change', async e => { const f = e.target.files[0]; if (f) $('rc-csv').value = await f.text(); });
+  async function run(dry){
+    if (!dry && !confirm('Mark these coupons redeemed?')) return;
+    $('rc-out').textContent = 'Working…';
+    const r = await fetch('/api/admin/redemptions/reconcile' + (dry ? '?dry=1' : ''), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-api-key': ${JSON.stringify(String(req.query.key || ''))} },
+      body: JSON.stringify({ csv: $('rc-csv').value, store_id: $('rc-store').value, date: $('rc-date').value, by: 'hub' })
+    });
+    const j = await r.json();
+    $('rc-out').textContent = j.results
+      ? (j.dry_run ? 'DRY RUN — nothing written\n' : '') + JSON.stringify(j.summary) + '\n\n' +
+        j.results.map(x => [x.line, x.input, x.status, x.token_hash || '', x.error || x.redeemed_at || ''].join('  ')).join('\n')
+      : (j.error || 'Failed');
+  }
+  $('rc-dry').addEventListener('click', () => run(true));
+  $('rc-go').addEventListener('click', () => run(false));
+})();
+</script>
 <div style="overflow:auto">
 <table>
-  <thead><tr><th>Token</th><th>Offer</th><th>Restaurant</th><th>Client</th><th>Status</th><th>Issued</th><th>Redeemed</th></tr></thead>
-  <tbody>${rows || '<tr><td colspan="7">No passes</td></tr>'}</tbody>
+  <thead><tr><th>Token</th><th>Offer</th><th>Restaurant</th><th>Client</th><th>Status</th><th>Issued</th><th>Redeemed</th><th>Last correction</th></tr></thead>
+  <tbody>${rows || '<tr><td colspan="8">No passes</td></tr>'}</tbody>
 </table>
 </div>
 </body></html>`);
 });
 
 app.get('/hub/dashboard', requireKey, async (req, res) => {
-  const db = await jread(DB_FILE, { passes: [] });
-  const all = db.passes;
+  const all = await store.listPasses();
 
   const from = req.query.from ? new Date(req.query.from) : null;
   const to = req.query.to ? new Date(req.query.to) : null;
@@ -778,6 +2204,9 @@ app.get('/hub/dashboard', requireKey, async (req, res) => {
 
   const issued = filtered.length;
   const redeemed = filtered.filter(p => p.status === 'redeemed').length;
+  const voided = filtered.filter(p => p.status === 'voided').length;
+  const expired = filtered.filter(p => p.status === 'expired' || isLapsed(p)).length;
+  const reversed = filtered.filter(p => (p.history || []).some(h => h.action === 'reverse')).length;
   const rate = issued ? Math.round(redeemed / issued * 1000) / 10 : 0;
 
   const byBrand = {};
@@ -821,6 +2250,9 @@ app.get('/hub/dashboard', requireKey, async (req, res) => {
   <span class="badge">Issued: ${issued}</span>
   <span class="badge">Redeemed: ${redeemed}</span>
   <span class="badge">Rate: ${rate}%</span>
+  <span class="badge">Voided: ${voided}</span>
+  <span class="badge">Expired: ${expired}</span>
+  <span class="badge">Reversed: ${reversed}</span>
   &nbsp; <a href="/hub/dashboard/report-analytics.csv?key=${encodeURIComponent(req.query.key || '')}">CSV</a> ·
   <a href="/hub/dashboard.pdf?key=${encodeURIComponent(req.query.key || '')}">PDF</a>
 </p>
@@ -885,10 +2317,22 @@ new Chart(document.getElementById('pie'), {
 
 // ---------- CSV ----------
 app.get('/hub/dashboard/report-analytics.csv', requireKey, async (_req, res) => {
-  const db = await jread(DB_FILE, { passes: [] });
-  const headers = ['id', 'offer', 'restaurant', 'client_slug', 'status', 'issued_at', 'redeemed_at', 'redeemed_by_store', 'redeemed_by_staff', 'token_hash'];
+  const passes = await store.listPasses();
+  const headers = ['id', 'offer', 'restaurant', 'client_slug', 'status', 'issued_at', 'expires_at', 'redeemed_at', 'redeemed_by_store', 'redeemed_by_staff', 'token_hash',
+    'last_correction', 'correction_reason', 'correction_by', 'correction_at', 'corrections'];
   const csv = [headers.join(',')]
-    .concat(db.passes.map(p => headers.map(h => csvEsc(p[h] || '')).join(',')))
+    .concat(passes.map(p => {
+      const fix = lastCorrection(p) || {};
+      const row = {
+        ...p,
+        last_correction: fix.action,
+        correction_reason: fix.reason,
+        correction_by: fix.by,
+        correction_at: fix.at,
+        corrections: (p.history || []).filter(h => VOID_ACTIONS.has(h.action)).length || ''
+      };
+      return headers.map(h => csvEsc(row[h] || '')).join(',');
+    }))
     .join('\n') + '\n';
   return sendCsv(res, 'redeem_report.csv', csv);
 });
@@ -942,6 +2386,11 @@ app.get('/api/offer/:id', async (req, res) => {
   const id = req.params.id;
   const o = offers[id];
   if (!o) return res.status(404).json({ error: 'Offer not found' });
+  // Unpublished offers only through their preview token (?t=)
+  const status = offerStatus(o);
+  if ((status === 'draft' || status === 'scheduled') && !validPreview(id, o, req.query.t)) {
+    return res.status(404).json({ error: 'Offer not found' });
+  }
   res.json({ id, ...o });
 });
 
@@ -1003,10 +2452,10 @@ app.get('/coupon-print.pdf', async (req, res) => {
 //  Public aggregate stats (issued & redeemed) + sources
 // ======================================================================
 app.get('/api/offer-stats', async (_req, res) => {
-  const db = await jread(DB_FILE, { passes: [], redemptions: [] });
+  const passes = await store.listPasses();
   const stats = {};
   const sources = {};
-  for (const p of db.passes) {
+  for (const p of passes) {
     const id = p.offer || 'unknown';
     const src = p.source || 'direct';
     if (!stats[id]) stats[id] = { issued: 0, redeemed: 0 };
@@ -1026,3 +2475,31 @@ app.listen(PORT, () => {
   console.log(`ACP Coupons listening on :${PORT}`);
 });
 
+// Background jobs (src/jobs/cleanup.js): expire lapsed passes and advance offer statuses.
+// The demo reset (startDemoJobs) belongs to the standalone demo app in src/index.js only.
+startJobs();
+
+// Catalog schema check (src/lib/catalogSchema.js). Bad entries are reported, not fatal:
+// one broken offer should not take the other deals down. `npm run lint:catalog` lists everything.
+{
+  const files = readCatalogFiles(path.dirname(OFFERS_FILE));
+  const { errors, warnings } = validateCatalog(files);
+  const all = [...files.problems, ...errors];
+  if (all.length) {
+    console.error(`Catalog has ${all.length} error(s):\n  ${all.slice(0, 20).map(formatProblem).join('\n  ')}` +
+      (all.length > 20 ? `\n  … ${all.length - 20} more (npm run lint:catalog)` : ''));
+  }
+  if (warnings.length) console.warn(`Catalog has ${warnings.length} warning(s); run npm run lint:catalog`);
+
+  if (!PREVIEW_SECRET) console.error('OFFER_PREVIEW_SECRET is not set: draft and scheduled offers get no preview links');
+
+  const liveOffers = Object.keys(files.offers || {}).filter(id => (files.offers[id] || {}).live_code);
+  if (liveOffers.length && !LIVE_CODE_SECRET) {
+    console.error(`LIVE_CODE_SECRET is not set: live-code offers cannot be claimed or redeemed (${liveOffers.join(', ')})`);
+  }
+}
+// Clear revisions and old *.backup-*.json copies past the retention rule
+pruneRevisions({ backupDirs: [path.dirname(OFFERS_FILE)] })
+  .then(r => { if (r.revisions.length || r.backups.length) console.log('Catalog revisions pruned:', r); })
+  .catch(e => console.error('revision prune error', e));
+
@@ -0,0 +1,150 @@
+// redeem-queue.js — v4
+// Offline queue for cashier scans (redeem.html). IndexedDB so the service
+// worker can see it too (importScripts). Every scan carries a scan_id
+// idempotency key, so repeated flushes never double-redeem.
+// Credentials are never stored: flush() takes the device key / staff PIN of the
+// live page session, so a worker without one can only ask open pages to flush.
+//
+//   scans   : { scan_id, token, code?, store_id, scanned_at, attempts }
+//   results : server replies that need cashier review (conflicts, unknown tokens…)
+
+(function (root) {
+  const DB_NAME = 'acp-redeem';
+  const DB_VERSION = 2;
+  const BATCH_URL = '/api/redeem/batch';
+  const BATCH_SIZE = 50;
+  // Results the server considers final; anything else (network, 5xx) stays queued.
+  const DONE = new Set(['redeemed', 'duplicate']);
+
+  function open() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('scans')) db.createObjectStore('scans', { keyPath: 'scan_id' });
+        if (!db.objectStoreNames.contains('results')) db.createObjectStore('results', { keyPath: 'scan_id' });
+        // v1 queued each scan with its device key and PIN: strip them from what is still waiting
+        if (e.oldVersion === 1) {
+          req.transaction.objectStore('scans').openCursor().onsuccess = (ev) => {
+            const cur = ev.target.result;
+            if (!cur) return;
+            const { key, pin, ...scan } = cur.value;
+            cur.update(scan);
+            cur.continue();
+          };
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function tx(storeName, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(storeName, mode);
+      const out = fn(t.objectStore(storeName));
+      t.oncomplete = () => { db.close(); resolve(out && 'result' in out ? out.result : undefined); };
+      t.onerror = () => { db.close(); reject(t.error); };
+    });
+  }
+
+  function newScanId() {
+    if (root.crypto && root.crypto.randomUUID) return root.crypto.randomUUID();
+    const b = new Uint8Array(16);
+    root.crypto.getRandomValues(b);
+    return Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+  }
+
+  const add = ({ key, pin, ...scan }) => tx('scans', 'readwrite', s => s.put({ attempts: 0, ...scan }));
+  const all = () => tx('scans', 'readonly', s => s.getAll());
+  const count = () => tx('scans', 'readonly', s => s.count());
+  const reviews = () => tx('results', 'readonly', s => s.getAll());
+  const dismiss = (scanId) => tx('results', 'readwrite', s => s.delete(scanId));
+
+  // Send queued scans in batches per store, signed with the caller's { key, pin }. Returns
+  // { sent, done, review, pending, auth } or throws if the network is still down; auth is
+  // true when scans stay queued for want of a (valid) key/PIN.
+  async function flush({ key, pin } = {}) {
+    const queued = (await all()).sort((a, b) => String(a.scanned_at).localeCompare(String(b.scanned_at)));
+    const summary = { sent: 0, done: 0, review: 0, pending: 0, auth: false };
+    if (!queued.length) return summary;
+    if (!key) return { ...summary, pending: queued.length, auth: true };
+
+    const groups = new Map();
+    for (const scan of queued) {
+      const g = scan.store_id || '';
+      if (!groups.has(g)) groups.set(g, []);
+      groups.get(g).push(scan);
+    }
+
+    for (const scans of groups.values()) {
+      for (let i = 0; i < scans.length; i += BATCH_SIZE) {
+        const chunk = scans.slice(i, i + BATCH_SIZE);
+        const headers = { 'Content-Type': 'application/json', 'x-api-key': key };
+        if (pin) headers['x-staff-pin'] = pin;
+        const res = await fetch(BATCH_URL, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            store_id: chunk[0].store_id,
+            scans: chunk.map(s => ({ token: s.token, code: s.code, scan_id: s.scan_id, scanned_at: s.scanned_at }))
+          })
+        });
+        if (!res.ok) {
+          // Missing/wrong key or PIN: keep the scans until someone signs in with valid ones.
+          if (res.status === 401) {
+            summary.pending += chunk.length;
+            summary.auth = true;
+            continue;
+          }
+          // Bad request: park for review instead of retrying forever.
+          if (res.status >= 400 && res.status < 500) {
+            const err = await res.json().catch(() => ({}));
+            await settle(chunk.map(s => ({ scan_id: s.scan_id, token: s.token, status: 'rejected', error: err.error || `HTTP ${res.status}` })), chunk);
+            summary.review += chunk.length;
+            continue;
+          }
+          summary.pending += chunk.length;
+          continue;
+        }
+        const data = await res.json();
+        summary.sent += chunk.length;
+        const results = data.results || [];
+        await settle(results, chunk);
+        for (const r of results) {
+          if (DONE.has(r.status)) summary.done++;
+          else if (r.status === 'error') summary.pending++;
+          else summary.review++;
+        }
+      }
+    }
+    return summary;
+  }
+
+  // Drop finished scans from the queue; keep transient errors queued; file the rest for review.
+  async function settle(results, chunk) {
+    const byId = new Map(chunk.map(s => [s.scan_id, s]));
+    const db = await open();
+    await new Promise((resolve, reject) => {
+      const t = db.transaction(['scans', 'results'], 'readwrite');
+      const scans = t.objectStore('scans');
+      const review = t.objectStore('results');
+      for (const r of results) {
+        const scan = byId.get(r.scan_id);
+        if (!scan) continue;
+        if (r.status === 'error') {
+          scans.put({ ...scan, attempts: (scan.attempts || 0) + 1 });
+          continue;
+        }
+        scans.delete(r.scan_id);
+        if (!DONE.has(r.status)) review.put({ ...r, store_id: scan.store_id, scanned_at: scan.scanned_at, synced_at: new Date().toISOString() });
+      }
+      t.oncomplete = resolve;
+      t.onerror = () => reject(t.error);
+    });
+    db.close();
+  }
+
+  root.RedeemQueue = { SYNC_TAG: 'acp-redeem-queue', newScanId, add, all, count, flush, reviews, dismiss };
+})(typeof self !== 'undefined' ? self : window);
@@ -1,7 +1,9 @@
-// service-worker.js — v16
-// PWA shell + cache versioning + offline fallback
+// service-worker.js — v25
+// PWA shell + cache versioning + offline fallback + cashier scan replay
 
-const SW_VERSION = 'v16';
+importScripts('/redeem-queue.js');
+
+const SW_VERSION = 'v25'; // sw-register.js registers ?v=25: bump both
 const CACHE_NAME = `acp-shell-${SW_VERSION}`;
 
 // Keep HTML network-first so layout/JS updates show up quickly
@@ -12,8 +14,11 @@ const PRECACHE_URLS = [
   '/',
   '/offers.html',
   '/wallet.html',
+  '/redeem.html',
+  '/redeem-queue.js',
+  '/sw-register.js',
   '/theme.css?v=30.4',
-  '/shared.js?v=33',
+  '/shared.js?v=36',
   '/logo.png',
   '/manifest.json',
   '/icons/icon-192.png',
@@ -47,6 +52,18 @@ self.addEventListener('message', event => {
   }
 });
 
+// Background Sync: cashier scans queued offline by redeem.html are back online.
+// The queue holds no credentials, so open redeem pages flush it with their own
+// key/PIN; if sync isn't supported their retry loop does the same job.
+self.addEventListener('sync', event => {
+  if (event.tag !== RedeemQueue.SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients =>
+      clients.forEach(c => c.postMessage({ type: 'REDEEM_QUEUE_FLUSH' }))
+    )
+  );
+});
+
 // Simple strategy:
 // - HTML/navigation: network-first, fall back to cached OFFERS
 // - Static assets (css/js/png/jpg/svg/webp/ico): cache-first
@@ -79,7 +96,9 @@ self.addEventListener('fetch', event => {
           return response;
         })
         .catch(() =>
-          caches.match(request).then(resp => resp || caches.match(OFFLINE_FALLBACK_URL))
+          caches.match(request)
+            .then(resp => resp || caches.match(request, { ignoreSearch: true }))
+            .then(resp => resp || caches.match(OFFLINE_FALLBACK_URL))
         )
     );
     return;
@@ -1,4 +1,7 @@
-// shared.js — v33
+// shared.js — v36
+// - "N left" / "Sold out" badge from /api/offers `remaining` (redemption caps)
+// - "Available now" / "Starts at 2pm" badge from /api/offers schedule fields (day-part deals)
+// - Uploaded hero/logo images: srcset from hero_variants / logo_variants (WebP where the browser has it)
 // - 2-column header layout per theme.css v30.4
 //   Left column (3 rows): Restaurant, Title, Includes
 //   Right column: Logo (top), Mileage (bottom)
@@ -136,6 +139,49 @@ const Shared = (function(){
     return {remaining,cls,label,expired:remaining===0};
   }
 
+  // Redemption cap: o.remaining is null/undefined when the offer is unlimited
+  function capInfo(o){
+    if (o.remaining==null || !isFinite(o.remaining)) return null;
+    const left=Math.max(0,Math.floor(Number(o.remaining)));
+    if (left===0) return { cls:'neutral', label:'Sold out', soldOut:true };
+    return { cls: left<=10 ? 'danger' : 'warn', label:`${left} left`, soldOut:false };
+  }
+
+  // Day-part schedule: only offers with o.schedule get a badge
+  function scheduleInfo(o){
+    if (!o.schedule) return null;
+    if (o.available_now) return { cls:'ok', label:'Available now', title:o.schedule_label||'' };
+    if (!o.next_valid_at) return { cls:'neutral', label:'No upcoming times', title:o.schedule_label||'' };
+    const at=new Date(o.next_valid_at), now=new Date();
+    const tz=o.schedule.timezone || undefined;
+    const time=at.toLocaleTimeString('en-US',{ hour:'numeric', minute:'2-digit', timeZone:tz }).replace(':00','').replace(' ','').toLowerCase();
+    const sameDay=at.toLocaleDateString('en-US',{ timeZone:tz })===now.toLocaleDateString('en-US',{ timeZone:tz });
+    const soon=(at-now) < 6*24*3600*1000;
+    const day=sameDay ? '' : soon
+      ? at.toLocaleDateString('en-US',{ weekday:'short', timeZone:tz })+' '
+      : at.toLocaleDateString('en-US',{ month:'short', day:'numeric', timeZone:tz })+' ';
+    return { cls:'warn', label:`Starts ${day}${sameDay?'at ':''}${time}`, title:o.schedule_label||'' };
+  }
+
+  // Uploaded images come in several widths (hero_variants / logo_variants, each with a WebP twin)
+  const WEBP_OK = (function(){
+    try { return document.createElement('canvas').toDataURL('image/webp').indexOf('data:image/webp') === 0; }
+    catch(e){ return false; }
+  })();
+  function srcsetFor(variants){
+    if (!Array.isArray(variants)) return '';
+    const seen=new Set();
+    return variants
+      .filter(v => v && v.url && v.width && !seen.has(v.width) && seen.add(v.width)) // small uploads repeat a width
+      .map(v => `${WEBP_OK && v.webp ? v.webp : v.url} ${v.width}w`)
+      .join(', ');
+  }
+  function setImage(img, src, variants, sizes){
+    const srcset=srcsetFor(variants);
+    if (srcset){ img.srcset=srcset; img.sizes=sizes; }
+    img.src=src||'';
+  }
+
   async function getStats(){
     if(_statsCache) return _statsCache;
     try{
@@ -217,6 +263,8 @@ const Shared = (function(){
   function makeCard(o, opts={}){
     const stats=(_statsCache&&_statsCache[o.id])?_statsCache[o.id]:{issued:0,redeemed:0};
     const exp=expiryInfo(o);
+    const cap=capInfo(o);
+    const sched=scheduleInfo(o);
 
     const el=document.createElement('article');
     el.className='card';
@@ -227,7 +275,8 @@ const Shared = (function(){
     hero.className='hero hero--zoom';
     if (o.hero_nozoom === true) hero.classList.remove('hero--zoom');
     const img=document.createElement('img');
-    img.className='img'; img.src=o.hero_image||''; img.alt=o.title||'';
+    img.className='img'; img.alt=o.title||'';
+    setImage(img, o.hero_image, o.hero_variants, '(max-width:800px) 50vw, (max-width:1100px) 33vw, 25vw');
     hero.appendChild(img);
     el.appendChild(hero);
 
@@ -281,7 +330,7 @@ const Shared = (function(){
 
       const logo=document.createElement('img');
       logo.className='brand-logo-inline';
-      logo.src=o.logo;
+      setImage(logo, o.logo, o.logo_variants, '42px');
       logo.alt=(o.restaurant||'Brand')+' logo';
       stack.appendChild(logo);
 
@@ -382,6 +431,19 @@ const Shared = (function(){
     expb.className=`badge ${exp.cls}`;
     expb.textContent=exp.label;
     meta.appendChild(expb);
+    if (cap){
+      const capb=document.createElement('span');
+      capb.className=`badge ${cap.cls}`;
+      capb.textContent=cap.label;
+      meta.appendChild(capb);
+    }
+    if (sched){
+      const schb=document.createElement('span');
+      schb.className=`badge ${sched.cls}`;
+      schb.textContent=sched.label;
+      if (sched.title) schb.title=sched.title;
+      meta.appendChild(schb);
+    }
     const redb=document.createElement('span');
     redb.className='badge ok';
     redb.textContent=`${(stats.redeemed||0)} redeemed`;
@@ -396,7 +458,7 @@ const Shared = (function(){
     cta.className='btn btn-cta';
     cta.textContent=opts.wallet?'Use Now':'Tap to Redeem';
     cta.href=`/coupon?offer=${encodeURIComponent(o.id)}`;
-    if (exp.expired){ cta.setAttribute('disabled',''); cta.href='javascript:void(0)'; }
+    if (exp.expired || (cap && cap.soldOut)){ cta.setAttribute('disabled',''); cta.href='javascript:void(0)'; }
     row.appendChild(cta);
 
     const fav=document.createElement('button');
@@ -0,0 +1,23 @@
+// sw-register.js — v1
+// The one place pages register /service-worker.js. SW_VERSION must match SW_VERSION in
+// service-worker.js (without the "v"): bump both together. The worker's new cache name
+// drops the cached copy of this file, so every page moves to the new URL at once.
+
+(function (root) {
+  const SW_VERSION = '25';
+
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    return navigator.serviceWorker
+      .register('/service-worker.js?v=' + SW_VERSION, { updateViaCache: 'none' })
+      .then(reg => {
+        if (reg.waiting) reg.waiting.postMessage({ type:'SKIP_WAITING' });
+        reg.update();
+        return reg;
+      })
+      .catch(() => null);
+  }
+
+  root.SW_VERSION = SW_VERSION;
+  root.registerServiceWorker = registerServiceWorker;
+})(window);
@@ -0,0 +1,263 @@
+/**
+ * scripts/import-json.js
+ * One-shot importer: config/offers.json + config/stores.json + data/db.json -> SQL schema.
+ *
+ *   tenant                 -> acp_core.tenants (PG_TENANT_KEY, default "allcitypages")
+ *   client_slug            -> acp_core.organizations + acp_dir.listings (slug = client_slug)
+ *   stores.json entries    -> acp_core.addresses
+ *   offers.json entries    -> acp_deals.offers (offer_key = offers.json id)
+ *   db.json passes (+ any redemption without a pass) -> acp_deals.offer_redemptions
+ *     (history, scan id and POS push go to metadata_json, where src/data/pgStore.js reads them)
+ *
+ * Idempotent: every row gets a deterministic id derived from its JSON key, and is
+ * upserted, so re-running after a partial cutover only updates what changed.
+ * Offer rows are written by src/data/pgCatalog.js, the same code that keeps them in sync
+ * with offers.json afterwards (STORE_DRIVER=pg), so this is only needed once per tenant.
+ * Requires all migrations to be applied (npm run migrate).
+ *
+ * Run:
+ *   npm run import:json -- [--dry-run] [--tenant allcitypages] [--db data/db.json]
+ *
+ * --dry-run runs the whole import in a transaction, prints the counts and rolls back.
+ *
+ * Requires:
+ *   DATABASE_URL env var
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getPool, closePool } = require("../src/data/db");
+const { stableId, slugOf, upsertListing, upsertOffer } = require("../src/data/pgCatalog");
+
+const ROOT = path.resolve(__dirname, "..");
+const OFFERS_FILE = path.join(ROOT, "config", "offers.json");
+const STORES_FILE = path.join(ROOT, "config", "stores.json");
+const DEFAULT_DB_FILE = path.join(ROOT, "data", "db.json");
+
+function requireEnv(name) {
+  if (!process.env[name]) {
+    console.error(`ERROR: ${name} is not set.`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const args = { dryRun: false, tenant: process.env.PG_TENANT_KEY || "allcitypages", db: DEFAULT_DB_FILE };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--tenant") args.tenant = argv[++i];
+    else if (a === "--db") args.db = path.resolve(argv[++i]);
+    else {
+      console.error(`ERROR: Unknown argument: ${a}`);
+      process.exit(1);
+    }
+  }
+  return args;
+}
+
+function readJsonFile(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// "Taco Bell — 340 E Bethany Dr, Allen, TX 75002" -> { line1, city, region, postal_code }
+function parseStoreLabel(label) {
+  const addr = String(label || "").split(" — ").pop().trim();
+  const parts = addr.split(",").map((s) => s.trim()).filter(Boolean);
+  const tail = parts.length >= 3 ? parts.pop() : "";
+  const m = tail.match(/^([A-Za-z]{2})\s*(\d{5}(?:-\d{4})?)?$/);
+  return {
+    line1: parts[0] || addr,
+    city: parts[1] || "",
+    region: m ? m[1].toUpperCase() : tail || null,
+    postal_code: m && m[2] ? m[2] : null,
+  };
+}
+
+function counter() {
+  return { inserted: 0, updated: 0, skipped: 0 };
+}
+
+// (xmax = 0) is true for freshly inserted rows, false for ON CONFLICT updates.
+function tally(c, res) {
+  if (!res.rows.length) c.skipped++;
+  else if (res.rows[0].inserted) c.inserted++;
+  else c.updated++;
+}
+
+async function importAll(client, { tenant: tenantKey, db: dbFile }) {
+  const offers = readJsonFile(OFFERS_FILE, {});
+  const stores = readJsonFile(STORES_FILE, {});
+  const db = readJsonFile(dbFile, { passes: [], redemptions: [] });
+
+  const counts = {
+    tenants: counter(),
+    organizations: counter(),
+    addresses: counter(),
+    listings: counter(),
+    offers: counter(),
+    redemptions: counter(),
+  };
+
+  await client.query(
+    `INSERT INTO acp_core.countries (country_code, name_en, currency_code, calling_code)
+     VALUES ('US', 'United States', 'USD', '+1') ON CONFLICT (country_code) DO NOTHING;`
+  );
+
+  // ---------- Tenant ----------
+  const t = await client.query(
+    `INSERT INTO acp_core.tenants (tenant_key, display_name)
+     VALUES ($1, $2)
+     ON CONFLICT (tenant_key) DO UPDATE SET updated_at = now()
+     RETURNING tenant_id, (xmax = 0) AS inserted;`,
+    [tenantKey, tenantKey === "allcitypages" ? "All City Pages" : tenantKey]
+  );
+  tally(counts.tenants, t);
+  const tenantId = t.rows[0].tenant_id;
+
+  // ---------- Stores -> addresses ----------
+  const storeAddress = new Map(); // brand (lowercase) -> first address_id
+  for (const [code, meta] of Object.entries(stores)) {
+    const s = typeof meta === "string" ? { brand: meta, label: meta } : meta;
+    const a = parseStoreLabel(s.label || code);
+    if (!a.city) {
+      console.warn(`  ! store ${code}: cannot parse city from "${s.label}", skipped`);
+      counts.addresses.skipped++;
+      continue;
+    }
+    const addressId = stableId(tenantKey, "store", code);
+    const res = await client.query(
+      `INSERT INTO acp_core.addresses
+         (address_id, tenant_id, line1, city, region, postal_code, country_code, latitude, longitude)
+       VALUES ($1, $2, $3, $4, $5, $6, 'US', $7, $8)
+       ON CONFLICT (address_id) DO UPDATE SET
+         line1 = EXCLUDED.line1, city = EXCLUDED.city, region = EXCLUDED.region,
+         postal_code = EXCLUDED.postal_code, latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude
+       RETURNING (xmax = 0) AS inserted;`,
+      [
+        addressId, tenantId, a.line1, a.city, a.region, a.postal_code,
+        Number.isFinite(s.lat) ? s.lat : null,
+        Number.isFinite(s.lng) ? s.lng : null,
+      ]
+    );
+    tally(counts.addresses, res);
+    const brandKey = (s.brand || "").trim().toLowerCase();
+    if (brandKey && !storeAddress.has(brandKey)) storeAddress.set(brandKey, addressId);
+  }
+
+  // ---------- client_slug -> organization + listing ----------
+  const listingBySlug = new Map();
+  for (const o of Object.values(offers)) {
+    const slug = slugOf(o);
+    if (listingBySlug.has(slug)) continue;
+
+    const name = (o.restaurant || slug).trim();
+    const { listingId, org, listing } = await upsertListing(client, {
+      tenantId, tenantKey, slug, name, addressId: storeAddress.get(name.toLowerCase()) || null,
+    });
+    tally(counts.organizations, org);
+    tally(counts.listings, listing);
+    listingBySlug.set(slug, listingId);
+  }
+
+  // ---------- Offers ----------
+  const offerIdByKey = new Map();
+  for (const [key, o] of Object.entries(offers)) {
+    const { offerId, result } = await upsertOffer(client, {
+      tenantId, tenantKey, listingId: listingBySlug.get(slugOf(o)), key, offer: o,
+    });
+    tally(counts.offers, result);
+    offerIdByKey.set(key, offerId);
+  }
+
+  // ---------- Passes + redemptions ----------
+  const seenTokens = new Set();
+  const logByToken = new Map((db.redemptions || []).map((r) => [r.token, r]));
+  const rows = [
+    ...(db.passes || []),
+    // Redemption log entries only matter if their pass is gone from db.passes.
+    ...(db.redemptions || []).map((r) => ({
+      token: r.token,
+      offer: r.offer,
+      status: "redeemed",
+      issued_at: r.redeemed_at,
+      redeemed_at: r.redeemed_at,
+      redeemed_by_store: r.store_id,
+      redeemed_by_staff: r.staff,
+      redeem_scan_id: r.scan_id,
+    })),
+  ];
+  for (const p of rows) {
+    if (!p.token || seenTokens.has(p.token)) continue;
+    seenTokens.add(p.token);
+
+    const offerId = offerIdByKey.get(p.offer);
+    if (!offerId) {
+      console.warn(`  ! pass ${String(p.token).slice(0, 6)}…: unknown offer "${p.offer}", skipped`);
+      counts.redemptions.skipped++;
+      continue;
+    }
+    // Same keys pgStore writes: redeem scan id (+ when the server got it), POS push, history.
+    const log = logByToken.get(p.token);
+    const metadata = {};
+    if (p.redeem_scan_id) metadata.scan_id = p.redeem_scan_id;
+    if (p.status === "redeemed" && log && log.received_at) metadata.received_at = log.received_at;
+    if (p.pos) metadata.pos = p.pos;
+    if (Array.isArray(p.history) && p.history.length) metadata.history = p.history;
+
+    const res = await client.query(
+      `INSERT INTO acp_deals.offer_redemptions
+         (redemption_id, tenant_id, offer_id, token, token_hash, status, issued_at, redeemed_at,
+          channel, store_code, staff, source, customer_key, expires_at, metadata_json)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       ON CONFLICT (redemption_id) DO UPDATE SET
+         status = EXCLUDED.status, redeemed_at = EXCLUDED.redeemed_at, channel = EXCLUDED.channel,
+         store_code = EXCLUDED.store_code, staff = EXCLUDED.staff, expires_at = EXCLUDED.expires_at,
+         metadata_json = acp_deals.offer_redemptions.metadata_json || EXCLUDED.metadata_json
+       RETURNING (xmax = 0) AS inserted;`,
+      [
+        stableId(tenantKey, "pass", p.token), tenantId, offerId, p.token,
+        p.token_hash || crypto.createHash("sha256").update(p.token).digest("hex").slice(0, 12),
+        p.status || "issued", p.issued_at || p.redeemed_at || new Date().toISOString(),
+        p.redeemed_at || null, p.status === "redeemed" ? "in_store" : "web",
+        p.redeemed_by_store || null, p.redeemed_by_staff || null, p.source || null,
+        p.customer_id || null, p.expires_at || null, metadata,
+      ]
+    );
+    tally(counts.redemptions, res);
+  }
+
+  return counts;
+}
+
+async function main() {
+  requireEnv("DATABASE_URL");
+  const args = parseArgs(process.argv.slice(2));
+
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN;");
+    let counts;
+    try {
+      counts = await importAll(client, args);
+    } catch (e) {
+      await client.query("ROLLBACK;");
+      console.error("❌ Import failed, nothing was written.");
+      throw e;
+    }
+    await client.query(args.dryRun ? "ROLLBACK;" : "COMMIT;");
+
+    console.table(counts);
+    console.log(args.dryRun ? "↩︎ Dry run: rolled back, nothing was written." : "✅ Import complete.");
+  } finally {
+    client.release();
+    await closePool();
+  }
+}
+
+main().catch((err) => {
+  console.error(err?.stack || err);
+  process.exit(1);
+});
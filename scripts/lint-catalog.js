@@ -0,0 +1,94 @@
+/**
+ * scripts/lint-catalog.js
+ * Checks config/offers.json, config/stores.json and config/loyalty.json against the catalog
+ * schema (src/lib/catalogSchema.js) and prints one line per problem: file › key › field.
+ *
+ * Run:
+ *   npm run lint:catalog                         report errors and warnings
+ *   npm run lint:catalog -- --errors-only        hide warnings
+ *   npm run lint:catalog -- --normalize          show what normalizing would rewrite (dry run)
+ *   npm run lint:catalog -- --normalize --write  rewrite legacy fields into the canonical shape
+ *   add --dir <path> to lint another config dir
+ *
+ * --write on the app's own config dir records the rewrite as a catalog revision (by
+ * "lint --normalize"), so it can be restored from /api/admin/catalog/revisions like any admin change.
+ *
+ * Exit code: 1 when there are errors (after normalizing, with --normalize), else 0.
+ */
+
+const path = require("path");
+const { writeJsonAtomic } = require("../src/lib/jsonFile");
+const { recordRevision } = require("../src/lib/catalogRevisions");
+const {
+  CATALOG_FILES,
+  validateCatalog,
+  normalizeCatalog,
+  readCatalogFiles,
+  formatProblem,
+} = require("../src/lib/catalogSchema");
+
+const APP_CONFIG_DIR = path.resolve(__dirname, "..", "config");
+
+function fail(msg) {
+  console.error(`ERROR: ${msg}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { dir: path.join(process.cwd(), "config"), normalize: false, write: false, errorsOnly: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--normalize") args.normalize = true;
+    else if (a === "--write") args.write = true;
+    else if (a === "--errors-only") args.errorsOnly = true;
+    else if (a === "--dir") args.dir = path.resolve(argv[++i] || "");
+    else fail(`Unknown argument: ${a}`);
+  }
+  if (args.write && !args.normalize) fail("--write only applies to --normalize");
+  return args;
+}
+
+function print(label, problems) {
+  for (const p of problems) console.log(`${label.padEnd(7)} ${formatProblem(p)}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = readCatalogFiles(args.dir);
+  print("error", files.problems);
+
+  let { offers, stores, loyalty } = files;
+
+  if (args.normalize) {
+    const normalized = normalizeCatalog({ offers, stores });
+    print(args.write ? "fixed" : "would", normalized.changes);
+    if (!normalized.changes.length) console.log("Nothing to normalize.");
+
+    if (args.write && normalized.changes.length) {
+      for (const name of ["offers", "stores"]) {
+        if (files[name] === undefined) continue;
+        if (JSON.stringify(files[name]) === JSON.stringify(normalized[name])) continue;
+        const file = path.join(args.dir, CATALOG_FILES[name]);
+        await writeJsonAtomic(file, normalized[name]);
+        if (args.dir === APP_CONFIG_DIR) {
+          await recordRevision({ catalog: name, before: files[name], after: normalized[name], by: "lint --normalize", action: "normalize", file });
+        }
+        console.log(`Wrote ${CATALOG_FILES[name]}`);
+      }
+    }
+    ({ offers, stores } = normalized);
+  }
+
+  const { errors, warnings } = validateCatalog({ offers, stores, loyalty });
+  print("error", errors);
+  if (!args.errorsOnly) print("warning", warnings);
+
+  const errorCount = errors.length + files.problems.length;
+  console.log(`\n${errorCount} error(s), ${warnings.length} warning(s) in ${args.dir}`);
+  if (errorCount) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
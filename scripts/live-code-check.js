@@ -0,0 +1,83 @@
+/**
+ * scripts/live-code-check.js
+ * Checks the rotating live codes (src/lib/liveCode.js):
+ *
+ *   rfc6238    the truncation matches the RFC 6238 SHA-1 test vector (last 6 digits)
+ *   rotation   expires_in counts down to the next 30 s step and the code changes there
+ *   window     the code is accepted in its own window and one either side, not two away
+ *   drift      drift 0 accepts only the current window
+ *   per-pass   a code for one pass (or under another secret) fails for the next one
+ *   malformed  wrong length, non-digits and blanks are refused without throwing
+ *   secret     no server secret, no key
+ *
+ * No server or database needed. Exit code 1 on any failure.
+ *
+ * Run:
+ *   npm run live-code:check
+ */
+
+const assert = require("assert");
+const { LIVE_CODE_PERIOD_S, liveCodeKey, liveCode, verifyLiveCode } = require("../src/lib/liveCode");
+
+const STEP = LIVE_CODE_PERIOD_S * 1000;
+// Start of a window, so ±STEP are the neighbouring windows.
+const AT = Math.floor(Date.parse("2026-10-19T12:00:00Z") / STEP) * STEP;
+const KEY = liveCodeKey("check-secret", "pass-1");
+
+const CHECKS = {
+  rfc6238() {
+    assert.strictEqual(liveCode(Buffer.from("12345678901234567890"), 59 * 1000).code, "287082");
+  },
+
+  rotation() {
+    assert.strictEqual(liveCode(KEY, AT).expires_in, LIVE_CODE_PERIOD_S);
+    assert.strictEqual(liveCode(KEY, AT + STEP - 1000).expires_in, 1);
+    assert.strictEqual(liveCode(KEY, AT + STEP - 1000).code, liveCode(KEY, AT).code);
+    assert.notStrictEqual(liveCode(KEY, AT + STEP).code, liveCode(KEY, AT).code);
+  },
+
+  window() {
+    const { code } = liveCode(KEY, AT);
+    assert.ok(verifyLiveCode(KEY, code, AT + STEP - 1), "refused in its own window");
+    assert.ok(verifyLiveCode(KEY, code, AT - STEP), "refused one window early");
+    assert.ok(verifyLiveCode(KEY, code, AT + STEP), "refused one window late");
+    assert.ok(!verifyLiveCode(KEY, code, AT + 2 * STEP), "accepted two windows late");
+    assert.ok(!verifyLiveCode(KEY, code, AT - 2 * STEP), "accepted two windows early");
+  },
+
+  drift() {
+    const { code } = liveCode(KEY, AT);
+    assert.ok(verifyLiveCode(KEY, code, AT, 0), "refused in its own window");
+    assert.ok(!verifyLiveCode(KEY, code, AT + STEP, 0), "accepted a window late with drift 0");
+  },
+
+  "per-pass"() {
+    const { code } = liveCode(KEY, AT);
+    assert.ok(!verifyLiveCode(liveCodeKey("check-secret", "pass-2"), code, AT), "accepted for another pass");
+    assert.ok(!verifyLiveCode(liveCodeKey("other-secret", "pass-1"), code, AT), "accepted under another secret");
+  },
+
+  malformed() {
+    const { code } = liveCode(KEY, AT);
+    for (const bad of [code.slice(1), `${code}0`, "12a456", "", null, undefined]) {
+      assert.strictEqual(verifyLiveCode(KEY, bad, AT), false, `accepted ${JSON.stringify(bad)}`);
+    }
+    assert.ok(verifyLiveCode(KEY, ` ${code} `, AT), "refused the code with surrounding spaces");
+  },
+
+  secret() {
+    assert.throws(() => liveCodeKey("", "pass-1"), /server secret/);
+  },
+};
+
+let failed = 0;
+for (const [name, fn] of Object.entries(CHECKS)) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`❌ ${name}: ${e.message}`);
+  }
+}
+if (failed) process.exit(1);
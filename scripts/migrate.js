@@ -3,18 +3,30 @@
  * Applies db/migrations/*.sql in order and records them in acp_core.schema_migrations.
  *
  * Run:
- *   npm run migrate
+ *   npm run migrate                          apply all pending migrations
+ *   npm run migrate -- up --to 0002          apply pending migrations up to and including 0002
+ *   npm run migrate -- status                list applied/pending migrations with checksums
+ *   npm run migrate -- down                  revert the most recent migration
+ *   npm run migrate -- down --to 0001        revert everything newer than 0001
+ *   add --dry-run to any up/down to print the SQL instead of running it
+ *   (status and --dry-run change nothing, not even the bookkeeping table)
+ *
+ * Down migrations live next to their up file: 0002_name.sql <-> 0002_name.down.sql.
+ * The version is the numeric filename prefix ("0002").
  *
  * Requires:
  *   DATABASE_URL env var
+ *   DATABASE_SSL (optional): auto|off|on|no-verify, see src/data/db.js
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 const { Client } = require("pg");
+const { pgSslConfig } = require("../src/data/db");
 
 const MIGRATIONS_DIR = path.join(process.cwd(), "db", "migrations");
+const DOWN_SUFFIX = ".down.sql";
 
 function requireEnv(name) {
   if (!process.env[name]) {
@@ -23,17 +35,51 @@ function requireEnv(name) {
   }
 }
 
-function listSqlFiles() {
-  if (!fs.existsSync(MIGRATIONS_DIR)) {
-    console.error(`ERROR: Missing migrations dir: ${MIGRATIONS_DIR}`);
-    process.exit(1);
+function fail(msg) {
+  console.error(`ERROR: ${msg}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { command: "up", to: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "up" || a === "down" || a === "status") args.command = a;
+    else if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--to") args.to = argv[++i];
+    else if (a.startsWith("--to=")) args.to = a.slice(5);
+    else fail(`Unknown argument: ${a}`);
   }
+  if (args.command === "status" && (args.to || args.dryRun)) fail("status takes no options");
+  if (args.to != null && !/^\d+$/.test(args.to)) fail(`--to expects a numeric version, got "${args.to}"`);
+  return args;
+}
+
+function versionOf(filename) {
+  const m = filename.match(/^(\d+)/);
+  return m ? m[1] : null;
+}
+
+function sameVersion(a, b) {
+  return Number(a) === Number(b);
+}
+
+function listSqlFiles() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) fail(`Missing migrations dir: ${MIGRATIONS_DIR}`);
   return fs
     .readdirSync(MIGRATIONS_DIR)
-    .filter((f) => f.toLowerCase().endsWith(".sql"))
+    .filter((f) => f.toLowerCase().endsWith(".sql") && !f.toLowerCase().endsWith(DOWN_SUFFIX))
     .sort((a, b) => a.localeCompare(b));
 }
 
+function downFileFor(filename) {
+  return filename.replace(/\.sql$/i, DOWN_SUFFIX);
+}
+
+function readSql(filename) {
+  return fs.readFileSync(path.join(MIGRATIONS_DIR, filename), "utf8");
+}
+
 function sha256(str) {
   return crypto.createHash("sha256").update(str, "utf8").digest("hex");
 }
@@ -50,69 +96,177 @@ async function ensureMigrationsTable(client) {
   `);
 }
 
+// Read-only runs (status, --dry-run) never create the table: missing means nothing applied yet.
 async function appliedMap(client) {
-  const res = await client.query(`SELECT filename, checksum FROM acp_core.schema_migrations;`);
+  const exists = await client.query(`SELECT to_regclass('acp_core.schema_migrations') AS t;`);
+  if (!exists.rows[0].t) return new Map();
+  const res = await client.query(
+    `SELECT filename, checksum, applied_at FROM acp_core.schema_migrations ORDER BY filename;`
+  );
   const m = new Map();
-  for (const r of res.rows) m.set(r.filename, r.checksum);
+  for (const r of res.rows) m.set(r.filename, r);
   return m;
 }
 
-async function applyFile(client, filename) {
-  const full = path.join(MIGRATIONS_DIR, filename);
-  const sql = fs.readFileSync(full, "utf8");
-  const sum = sha256(sql);
+function printSql(label, filename, sql) {
+  console.log(`-- ===== ${label} ${filename} =====`);
+  console.log(sql.trimEnd());
+  console.log("");
+}
 
+async function runInTransaction(client, sql, record) {
   await client.query("BEGIN;");
   try {
     await client.query(sql);
-    await client.query(
-      `INSERT INTO acp_core.schema_migrations (filename, checksum) VALUES ($1, $2);`,
-      [filename, sum]
-    );
+    await record();
     await client.query("COMMIT;");
-    console.log(`✅ Applied ${filename}`);
   } catch (e) {
     await client.query("ROLLBACK;");
+    throw e;
+  }
+}
+
+async function applyFile(client, filename, { dryRun }) {
+  const sql = readSql(filename);
+  const sum = sha256(sql);
+
+  if (dryRun) return printSql("UP", filename, sql);
+
+  try {
+    await runInTransaction(client, sql, () =>
+      client.query(
+        `INSERT INTO acp_core.schema_migrations (filename, checksum) VALUES ($1, $2);`,
+        [filename, sum]
+      )
+    );
+    console.log(`✅ Applied ${filename}`);
+  } catch (e) {
     console.error(`❌ Failed ${filename}`);
     throw e;
   }
 }
 
+async function revertFile(client, filename, { dryRun }) {
+  const downName = downFileFor(filename);
+  if (!fs.existsSync(path.join(MIGRATIONS_DIR, downName))) {
+    throw new Error(`No down migration for ${filename} (expected ${downName})`);
+  }
+  const sql = readSql(downName);
+
+  if (dryRun) return printSql("DOWN", downName, sql);
+
+  try {
+    await runInTransaction(client, sql, () =>
+      client.query(`DELETE FROM acp_core.schema_migrations WHERE filename = $1;`, [filename])
+    );
+    console.log(`⏪ Reverted ${filename}`);
+  } catch (e) {
+    console.error(`❌ Failed ${downName}`);
+    throw e;
+  }
+}
+
+function checkVersionExists(files, to) {
+  if (to != null && !files.some((f) => sameVersion(versionOf(f), to))) {
+    throw new Error(`Unknown migration version: ${to}`);
+  }
+}
+
+async function up(client, { to, dryRun }) {
+  const files = listSqlFiles();
+  checkVersionExists(files, to);
+  const applied = await appliedMap(client);
+
+  for (const f of files) {
+    if (to != null && Number(versionOf(f)) > Number(to)) break;
+    const sum = sha256(readSql(f));
+
+    if (applied.has(f)) {
+      if (applied.get(f).checksum !== sum) {
+        throw new Error(
+          `Checksum mismatch for already-applied migration: ${f}\n` +
+            `Fix: revert changes to ${f} OR create a new, higher-numbered migration.`
+        );
+      }
+      console.log(`↩︎ Skipping ${f}`);
+      continue;
+    }
+
+    await applyFile(client, f, { dryRun });
+  }
+
+  console.log(dryRun ? "↩︎ Dry run: nothing was applied." : "✅ All migrations complete.");
+}
+
+async function down(client, { to, dryRun }) {
+  const files = listSqlFiles();
+  if (to != null && !sameVersion(to, 0)) checkVersionExists(files, to);
+  const applied = [...(await appliedMap(client)).keys()].sort((a, b) => b.localeCompare(a));
+
+  // No --to: revert only the latest. --to N: revert everything newer than N (--to 0 = all).
+  const targets = to == null ? applied.slice(0, 1) : applied.filter((f) => Number(versionOf(f)) > Number(to));
+  if (!targets.length) {
+    console.log("Nothing to revert.");
+    return;
+  }
+
+  for (const f of targets) await revertFile(client, f, { dryRun });
+  console.log(dryRun ? "↩︎ Dry run: nothing was reverted." : "✅ Down migrations complete.");
+}
+
+async function status(client) {
+  const files = listSqlFiles();
+  const applied = await appliedMap(client);
+  const rows = [];
+
+  for (const f of files) {
+    const sum = sha256(readSql(f));
+    const a = applied.get(f);
+    rows.push({
+      version: versionOf(f),
+      filename: f,
+      state: !a ? "pending" : a.checksum === sum ? "applied" : "MODIFIED",
+      checksum: sum.slice(0, 12),
+      applied_checksum: a ? a.checksum.slice(0, 12) : "",
+      applied_at: a ? new Date(a.applied_at).toISOString() : "",
+      down: fs.existsSync(path.join(MIGRATIONS_DIR, downFileFor(f))) ? "yes" : "no",
+    });
+  }
+  // Recorded in the table but the file is gone from disk.
+  for (const [f, a] of applied) {
+    if (files.includes(f)) continue;
+    rows.push({
+      version: versionOf(f),
+      filename: f,
+      state: "MISSING FILE",
+      checksum: "",
+      applied_checksum: a.checksum.slice(0, 12),
+      applied_at: new Date(a.applied_at).toISOString(),
+      down: "no",
+    });
+  }
+
+  console.table(rows);
+  const pending = rows.filter((r) => r.state === "pending").length;
+  console.log(`${rows.length - pending} applied, ${pending} pending.`);
+}
+
 async function main() {
+  const args = parseArgs(process.argv.slice(2));
   requireEnv("DATABASE_URL");
 
-  // Render Postgres uses SSL; this avoids local cert issues.
   const client = new Client({
     connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false },
+    ssl: pgSslConfig(process.env.DATABASE_URL, process.env.DATABASE_SSL || "auto"),
   });
 
   await client.connect();
   try {
-    await ensureMigrationsTable(client);
-
-    const files = listSqlFiles();
-    const applied = await appliedMap(client);
-
-    for (const f of files) {
-      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, f), "utf8");
-      const sum = sha256(sql);
-
-      if (applied.has(f)) {
-        if (applied.get(f) !== sum) {
-          throw new Error(
-            `Checksum mismatch for already-applied migration: ${f}\n` +
-              `Fix: revert changes to ${f} OR create a new migration (0002_...).`
-          );
-        }
-        console.log(`↩︎ Skipping ${f}`);
-        continue;
-      }
-
-      await applyFile(client, f);
-    }
+    if (args.command !== "status" && !args.dryRun) await ensureMigrationsTable(client);
 
-    console.log("✅ All migrations complete.");
+    if (args.command === "status") await status(client);
+    else if (args.command === "down") await down(client, args);
+    else await up(client, args);
   } finally {
     await client.end();
   }
@@ -122,4 +276,3 @@ main().catch((err) => {
   console.error(err?.stack || err);
   process.exit(1);
 });
-
@@ -0,0 +1,106 @@
+/**
+ * scripts/pass-token-check.js
+ * Checks signed pass tokens (src/lib/passToken.js), above all key rotation:
+ *
+ *   roundtrip  a signed token verifies and carries its claims; decode reads them unchecked
+ *   rotation   with "new,old" the new key signs and tokens from the old key still verify
+ *   retired    once the old key is dropped its tokens are unknown_key, not bad_signature
+ *   reused-id  a key id whose secret changed refuses the old tokens (bad_signature)
+ *   tampered   an edited payload or a swapped signature fails
+ *   expiry     judged at the given time; tokens without exp never expire
+ *   config     key list parsing, and signed format without keys is refused
+ *
+ * No server or database needed. Exit code 1 on any failure.
+ *
+ * Run:
+ *   npm run pass-token:check
+ */
+
+const assert = require("assert");
+const { createPassTokens, parseKeys, isSignedToken, decodePassToken } = require("../src/lib/passToken");
+
+const ISSUED = new Date("2026-10-01T12:00:00Z");
+const EXPIRES = new Date("2026-10-31T12:00:00Z");
+const DURING = new Date("2026-10-15T12:00:00Z");
+const CLAIMS = { offerId: "popeyes-2pc", passId: "pass-1", issuedAt: ISSUED, expiresAt: EXPIRES };
+
+const oldOnly = createPassTokens({ keys: "k1:old-secret", format: "signed" });
+const rotated = createPassTokens({ keys: "k2:new-secret,k1:old-secret", format: "signed" });
+const retired = createPassTokens({ keys: "k2:new-secret", format: "signed" });
+
+const CHECKS = {
+  roundtrip() {
+    const token = oldOnly.sign(CLAIMS);
+    assert.ok(isSignedToken(token), "not recognised as a signed token");
+    const res = oldOnly.verify(token, DURING);
+    assert.strictEqual(res.ok, true, res.error);
+    assert.deepStrictEqual(res.claims, {
+      k: "k1", o: "popeyes-2pc", p: "pass-1", iat: ISSUED.getTime() / 1000, exp: EXPIRES.getTime() / 1000,
+    });
+    assert.deepStrictEqual(decodePassToken(token), res.claims);
+  },
+
+  rotation() {
+    const fresh = rotated.sign(CLAIMS);
+    assert.strictEqual(decodePassToken(fresh).k, "k2", "the first key should sign");
+    assert.strictEqual(rotated.verify(fresh, DURING).ok, true, "new token refused");
+    assert.strictEqual(rotated.verify(oldOnly.sign(CLAIMS), DURING).ok, true, "token from the old key refused");
+    assert.strictEqual(oldOnly.verify(fresh, DURING).error, "unknown_key", "old config knows the new key");
+  },
+
+  retired() {
+    assert.strictEqual(retired.verify(oldOnly.sign(CLAIMS), DURING).error, "unknown_key");
+    assert.strictEqual(retired.verify(rotated.sign(CLAIMS), DURING).ok, true);
+  },
+
+  "reused-id"() {
+    const reused = createPassTokens({ keys: "k1:changed-secret", format: "signed" });
+    assert.strictEqual(reused.verify(oldOnly.sign(CLAIMS), DURING).error, "bad_signature");
+  },
+
+  tampered() {
+    const [prefix, payload, sig] = rotated.sign(CLAIMS).split(".");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    const edited = Buffer.from(JSON.stringify({ ...claims, o: "kfc-tender-combo" })).toString("base64url");
+    assert.strictEqual(rotated.verify(`${prefix}.${edited}.${sig}`, DURING).error, "bad_signature");
+    const otherSig = rotated.sign({ ...CLAIMS, passId: "pass-2" }).split(".")[2];
+    assert.strictEqual(rotated.verify(`${prefix}.${payload}.${otherSig}`, DURING).error, "bad_signature");
+    assert.strictEqual(rotated.verify(`${prefix}.${payload}.`, DURING).error, "bad_signature");
+    assert.strictEqual(rotated.verify("acp1.not-json.sig", DURING).error, "malformed");
+    assert.ok(!isSignedToken("386cbe2f6832d5a69bb6c8fd49f130f5"), "legacy hex token taken for a signed one");
+  },
+
+  expiry() {
+    const token = rotated.sign(CLAIMS);
+    assert.strictEqual(rotated.verify(token, EXPIRES).ok, true, "refused at the expiry second");
+    const late = rotated.verify(token, new Date(EXPIRES.getTime() + 1000));
+    assert.strictEqual(late.error, "expired");
+    assert.strictEqual(late.claims.p, "pass-1", "expired result should still carry the claims");
+    const open = rotated.sign({ ...CLAIMS, expiresAt: null });
+    assert.strictEqual(rotated.verify(open, new Date("2099-01-01T00:00:00Z")).ok, true);
+  },
+
+  config() {
+    assert.deepStrictEqual(parseKeys(" k2 : a:b , junk, :x, k1:old ,k0:"), [
+      { id: "k2", secret: "a:b" },
+      { id: "k1", secret: "old" },
+    ]);
+    assert.throws(() => createPassTokens({ keys: "", format: "signed" }), /requires PASS_TOKEN_KEYS/);
+    assert.throws(() => createPassTokens({ keys: "k1:x", format: "jwt" }), /Unknown PASS_TOKEN_FORMAT/);
+    const hex = createPassTokens({ keys: "k1:old-secret", format: "hex" });
+    assert.strictEqual(hex.signing, false);
+    assert.strictEqual(hex.verify(oldOnly.sign(CLAIMS), DURING).ok, true, "hex mode should still verify with its keys");
+  },
+};
+
+let failed = 0;
+for (const [name, fn] of Object.entries(CHECKS)) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`❌ ${name}: ${e.message}`);
+  }
+}
+if (failed) process.exit(1);
@@ -0,0 +1,181 @@
+/**
+ * scripts/pos-check.js
+ * Runs the POS adapters (src/pos) against scripts/pos-mock-servers.js. For Square, Toast
+ * and Clover:
+ *
+ *   apply     the discount lands on the location's one open order
+ *   void      it comes back off (what /api/redeem/void and admin voids call)
+ *   ambiguous a second register opens an order: applying without an order id is refused
+ *             (order_ambiguous) and neither ticket is touched
+ *   reverse   applied to the given order id, then taken off with the ids stored on the pass
+ *             (order + check), as a reversed redemption does; the other ticket is untouched
+ *   refused   applying to an unknown order throws a PosError (/api/redeem then reverses the
+ *             redemption instead of leaving it half done)
+ *
+ * Starts its own mock servers and stops them when done. Exit code 1 on any failure.
+ *
+ * Run:
+ *   npm run pos:check -- [--base-port 4201]
+ */
+
+const path = require("path");
+const { spawn } = require("child_process");
+const { ADAPTERS, PosError } = require("../src/pos");
+
+const argv = process.argv.slice(2);
+const portArg = argv.indexOf("--base-port");
+const BASE_PORT = portArg >= 0 ? Number(argv[portArg + 1]) : 4201;
+
+const POS = [
+  {
+    name: "square",
+    port: BASE_PORT,
+    config: { location_id: "LOC1" },
+    discount: { name: "ACP check", amount_cents: 500 },
+    discountIds: (o) => o.discounts.map((d) => d.uid),
+  },
+  {
+    name: "toast",
+    port: BASE_PORT + 1,
+    config: { restaurant_guid: "rest-guid-1" },
+    discount: { name: "ACP check", amount_cents: 500, ref: "discount-guid-1" },
+    discountIds: (o) => o.checks.flatMap((c) => c.appliedDiscounts.map((d) => d.guid)),
+  },
+  {
+    name: "clover",
+    port: BASE_PORT + 2,
+    config: { merchant_id: "MERCH1" },
+    discount: { name: "ACP check", amount_cents: 500 },
+    discountIds: (o) => o.discounts.elements.map((d) => d.id),
+  },
+];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function mock(pos, method, route) {
+  const res = await fetch(`http://localhost:${pos.port}${route}`, { method });
+  if (!res.ok) throw new Error(`${pos.name} mock ${method} ${route}: HTTP ${res.status}`);
+  return res.json();
+}
+
+async function waitForMocks() {
+  for (let i = 0; i < 50; i++) {
+    try {
+      await Promise.all(POS.map((p) => mock(p, "GET", "/_state")));
+      return;
+    } catch {
+      await sleep(100);
+    }
+  }
+  throw new Error("Mock POS servers did not start");
+}
+
+// { orderId: [discount ids] } straight from the mock
+async function discounts(pos) {
+  const state = await mock(pos, "GET", "/_state");
+  return Object.fromEntries(Object.entries(state).map(([id, o]) => [id, pos.discountIds(o)]));
+}
+
+function expect(ok, what) {
+  if (!ok) throw new Error(what);
+}
+
+async function expectPosError(promise, code) {
+  try {
+    await promise;
+  } catch (e) {
+    expect(e instanceof PosError && e.code === code, `expected PosError ${code}, got ${e.code || e.message}`);
+    return;
+  }
+  throw new Error(`expected PosError ${code}, but the call succeeded`);
+}
+
+async function checkAdapter(pos) {
+  const def = ADAPTERS[pos.name];
+  const adapter = def.create({ ...pos.config, token: "check", baseUrl: `http://localhost:${pos.port}` });
+  const steps = [];
+  const step = async (name, fn) => {
+    await fn();
+    steps.push(name);
+  };
+
+  let first, applied;
+  await step("apply", async () => {
+    first = (await adapter.lookupOrder({})).id;
+    applied = await adapter.applyDiscount({ discount: pos.discount, idempotencyKey: "check-apply", externalId: "acp-check-1" });
+    expect(applied.order_id === first, `discount went to ${applied.order_id}, not the open order ${first}`);
+    expect((await discounts(pos))[first].includes(applied.discount_id), "discount is not on the order");
+  });
+
+  await step("void", async () => {
+    await adapter.voidDiscount({
+      orderId: applied.order_id, checkId: applied.check_id, discountId: applied.discount_id, idempotencyKey: "check-void",
+    });
+    expect(!(await discounts(pos))[first].includes(applied.discount_id), "discount is still on the order");
+  });
+
+  let second;
+  await step("ambiguous", async () => {
+    ({ id: second } = await mock(pos, "POST", "/_open"));
+    const before = JSON.stringify(await discounts(pos));
+    await expectPosError(
+      adapter.applyDiscount({ discount: pos.discount, idempotencyKey: "check-ambiguous", externalId: "acp-check-2" }),
+      "order_ambiguous"
+    );
+    expect(JSON.stringify(await discounts(pos)) === before, "a ticket changed although the apply was refused");
+  });
+
+  await step("reverse", async () => {
+    const pushed = await adapter.applyDiscount({
+      orderId: second, discount: pos.discount, idempotencyKey: "check-reverse", externalId: "acp-check-3",
+    });
+    let now = await discounts(pos);
+    expect(pushed.order_id === second && now[second].includes(pushed.discount_id), "discount did not land on the given order");
+    expect(!now[first].length, "the other register's ticket got a discount");
+    await adapter.voidDiscount({
+      orderId: pushed.order_id, checkId: pushed.check_id, discountId: pushed.discount_id, idempotencyKey: "check-reverse-undo",
+    });
+    now = await discounts(pos);
+    expect(!now[second].includes(pushed.discount_id), "reversed discount is still on the order");
+  });
+
+  await step("refused", async () => {
+    try {
+      await adapter.applyDiscount({
+        orderId: "no-such-order", discount: pos.discount, idempotencyKey: "check-refused", externalId: "acp-check-4",
+      });
+    } catch (e) {
+      expect(e instanceof PosError, `expected a PosError, got ${e.message}`);
+      return;
+    }
+    throw new Error("apply to an unknown order succeeded");
+  });
+  return steps;
+}
+
+async function main() {
+  const child = spawn(process.execPath, [path.join(__dirname, "pos-mock-servers.js"), "--base-port", String(BASE_PORT)], {
+    stdio: "ignore",
+  });
+  let failed = 0;
+  try {
+    await waitForMocks();
+    for (const pos of POS) {
+      try {
+        const steps = await checkAdapter(pos);
+        console.log(`✅ ${pos.name}: ${steps.join(", ")}`);
+      } catch (e) {
+        failed++;
+        console.error(`❌ ${pos.name}: ${e.message}`);
+      }
+    }
+  } finally {
+    child.kill();
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err?.stack || err);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+/**
+ * scripts/pos-mock-servers.js
+ * Local stand-ins for the Square, Toast and Clover APIs, for trying the POS
+ * adapters (src/pos) without sandbox accounts. Each server keeps one open order
+ * in memory and only implements the endpoints the adapters call.
+ *
+ *   Square  http://localhost:4101  location "LOC1",        order "sq-order-1"
+ *   Toast   http://localhost:4102  restaurant "rest-guid-1", order "toast-order-1" / check "check-1"
+ *   Clover  http://localhost:4103  merchant "MERCH1",      order "CLV1"
+ *
+ * Any non-empty Bearer token is accepted. Point a store at a mock with pos.base_url, e.g.
+ *   "pos": { "adapter": "square", "location_id": "LOC1", "base_url": "http://localhost:4101" }
+ * and set SQUARE_TOKEN / TOAST_TOKEN / CLOVER_TOKEN to anything.
+ *
+ * Run:
+ *   node scripts/pos-mock-servers.js [--base-port 4101]
+ *
+ * GET /_state on any server dumps its orders; POST /_open opens another order (a second
+ * register), after which the adapters refuse to guess and need the order id.
+ * `npm run pos:check` (scripts/pos-check.js) runs the adapters against these servers.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const argv = process.argv.slice(2);
+const portArg = argv.indexOf("--base-port");
+const BASE_PORT = portArg >= 0 ? Number(argv[portArg + 1]) : 4101;
+
+const uid = () => crypto.randomBytes(6).toString("hex");
+
+function bearer(req, res, next) {
+  if (!/^Bearer \S+/.test(req.get("authorization") || "")) {
+    return res.status(401).json({ errors: [{ code: "UNAUTHORIZED", detail: "Missing bearer token" }] });
+  }
+  next();
+}
+
+function serve(name, port, mount) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    console.log(`[${name}] ${req.method} ${req.originalUrl}`);
+    next();
+  });
+  const state = mount(app);
+  app.get("/_state", (_req, res) => res.json(state));
+  app.use((req, res) => res.status(404).json({ message: `${name} mock: no route ${req.method} ${req.path}` }));
+  app.listen(port, () => console.log(`${name} mock on http://localhost:${port}`));
+}
+
+// ----- Square: /v2/orders -----
+serve("square", BASE_PORT, (app) => {
+  const orders = {
+    "sq-order-1": {
+      id: "sq-order-1", location_id: "LOC1", state: "OPEN", version: 1,
+      total_money: { amount: 1500, currency: "USD" }, discounts: [],
+    },
+  };
+  const keys = new Map(); // idempotency_key -> response
+  app.use("/v2", bearer);
+
+  app.get("/v2/orders/:id", (req, res) => {
+    const order = orders[req.params.id];
+    if (!order) return res.status(404).json({ errors: [{ code: "NOT_FOUND", detail: "Order not found" }] });
+    res.json({ order });
+  });
+
+  app.post("/v2/orders/search", (req, res) => {
+    const locations = req.body.location_ids || [];
+    const found = Object.values(orders).filter((o) => o.state === "OPEN" && locations.includes(o.location_id));
+    res.json({ orders: found.slice(0, req.body.limit || 10) });
+  });
+
+  app.put("/v2/orders/:id", (req, res) => {
+    const order = orders[req.params.id];
+    if (!order) return res.status(404).json({ errors: [{ code: "NOT_FOUND", detail: "Order not found" }] });
+    const { idempotency_key: key, order: patch = {}, fields_to_clear: clear = [] } = req.body;
+    if (key && keys.has(key)) return res.json(keys.get(key));
+    if (patch.version !== order.version) {
+      return res.status(400).json({ errors: [{ code: "VERSION_MISMATCH", detail: "Order version is stale" }] });
+    }
+    for (const field of clear) {
+      const m = /^discounts\[(.+)\]$/.exec(field);
+      if (m) order.discounts = order.discounts.filter((d) => d.uid !== m[1]);
+    }
+    for (const d of patch.discounts || []) order.discounts.push({ ...d, scope: d.scope || "ORDER" });
+    order.version += 1;
+    const out = { order };
+    if (key) keys.set(key, out);
+    res.json(out);
+  });
+
+  app.post("/_open", (_req, res) => {
+    const id = `sq-order-${uid()}`;
+    orders[id] = { id, location_id: "LOC1", state: "OPEN", version: 1, total_money: { amount: 900, currency: "USD" }, discounts: [] };
+    res.json({ id });
+  });
+  return orders;
+});
+
+// ----- Toast: /orders/v2 -----
+serve("toast", BASE_PORT + 1, (app) => {
+  const orders = {
+    "toast-order-1": {
+      guid: "toast-order-1", openedDate: new Date().toISOString(), closedDate: null, voided: false,
+      checks: [{ guid: "check-1", totalAmount: 15.0, closedDate: null, appliedDiscounts: [] }],
+    },
+  };
+  app.use("/orders/v2", bearer, (req, res, next) => {
+    if (!req.get("toast-restaurant-external-id")) {
+      return res.status(400).json({ status: 400, message: "Toast-Restaurant-External-ID header is required" });
+    }
+    next();
+  });
+
+  const check = (req, res) => {
+    const order = orders[req.params.order];
+    const c = order && order.checks.find((x) => x.guid === req.params.check);
+    if (!c) res.status(404).json({ status: 404, message: "Order or check not found" });
+    return c ? { order, check: c } : null;
+  };
+
+  app.get("/orders/v2/ordersBulk", (_req, res) => res.json(Object.values(orders)));
+
+  app.get("/orders/v2/orders/:order", (req, res) => {
+    const order = orders[req.params.order];
+    if (!order) return res.status(404).json({ status: 404, message: "Order not found" });
+    res.json(order);
+  });
+
+  app.post("/orders/v2/orders/:order/checks/:check/appliedDiscounts", (req, res) => {
+    const found = check(req, res);
+    if (!found) return;
+    for (const d of Array.isArray(req.body) ? req.body : [req.body]) {
+      found.check.appliedDiscounts.push({
+        guid: `ad-${uid()}`, name: `Discount ${d.discount && d.discount.guid}`, externalId: d.externalId,
+        discount: d.discount, discountAmount: d.discountAmount, discountPercent: d.discountPercent,
+      });
+    }
+    res.json(found.order);
+  });
+
+  app.delete("/orders/v2/orders/:order/checks/:check/appliedDiscounts/:applied", (req, res) => {
+    const found = check(req, res);
+    if (!found) return;
+    found.check.appliedDiscounts = found.check.appliedDiscounts.filter((d) => d.guid !== req.params.applied);
+    res.json(found.order);
+  });
+
+  app.post("/_open", (_req, res) => {
+    const id = `toast-order-${uid()}`;
+    orders[id] = {
+      guid: id, openedDate: new Date().toISOString(), closedDate: null, voided: false,
+      checks: [{ guid: `check-${uid()}`, totalAmount: 9.0, closedDate: null, appliedDiscounts: [] }],
+    };
+    res.json({ id });
+  });
+  return orders;
+});
+
+// ----- Clover: /v3/merchants/{mId}/orders -----
+serve("clover", BASE_PORT + 2, (app) => {
+  const orders = {
+    CLV1: { id: "CLV1", state: "open", total: 1500, createdTime: Date.now(), discounts: { elements: [] } },
+  };
+  app.use("/v3", bearer);
+
+  app.get("/v3/merchants/:m/orders", (req, res) => {
+    const open = String(req.query.filter || "") === "state=open";
+    const list = Object.values(orders).filter((o) => !open || o.state === "open");
+    res.json({ elements: list.slice(0, Number(req.query.limit) || 100) });
+  });
+
+  app.get("/v3/merchants/:m/orders/:id", (req, res) => {
+    const order = orders[req.params.id];
+    if (!order) return res.status(404).json({ message: "Not Found" });
+    res.json(order);
+  });
+
+  app.post("/v3/merchants/:m/orders/:id/discounts", (req, res) => {
+    const order = orders[req.params.id];
+    if (!order) return res.status(404).json({ message: "Not Found" });
+    const d = { id: uid().toUpperCase(), name: req.body.name, amount: req.body.amount, percentage: req.body.percentage };
+    order.discounts.elements.push(d);
+    res.json(d);
+  });
+
+  app.delete("/v3/merchants/:m/orders/:id/discounts/:discount", (req, res) => {
+    const order = orders[req.params.id];
+    if (!order) return res.status(404).json({ message: "Not Found" });
+    order.discounts.elements = order.discounts.elements.filter((d) => d.id !== req.params.discount);
+    res.json({});
+  });
+
+  app.post("/_open", (_req, res) => {
+    const id = `CLV${uid().toUpperCase()}`;
+    orders[id] = { id, state: "open", total: 900, createdTime: Date.now(), discounts: { elements: [] } };
+    res.json({ id });
+  });
+  return orders;
+});
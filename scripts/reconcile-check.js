@@ -0,0 +1,85 @@
+/**
+ * scripts/reconcile-check.js
+ * Checks the paper-coupon reconciliation input parser (src/lib/reconcile.js):
+ *
+ *   positional  token,store,date lines without a header, 12-hex values read as token_hash
+ *   header      columns picked by name in any order; missing columns fall back to the defaults
+ *   defaults    bare values get the form's store and date
+ *   csv         quoted fields keep commas and "" escapes; tab and ; separate too
+ *   skipped     blank and # lines are dropped but line numbers still match the input
+ *   empty       nothing (or a header alone) parses to no rows
+ *   dates       YYYY-MM-DD lands on noon UTC, ISO timestamps pass through, junk is null
+ *
+ * No server or database needed. Exit code 1 on any failure.
+ *
+ * Run:
+ *   npm run reconcile:check
+ */
+
+const assert = require("assert");
+const { parseReconcileInput, reconcileDate } = require("../src/lib/reconcile");
+
+const TOKEN = "386cbe2f6832d5a69bb6c8fd49f130f5";
+const HASH = "6904e17740fc";
+
+const CHECKS = {
+  positional() {
+    const rows = parseReconcileInput(`${TOKEN},store-a,2026-10-01\n${HASH},store-b,2026-10-02`);
+    assert.deepStrictEqual(rows, [
+      { line: 1, value: TOKEN, kind: "token", store_id: "store-a", date: "2026-10-01" },
+      { line: 2, value: HASH, kind: "token_hash", store_id: "store-b", date: "2026-10-02" },
+    ]);
+  },
+
+  header() {
+    const rows = parseReconcileInput(`Redeemed_At,Token_Hash,Store\n2026-10-03,${HASH},store-c`);
+    assert.deepStrictEqual(rows, [{ line: 2, value: HASH, kind: "token_hash", store_id: "store-c", date: "2026-10-03" }]);
+    const partial = parseReconcileInput(`code\n${HASH}`, { storeId: "store-d", date: "2026-10-04" });
+    assert.deepStrictEqual(partial.map((r) => [r.store_id, r.date]), [["store-d", "2026-10-04"]]);
+  },
+
+  defaults() {
+    const rows = parseReconcileInput(`${HASH}\n${TOKEN},,`, { storeId: "store-e", date: "2026-10-05" });
+    assert.deepStrictEqual(rows.map((r) => [r.value, r.store_id, r.date]), [
+      [HASH, "store-e", "2026-10-05"],
+      [TOKEN, "store-e", "2026-10-05"],
+    ]);
+  },
+
+  csv() {
+    const [quoted] = parseReconcileInput(`"${HASH}","store, ""north""",2026-10-06`);
+    assert.strictEqual(quoted.store_id, 'store, "north"');
+    const rows = parseReconcileInput(`${HASH}\tstore-f\t2026-10-07\n${HASH};store-g;2026-10-08`);
+    assert.deepStrictEqual(rows.map((r) => [r.store_id, r.date]), [["store-f", "2026-10-07"], ["store-g", "2026-10-08"]]);
+  },
+
+  skipped() {
+    const rows = parseReconcileInput(`# pasted from the drawer\n\n  ${HASH}  \r\n# end`);
+    assert.deepStrictEqual(rows.map((r) => [r.line, r.value]), [[3, HASH]]);
+  },
+
+  empty() {
+    assert.deepStrictEqual(parseReconcileInput(""), []);
+    assert.deepStrictEqual(parseReconcileInput(null), []);
+    assert.deepStrictEqual(parseReconcileInput("token,store_id,date\n"), []);
+  },
+
+  dates() {
+    assert.strictEqual(reconcileDate("2026-10-09"), "2026-10-09T12:00:00.000Z");
+    assert.strictEqual(reconcileDate(" 2026-10-09T08:30:00-05:00 "), "2026-10-09T13:30:00.000Z");
+    assert.strictEqual(reconcileDate("last tuesday"), null);
+    assert.strictEqual(reconcileDate(""), null);
+  },
+};
+
+let failed = 0;
+for (const [name, fn] of Object.entries(CHECKS)) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`❌ ${name}: ${e.message}`);
+  }
+}
+if (failed) process.exit(1);
@@ -0,0 +1,149 @@
+/**
+ * scripts/store-check.js
+ * Runs concurrent redemptions against the JSON store (src/data/jsonStore.js) in a
+ * throwaway directory:
+ *
+ *   race       many stores scan the same pass at once: one redeems, the rest get
+ *              already_redeemed, and one redemption row is written
+ *   replay     the same scan_id sent several times at once: one redemption, the
+ *              other calls come back replayed with the same pass
+ *   instances  two store objects on the same file still serialize on the file lock
+ *   cap        max_redemptions_total holds under a burst of different passes
+ *   per-user   max_redemptions_per_user holds for one customer's passes
+ *   expiry     a lapsed pass is refused and flipped to expired; a queued scan from
+ *              before expires_at still redeems
+ *
+ * Exit code 1 on any failure.
+ *
+ * Run:
+ *   npm run store:check
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStore } = require("../src/data/jsonStore");
+
+const BURST = 25;
+const OFFERS = {
+  open: { title: "Open", status: "active" },
+  capped: { title: "Capped", status: "active", max_redemptions_total: 3 },
+  "per-user": { title: "Per user", status: "active", max_redemptions_per_user: 2 },
+};
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+const count = (results, pred) => results.filter(pred).length;
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "acp-store-check-"));
+  const offersFile = path.join(dir, "offers.json");
+  const dbFile = path.join(dir, "db.json");
+  fs.writeFileSync(offersFile, JSON.stringify(OFFERS));
+  return { dir, dbFile, offersFile, store: createJsonStore({ dbFile, offersFile, demoMode: false }) };
+}
+
+let seq = 0;
+async function issue(store, offerId, extra = {}) {
+  const token = `check-token-${++seq}`;
+  const { pass } = await store.issuePass({ offerId, offer: OFFERS[offerId], token, ...extra });
+  return pass;
+}
+
+const redemptionRows = (dbFile) => JSON.parse(fs.readFileSync(dbFile, "utf8")).redemptions;
+
+const CHECKS = {
+  async race({ store, dbFile }) {
+    const pass = await issue(store, "open");
+    const results = await Promise.all(range(BURST).map((i) =>
+      store.redeemPass({ token: pass.token, storeId: `store-${i}`, staff: "", scanId: `race-${i}` })
+    ));
+    assert.strictEqual(count(results, (r) => r.ok), 1, "exactly one scan should redeem");
+    assert.strictEqual(count(results, (r) => r.error === "already_redeemed"), BURST - 1);
+    const winner = results.find((r) => r.ok).pass;
+    assert.strictEqual((await store.findPass(pass.token)).redeemed_by_store, winner.redeemed_by_store);
+    assert.strictEqual(redemptionRows(dbFile).filter((r) => r.token === pass.token).length, 1);
+  },
+
+  async replay({ store, dbFile }) {
+    const pass = await issue(store, "open");
+    const results = await Promise.all(range(BURST).map(() =>
+      store.redeemPass({ token: pass.token, storeId: "store-a", staff: "", scanId: "replay-1" })
+    ));
+    assert.ok(results.every((r) => r.ok), "a retry of the same scan was refused");
+    assert.strictEqual(count(results, (r) => !r.replayed), 1, "exactly one call should do the redemption");
+    assert.strictEqual(redemptionRows(dbFile).filter((r) => r.token === pass.token).length, 1);
+  },
+
+  async instances({ store, dbFile, offersFile }) {
+    const other = createJsonStore({ dbFile, offersFile, demoMode: false });
+    const pass = await issue(store, "open");
+    const results = await Promise.all(range(BURST).map((i) =>
+      (i % 2 ? other : store).redeemPass({ token: pass.token, storeId: `store-${i}`, staff: "", scanId: `inst-${i}` })
+    ));
+    assert.strictEqual(count(results, (r) => r.ok), 1, "exactly one scan should redeem");
+  },
+
+  async cap({ store }) {
+    const passes = await Promise.all(range(8).map(() => issue(store, "capped")));
+    const results = await Promise.all(passes.map((p, i) =>
+      store.redeemPass({ token: p.token, storeId: "store-a", staff: "", scanId: `cap-${i}` })
+    ));
+    assert.strictEqual(count(results, (r) => r.ok), OFFERS.capped.max_redemptions_total);
+    assert.strictEqual(count(results, (r) => r.error === "cap_reached"), 8 - OFFERS.capped.max_redemptions_total);
+  },
+
+  async "per-user"({ store, dbFile }) {
+    // The issue-time cap would stop a third pass for cust-1, so the third one is handed to
+    // the customer by editing the file: what is checked here is the redeem-time cap.
+    const passes = [];
+    for (let i = 0; i < 2; i++) passes.push(await issue(store, "per-user", { customerId: "cust-1" }));
+    passes.push(await issue(store, "per-user"));
+    const db = JSON.parse(fs.readFileSync(dbFile, "utf8"));
+    db.passes.find((p) => p.token === passes[2].token).customer_id = "cust-1";
+    fs.writeFileSync(dbFile, JSON.stringify(db));
+    const results = await Promise.all(passes.map((p, i) =>
+      store.redeemPass({ token: p.token, storeId: "store-a", staff: "", scanId: `user-${i}` })
+    ));
+    assert.strictEqual(count(results, (r) => r.ok), OFFERS["per-user"].max_redemptions_per_user);
+    assert.strictEqual(count(results, (r) => r.error === "customer_limit"), 1);
+  },
+
+  async expiry({ store }) {
+    const expiresAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const lapsed = await issue(store, "open", { expiresAt });
+    const now = await store.redeemPass({ token: lapsed.token, storeId: "store-a", staff: "", scanId: "exp-1" });
+    assert.strictEqual(now.error, "expired");
+    assert.strictEqual((await store.findPass(lapsed.token)).status, "expired", "the lapse was not persisted");
+
+    const queued = await issue(store, "open", { expiresAt });
+    const scannedAt = new Date(Date.parse(expiresAt) - 60 * 1000).toISOString();
+    const results = await Promise.all(range(5).map((i) =>
+      store.redeemPass({ token: queued.token, storeId: "store-a", staff: "", scanId: `exp-q-${i}`, scannedAt })
+    ));
+    assert.strictEqual(count(results, (r) => r.ok), 1, "the scan from before expiry should redeem once");
+    assert.strictEqual((await store.findPass(queued.token)).status, "redeemed");
+  },
+};
+
+async function main() {
+  let failed = 0;
+  for (const [name, fn] of Object.entries(CHECKS)) {
+    const ctx = tempStore();
+    try {
+      await fn(ctx);
+      console.log(`✅ ${name}`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${name}: ${e.message}`);
+    } finally {
+      fs.rmSync(ctx.dir, { recursive: true, force: true });
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err?.stack || err);
+  process.exit(1);
+});
@@ -15,10 +15,57 @@ const env = {
   // Rate limiting
   ADMIN_RL_WINDOW_MS: Number(process.env.ADMIN_RL_WINDOW_MS || 60_000),
   ADMIN_RL_MAX: Number(process.env.ADMIN_RL_MAX || 30),
+  // Wrong staff PINs allowed per cashier device per window
+  PIN_RL_WINDOW_MS: Number(process.env.PIN_RL_WINDOW_MS || 15 * 60_000),
+  PIN_RL_MAX: Number(process.env.PIN_RL_MAX || 10),
+
+  // Storage: "json" (data/db.json, local dev) or "pg" (acp_deals tables)
+  STORE_DRIVER: process.env.STORE_DRIVER || "json",
+  DATABASE_URL: process.env.DATABASE_URL || "",
+  DATABASE_SSL: process.env.DATABASE_SSL || "auto", // auto|off|on|no-verify
+  PG_TENANT_KEY: process.env.PG_TENANT_KEY || "allcitypages",
+
+  // Pass tokens: "hex" (random, looked up in the store) or "signed" (see src/lib/passToken.js)
+  PASS_TOKEN_FORMAT: process.env.PASS_TOKEN_FORMAT || "hex",
+  PASS_TOKEN_KEYS: process.env.PASS_TOKEN_KEYS || "", // kid:secret[,kid:secret] — first one signs
+
+  // Offer schedules: timezone when neither the offer nor the store sets one
+  DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || "America/Chicago",
+
+  // POS adapters (src/pos): API tokens + base URLs (override the URLs to point at scripts/pos-mock-servers.js)
+  SQUARE_TOKEN: process.env.SQUARE_TOKEN || "",
+  SQUARE_API_URL: process.env.SQUARE_API_URL || "https://connect.squareup.com",
+  TOAST_TOKEN: process.env.TOAST_TOKEN || "",
+  TOAST_API_URL: process.env.TOAST_API_URL || "https://ws-api.toasttab.com",
+  CLOVER_TOKEN: process.env.CLOVER_TOKEN || "",
+  CLOVER_API_URL: process.env.CLOVER_API_URL || "https://api.clover.com",
+  POS_TIMEOUT_MS: Number(process.env.POS_TIMEOUT_MS || 8000),
+
+  // Catalog revisions (src/lib/catalogRevisions.js): every offers.json / stores.json write is
+  // recorded; a revision is pruned once it is neither among the newest KEEP nor younger than KEEP_DAYS
+  CATALOG_REVISIONS_DIR: process.env.CATALOG_REVISIONS_DIR || "data/catalog-revisions",
+  CATALOG_REVISIONS_KEEP: Number(process.env.CATALOG_REVISIONS_KEEP || 50),
+  CATALOG_REVISIONS_KEEP_DAYS: Number(process.env.CATALOG_REVISIONS_KEEP_DAYS || 30),
+
+  // Offline scans replayed through /api/redeem/batch keep their scanned_at (schedule, live code and
+  // expiry checks) up to this age; older ones are refused. /api/redeem always uses server time.
+  OFFLINE_SCAN_MAX_AGE_HOURS: Number(process.env.OFFLINE_SCAN_MAX_AGE_HOURS || 72),
+
+  // Live codes (src/lib/liveCode.js): how far back an offline scan's scanned_at may place the
+  // code check on /api/redeem/batch (/api/redeem always checks at server time)
+  LIVE_CODE_MAX_LAG_SEC: Number(process.env.LIVE_CODE_MAX_LAG_SEC || 300),
+
+  // Image uploads (src/lib/images.js): largest accepted file
+  IMAGE_UPLOAD_MAX_BYTES: Number(process.env.IMAGE_UPLOAD_MAX_BYTES || 8 * 1024 * 1024),
 
   // Offer caching
   OFFERS_CACHE_TTL_MS: Number(process.env.OFFERS_CACHE_TTL_MS || 30_000),
 
+  // Demo mode (src/data/demoSeed.js): the demo reset only runs with DEMO_MODE=true and writes its
+  // stub offers to DEMO_OFFERS_FILE, which the json store then serves instead of config/offers.json
+  DEMO_MODE: process.env.DEMO_MODE === "true",
+  DEMO_OFFERS_FILE: process.env.DEMO_OFFERS_FILE || "data/demo-offers.json",
+
   // Demo reset / cleanup
   ENABLE_DEMO_RESET_JOB: process.env.ENABLE_DEMO_RESET_JOB === "true",
   DEMO_RESET_EVERY_MS: Number(process.env.DEMO_RESET_EVERY_MS || 0), // 0 disables
@@ -0,0 +1,64 @@
+// src/data/credentials.js
+/**
+ * Store-scoped cashier credentials (instead of the global API_KEY on redeem.html).
+ *   device: a token per register/tablet, bound to one config/stores.json code.
+ *           Sent as x-api-key; only unlocks /api/redeem, /api/redeem/verify, /api/redeem/batch
+ *           and /api/redeem/void (undoing its own recent redemptions).
+ *   pin:    optional staff PIN for that store (x-staff-pin). Identifies who scanned;
+ *           devices issued with require_pin refuse scans without one.
+ * Only hashes are stored; the device token / PIN is shown once when issued.
+ */
+const crypto = require("crypto");
+
+const CREDENTIAL_KINDS = new Set(["device", "pin"]);
+const DEVICE_TOKEN_PREFIX = "acpd_";
+const PIN_RE = /^\d{4,8}$/;
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+const newDeviceToken = () => DEVICE_TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+const newPin = () => String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+
+const isDeviceToken = (key) => String(key || "").startsWith(DEVICE_TOKEN_PREFIX);
+
+/**
+ * Lookup hash of a secret. PINs are hashed with their store code, so the same
+ * PIN may exist at two stores but not twice at one.
+ */
+function credentialHash(kind, secret, storeId) {
+  return kind === "pin" ? sha256(`pin:${storeId}:${secret}`) : sha256(secret);
+}
+
+/**
+ * Validate an issue request against config/stores.json.
+ * Returns an error message or null.
+ */
+function validateCredentialRequest({ kind, storeId, staff, pin }, stores) {
+  if (!CREDENTIAL_KINDS.has(kind)) return "kind must be device or pin";
+  if (!storeId) return "store_id is required";
+  if (!Object.prototype.hasOwnProperty.call(stores || {}, storeId)) return `Unknown store_id: ${storeId}`;
+  if (kind === "pin") {
+    if (!String(staff || "").trim()) return "staff (name shown on redemptions) is required for a PIN";
+    if (pin && !PIN_RE.test(pin)) return "pin must be 4-8 digits";
+  }
+  return null;
+}
+
+/**
+ * Credential as returned by the admin API (never the hash).
+ */
+function publicCredential(c) {
+  if (!c) return null;
+  const { secret_hash, ...rest } = c;
+  return rest;
+}
+
+module.exports = {
+  CREDENTIAL_KINDS,
+  newDeviceToken,
+  newPin,
+  isDeviceToken,
+  credentialHash,
+  validateCredentialRequest,
+  publicCredential,
+};
@@ -0,0 +1,54 @@
+// src/data/db.js
+const { Pool } = require("pg");
+const { env } = require("../config/env");
+
+let pool = null;
+
+/**
+ * Translate DATABASE_SSL into a pg `ssl` option:
+ *   off       -> no TLS
+ *   on        -> TLS with certificate verification
+ *   no-verify -> TLS without verification (self-signed / Render internal certs)
+ *   auto      -> no-verify for Render hosts, otherwise defer to ?sslmode= in the URL
+ */
+function pgSslConfig(url = env.DATABASE_URL, mode = env.DATABASE_SSL) {
+  switch (String(mode).toLowerCase()) {
+    case "off":
+    case "false":
+    case "disable":
+      return false;
+    case "on":
+    case "true":
+    case "require":
+      return { rejectUnauthorized: true };
+    case "no-verify":
+      return { rejectUnauthorized: false };
+    case "auto":
+    case "":
+      return String(url).includes("render.com") ? { rejectUnauthorized: false } : undefined;
+    default:
+      throw new Error(`Invalid DATABASE_SSL: ${mode} (expected auto|off|on|no-verify)`);
+  }
+}
+
+/**
+ * Shared Postgres pool (created once per process, on first use).
+ * Returns null when DATABASE_URL is not configured.
+ */
+function getPool() {
+  if (pool || !env.DATABASE_URL) return pool;
+  pool = new Pool({
+    connectionString: env.DATABASE_URL,
+    ssl: pgSslConfig(),
+  });
+  return pool;
+}
+
+async function closePool() {
+  if (!pool) return;
+  const p = pool;
+  pool = null;
+  await p.end();
+}
+
+module.exports = { getPool, closePool, pgSslConfig };
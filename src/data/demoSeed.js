@@ -1,4 +1,7 @@
 // src/data/demoSeed.js
+// Stub offers for the standalone demo app (src/index.js). They only ever go to the demo
+// catalog (DEMO_OFFERS_FILE), and only with DEMO_MODE=true.
+const { env } = require("../config/env");
 const { store } = require("./store");
 
 const DEMO_OFFERS = [
@@ -8,6 +11,7 @@ const DEMO_OFFERS = [
 ];
 
 async function resetDemoData() {
+  if (!env.DEMO_MODE) throw new Error("Demo reset is disabled (set DEMO_MODE=true)");
   await store.resetOffers(DEMO_OFFERS);
 }
 
@@ -0,0 +1,304 @@
+// src/data/jsonStore.js
+/**
+ * JSON-file driver for the store interface (local dev).
+ * Passes/redemptions/store credentials live in data/db.json, the offer catalog in config/offers.json.
+ * With DEMO_MODE=true the catalog is the demo one (DEMO_OFFERS_FILE), the only file resetOffers writes.
+ */
+const path = require("path");
+const crypto = require("crypto");
+const {
+  withFileLock,
+  readJson,
+  writeJsonAtomic,
+  updateJson,
+  ensureJsonFile,
+} = require("../lib/jsonFile");
+const { env } = require("../config/env");
+const { offerLimits } = require("./limits");
+const { historyEntry, isLapsed, expiredAfter, expiryEntry } = require("./passHistory");
+const { offerStatus } = require("../lib/offerStatus");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const DEFAULT_DB_FILE = path.join(ROOT, "data", "db.json");
+const DEFAULT_OFFERS_FILE = path.join(ROOT, "config", "offers.json");
+const DEMO_OFFERS_FILE = path.resolve(ROOT, env.DEMO_OFFERS_FILE);
+
+const EMPTY_DB = () => ({ passes: [], redemptions: [], credentials: [] });
+
+const nowISO = () => new Date().toISOString();
+const sha12 = (s) => crypto.createHash("sha256").update(s).digest("hex").slice(0, 12);
+
+function normalizeDb(db) {
+  db.passes = db.passes || [];
+  db.redemptions = db.redemptions || [];
+  db.credentials = db.credentials || [];
+  return db;
+}
+
+const countRedeemed = (db, offerId) =>
+  db.passes.filter((p) => p.offer === offerId && p.status === "redeemed").length;
+
+function expirePass(pass, at) {
+  pass.history = [...(pass.history || []), expiryEntry(pass, at)];
+  pass.status = "expired";
+}
+
+function createJsonStore({
+  dbFile = DEFAULT_DB_FILE,
+  demoMode = env.DEMO_MODE,
+  offersFile = demoMode ? DEMO_OFFERS_FILE : DEFAULT_OFFERS_FILE,
+} = {}) {
+  ensureJsonFile(dbFile, EMPTY_DB());
+
+  // Reads are lock-free (writes are atomic renames); every write goes through updateDb.
+  const readDb = async () => normalizeDb(await readJson(dbFile, EMPTY_DB()));
+  const updateDb = (mutate) => updateJson(dbFile, EMPTY_DB, (db) => mutate(normalizeDb(db)));
+
+  return {
+    driver: "json",
+
+    async queryOffers(params) {
+      const map = await readJson(offersFile, {});
+      return Object.entries(map)
+        .filter(([, o]) => o && offerStatus(o) === "active")
+        .map(([id, o]) => ({ id, ...o }));
+    },
+
+    async getOffer(id) {
+      const map = await readJson(offersFile, {});
+      return map[id] ? { id, ...map[id] } : null;
+    },
+
+    // Demo reset only: never touches the real catalog.
+    async resetOffers(newOffers) {
+      if (!demoMode) throw new Error("resetOffers only runs in demo mode (DEMO_MODE=true)");
+      if (path.resolve(offersFile) === DEFAULT_OFFERS_FILE) {
+        throw new Error("resetOffers refuses to overwrite config/offers.json; set DEMO_OFFERS_FILE");
+      }
+      const map = {};
+      for (const { id, ...o } of newOffers) map[id] = o;
+      await withFileLock(offersFile, () => writeJsonAtomic(offersFile, map));
+    },
+
+    async syncOffers() {
+      return { synced: 0 }; // offers are read straight from offersFile
+    },
+
+    async issuePass({ offerId, offer, token, passId, expiresAt, source, customerId }) {
+      const limits = offerLimits(offer);
+      const pass = {
+        id: passId || crypto.randomUUID(),
+        token,
+        token_hash: sha12(token),
+        offer: offerId,
+        client_slug: offer.client_slug || "general",
+        restaurant: offer.restaurant || "",
+        status: "issued",
+        issued_at: nowISO(),
+        expires_at: expiresAt || null,
+        redeemed_at: null,
+        redeemed_by_store: "",
+        redeemed_by_staff: "",
+        source: source || "direct",
+        customer_id: customerId || "",
+        history: [],
+      };
+      return updateDb((db) => {
+        if (limits.total !== null && countRedeemed(db, offerId) >= limits.total) {
+          return { write: false, result: { ok: false, error: "cap_reached" } };
+        }
+        if (limits.perUser !== null && customerId) {
+          const at = nowISO();
+          const mine = db.passes.filter(
+            (p) => p.offer === offerId && p.customer_id === customerId &&
+              ((p.status === "issued" && !isLapsed(p, at)) || p.status === "redeemed")
+          );
+          if (mine.length >= limits.perUser) {
+            // Hand back an outstanding pass instead of refusing (e.g. the customer closed the tab).
+            const open = mine.find((p) => p.status === "issued");
+            if (open) return { write: false, result: { ok: true, pass: open, reused: true } };
+            return { write: false, result: { ok: false, error: "customer_limit" } };
+          }
+        }
+        db.passes.push(pass);
+        return { ok: true, pass };
+      });
+    },
+
+    async findPass(token) {
+      const db = await readDb();
+      return db.passes.find((p) => p.token === token) || null;
+    },
+
+    // Compare-and-set under the file lock: exactly one caller flips issued -> redeemed,
+    // and caps are counted under the same lock.
+    async redeemPass({ token, storeId, staff, scanId, scannedAt }) {
+      const catalog = await readJson(offersFile, {});
+      return updateDb((db) => {
+        const pass = db.passes.find((p) => p.token === token);
+        if (!pass) return { write: false, result: { ok: false, error: "not_found" } };
+        if (pass.status === "voided") return { write: false, result: { ok: false, error: "voided", pass } };
+        if (pass.status === "redeemed" && scanId && pass.redeem_scan_id === scanId) {
+          return { write: false, result: { ok: true, pass, replayed: true } };
+        }
+        // Expiry is judged at the scan's own time: a queued offline scan from before
+        // expires_at still redeems, even if the pass has lapsed (or been swept) since.
+        const at = scannedAt || nowISO();
+        if (isLapsed(pass, at)) {
+          expirePass(pass, nowISO()); // lazy expiry: persist the flip, then refuse
+          return { ok: false, error: "expired", pass };
+        }
+        const reopened = expiredAfter(pass, at);
+        if (pass.status === "expired" && !reopened) return { write: false, result: { ok: false, error: "expired", pass } };
+        if (pass.status !== "issued" && !reopened) {
+          return { write: false, result: { ok: false, error: "already_redeemed", pass } };
+        }
+
+        const limits = offerLimits(catalog[pass.offer]);
+        if (limits.total !== null && countRedeemed(db, pass.offer) >= limits.total) {
+          return { write: false, result: { ok: false, error: "cap_reached", pass } };
+        }
+        if (limits.perUser !== null && pass.customer_id) {
+          const used = db.passes.filter(
+            (p) => p.offer === pass.offer && p.customer_id === pass.customer_id && p.status === "redeemed"
+          ).length;
+          if (used >= limits.perUser) {
+            return { write: false, result: { ok: false, error: "customer_limit", pass } };
+          }
+        }
+
+        const now = nowISO();
+        pass.status = "redeemed";
+        pass.redeemed_at = scannedAt && scannedAt > pass.issued_at ? scannedAt : now;
+        pass.redeemed_by_store = storeId;
+        pass.redeemed_by_staff = staff || "";
+        pass.redeem_scan_id = scanId || "";
+        db.redemptions.push({
+          token,
+          offer: pass.offer,
+          client_slug: pass.client_slug,
+          store_id: storeId,
+          staff: pass.redeemed_by_staff,
+          redeemed_at: pass.redeemed_at,
+          scan_id: pass.redeem_scan_id,
+          received_at: now,
+        });
+        return { ok: true, pass };
+      });
+    },
+
+    async recordPos({ token, pos }) {
+      return updateDb((db) => {
+        const pass = db.passes.find((p) => p.token === token);
+        if (!pass) return { write: false, result: { ok: false, error: "not_found" } };
+        pass.pos = pos;
+        return { ok: true, pass };
+      });
+    },
+
+    async findPassByHash(tokenHash) {
+      const db = await readDb();
+      return db.passes.find((p) => p.token_hash === tokenHash) || null;
+    },
+
+    // Void / reverse a redemption. Only redeemed passes can be corrected.
+    async correctPass({ token, action, reason, note, by }) {
+      return updateDb((db) => {
+        const pass = db.passes.find((p) => p.token === token);
+        if (!pass) return { write: false, result: { ok: false, error: "not_found" } };
+        if (pass.status !== "redeemed") return { write: false, result: { ok: false, error: "not_redeemed", pass } };
+
+        const at = nowISO();
+        const entry = historyEntry(pass, { action, reason, note, by }, at);
+        pass.history = [...(pass.history || []), entry];
+        pass.status = entry.to;
+        pass.redeemed_at = null;
+        pass.redeemed_by_store = "";
+        pass.redeemed_by_staff = "";
+
+        // Flag the matching redemption log line rather than deleting it.
+        const logged = db.redemptions.filter((r) => r.token === token && !r.voided_at).pop();
+        if (logged) Object.assign(logged, { voided_at: at, void_action: action, void_reason: reason });
+        return { ok: true, pass, entry };
+      });
+    },
+
+    async listPasses({ offerId, status } = {}) {
+      const db = await readDb();
+      return db.passes.filter(
+        (p) => (!offerId || p.offer === offerId) && (!status || p.status === status)
+      );
+    },
+
+    async redemptionCounts() {
+      const db = await readDb();
+      const counts = {};
+      for (const p of db.passes) {
+        if (p.status === "redeemed") counts[p.offer] = (counts[p.offer] || 0) + 1;
+      }
+      return counts;
+    },
+
+    async listRedemptions() {
+      const db = await readDb();
+      return db.redemptions;
+    },
+
+    // Flip issued passes past their validity window to expired.
+    async cleanupExpired() {
+      return updateDb((db) => {
+        const at = nowISO();
+        const lapsed = db.passes.filter((p) => isLapsed(p, at));
+        if (!lapsed.length) return { write: false, result: { cleaned: 0 } };
+        for (const p of lapsed) expirePass(p, at);
+        return { cleaned: lapsed.length };
+      });
+    },
+
+    async issueCredential({ kind, storeId, label, staff, requirePin, secretHash, by }) {
+      return updateDb((db) => {
+        if (db.credentials.some((c) => c.secret_hash === secretHash && !c.revoked_at)) {
+          return { write: false, result: { ok: false, error: "duplicate" } };
+        }
+        const credential = {
+          id: crypto.randomUUID(),
+          kind,
+          store_id: storeId,
+          label: label || "",
+          staff: staff || "",
+          require_pin: kind === "device" && requirePin === true,
+          secret_hash: secretHash,
+          created_at: nowISO(),
+          created_by: by || "",
+          revoked_at: null,
+          revoked_by: "",
+        };
+        db.credentials.push(credential);
+        return { ok: true, credential };
+      });
+    },
+
+    async findCredential(secretHash) {
+      const db = await readDb();
+      return db.credentials.find((c) => c.secret_hash === secretHash && !c.revoked_at) || null;
+    },
+
+    async listCredentials({ storeId } = {}) {
+      const db = await readDb();
+      return db.credentials.filter((c) => !storeId || c.store_id === storeId);
+    },
+
+    async revokeCredential({ id, by }) {
+      return updateDb((db) => {
+        const credential = db.credentials.find((c) => c.id === id);
+        if (!credential) return { write: false, result: { ok: false, error: "not_found" } };
+        if (credential.revoked_at) return { write: false, result: { ok: false, error: "revoked", credential } };
+        credential.revoked_at = nowISO();
+        credential.revoked_by = by || "";
+        return { ok: true, credential };
+      });
+    },
+  };
+}
+
+module.exports = { createJsonStore };
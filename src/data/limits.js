@@ -0,0 +1,27 @@
+// src/data/limits.js
+/**
+ * Redemption caps shared by the store drivers.
+ *   max_redemptions_total    -> "first N customers": no issue/redeem once N passes are redeemed
+ *   max_redemptions_per_user -> per customer (acp_cid device key) redeemed + outstanding passes
+ * Missing/empty/non-positive values mean "no limit".
+ */
+
+function toLimit(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function offerLimits(offer) {
+  return {
+    total: toLimit(offer && offer.max_redemptions_total),
+    perUser: toLimit(offer && offer.max_redemptions_per_user),
+  };
+}
+
+function remainingFor(offer, redeemedCount) {
+  const { total } = offerLimits(offer);
+  return total === null ? null : Math.max(0, total - (redeemedCount || 0));
+}
+
+module.exports = { toLimit, offerLimits, remainingFor };
@@ -0,0 +1,87 @@
+// src/data/passHistory.js
+/**
+ * Pass corrections (void / reverse) and the per-pass history they leave behind.
+ *   reverse: redeemed -> issued  (mis-scan; the customer can use the coupon again)
+ *   void:    redeemed -> voided  (the pass is dead; it no longer counts as redeemed)
+ *   expire:  issued -> expired   (past pass.expires_at; by the cleanup job or lazily on redeem)
+ */
+
+const VOID_ACTIONS = new Set(["reverse", "void"]);
+
+const REASON_CODES = new Set([
+  "mis_scan",          // wrong coupon/customer scanned
+  "duplicate_scan",    // same customer scanned twice
+  "wrong_store",       // scanned under the wrong store code
+  "customer_cancelled",
+  "pos_failure",       // discount never made it onto the ticket
+  "test",              // staff training / setup
+  "other",             // requires a note
+]);
+
+/**
+ * Validate a void/reverse request. Returns an error message or null.
+ */
+function validateVoidRequest({ action, reason, note, by }) {
+  if (!VOID_ACTIONS.has(action)) return "action must be reverse or void";
+  if (!REASON_CODES.has(reason)) return `reason must be one of: ${[...REASON_CODES].join(", ")}`;
+  if (reason === "other" && !String(note || "").trim()) return "note is required when reason is other";
+  if (!String(by || "").trim()) return "by (who is making the change) is required";
+  return null;
+}
+
+/**
+ * History entry describing the redemption being undone.
+ */
+function historyEntry(pass, { action, reason, note, by }, at) {
+  return {
+    action,
+    from: pass.status,
+    to: action === "reverse" ? "issued" : "voided",
+    reason,
+    note: String(note || "").trim(),
+    by: String(by).trim(),
+    at,
+    redeemed_at: pass.redeemed_at || null,
+    redeemed_by_store: pass.redeemed_by_store || "",
+    redeemed_by_staff: pass.redeemed_by_staff || "",
+  };
+}
+
+/**
+ * Issued pass whose validity window (pass.expires_at) has run out but is not flipped yet.
+ */
+function isLapsed(pass, at = new Date().toISOString()) {
+  return Boolean(pass && pass.status === "issued" && pass.expires_at && pass.expires_at <= at);
+}
+
+/**
+ * Pass flipped to expired (lazily or by the cleanup sweep) although `at`, the time of a
+ * queued offline scan, came before its expires_at: that scan may still redeem it.
+ */
+function expiredAfter(pass, at) {
+  return Boolean(pass && pass.status === "expired" && pass.expires_at && pass.expires_at > at);
+}
+
+function expiryEntry(pass, at) {
+  return { action: "expire", from: pass.status, to: "expired", by: "system", at, expires_at: pass.expires_at };
+}
+
+/**
+ * Most recent void/reverse entry (for reports), or null.
+ */
+function lastCorrection(pass) {
+  const h = Array.isArray(pass && pass.history) ? pass.history : [];
+  for (let i = h.length - 1; i >= 0; i--) if (VOID_ACTIONS.has(h[i].action)) return h[i];
+  return null;
+}
+
+module.exports = {
+  VOID_ACTIONS,
+  REASON_CODES,
+  validateVoidRequest,
+  historyEntry,
+  isLapsed,
+  expiredAfter,
+  expiryEntry,
+  lastCorrection,
+};
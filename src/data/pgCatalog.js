@@ -0,0 +1,129 @@
+// src/data/pgCatalog.js
+/**
+ * offers.json entries -> acp_deals.offers rows, shared by scripts/import-json.js and the
+ * pg driver. config/offers.json stays the one offer catalog for both drivers: the admin
+ * API writes it, and with STORE_DRIVER=pg every write is mirrored here (store.syncOffers),
+ * and issuePass upserts the offer it is issuing for, so an offer created after the import
+ * never goes missing and caps are never read from a stale row.
+ *
+ * Rows get deterministic ids (stableId) from the tenant key + offers.json id / client_slug,
+ * so the importer and the live sync always hit the same rows.
+ */
+const crypto = require("crypto");
+const { toLimit } = require("./limits");
+const { offerStatus: catalogStatus } = require("../lib/offerStatus");
+
+// Presentation fields that have no column of their own; kept in offers.attributes_json.
+const OFFER_ATTRIBUTES = [
+  "restaurant", "client_slug", "includes", "category", "hero_image", "hero_nozoom",
+  "logo", "brand_color", "accent_color", "addresses", "age_gate", "expires_days",
+];
+
+// Deterministic uuid (v4 layout) from a namespaced key, so re-runs hit the same rows.
+function stableId(...parts) {
+  const h = crypto.createHash("sha256").update(parts.join("|"), "utf8").digest("hex");
+  return [
+    h.slice(0, 8),
+    h.slice(8, 12),
+    "4" + h.slice(13, 16),
+    ((parseInt(h[16], 16) & 0x3) | 0x8).toString(16) + h.slice(17, 20),
+    h.slice(20, 32),
+  ].join("-");
+}
+
+// acp_deals.offers.status has no "scheduled": a scheduled offer is active with a future
+// start_at (queryOffers leaves it out until then); archived offers are paused.
+function offerStatus(o) {
+  const status = catalogStatus(o);
+  if (status === "scheduled") return "active";
+  if (status === "archived") return "paused";
+  return status;
+}
+
+function minAge(ageGate) {
+  if (ageGate === "21-plus-only") return 21;
+  if (ageGate === "18-plus-only") return 18;
+  return null;
+}
+
+const slugOf = (o) => String((o && o.client_slug) || "general").trim();
+
+/**
+ * Organization + listing for a client_slug. `addressId` only fills an empty listing address.
+ * @returns {Promise<{ listingId, org, listing }>} org / listing are the query results
+ */
+async function upsertListing(client, { tenantId, tenantKey, slug, name, addressId = null }) {
+  const orgId = stableId(tenantKey, "org", slug);
+  const org = await client.query(
+    `INSERT INTO acp_core.organizations (org_id, tenant_id, org_type, display_name)
+     VALUES ($1, $2, 'business', $3)
+     ON CONFLICT (org_id) DO UPDATE SET display_name = EXCLUDED.display_name, updated_at = now()
+     RETURNING (xmax = 0) AS inserted;`,
+    [orgId, tenantId, name]
+  );
+
+  const listingId = stableId(tenantKey, "listing", slug);
+  const listing = await client.query(
+    `INSERT INTO acp_dir.listings
+       (listing_id, tenant_id, org_id, status, slug, name, address_id, published_at)
+     VALUES ($1, $2, $3, 'published', $4, $5, $6, now())
+     ON CONFLICT (listing_id) DO UPDATE SET
+       name = EXCLUDED.name, address_id = COALESCE(EXCLUDED.address_id, acp_dir.listings.address_id),
+       updated_at = now()
+     RETURNING (xmax = 0) AS inserted;`,
+    [listingId, tenantId, orgId, slug, name, addressId]
+  );
+  return { listingId, org, listing };
+}
+
+/**
+ * Upsert one offers.json entry (`key` = its id) under `listingId`.
+ * @returns {Promise<{ offerId, result }>} result is the query result (RETURNING inserted)
+ */
+async function upsertOffer(client, { tenantId, tenantKey, listingId, key, offer: o }) {
+  const offerId = stableId(tenantKey, "offer", key);
+  const attrs = {};
+  for (const f of OFFER_ATTRIBUTES) if (o[f] !== undefined) attrs[f] = o[f];
+  if (!attrs.includes && (o.Includes || o.bundle)) attrs.includes = o.Includes || o.bundle;
+  if (!attrs.addresses && o.address) attrs.addresses = [o.address];
+
+  const result = await client.query(
+    `INSERT INTO acp_deals.offers
+       (offer_id, tenant_id, listing_id, offer_key, status, offer_type, title, description, terms,
+        end_at, min_age_years, age_gate_required, attributes_json, published_at, created_at, updated_at,
+        max_redemptions_total, max_redemptions_per_user, start_at)
+     VALUES ($1, $2, $3, $4, $5, 'coupon', $6, $7, $8, $9, $10, $11, $12,
+             COALESCE($18::timestamptz, CASE WHEN $5 = 'active' THEN COALESCE($17::timestamptz, now()) END),
+             COALESCE($13::timestamptz, now()), COALESCE($14::timestamptz, now()), $15, $16, $17::timestamptz)
+     ON CONFLICT (offer_id) DO UPDATE SET
+       listing_id = EXCLUDED.listing_id, status = EXCLUDED.status, title = EXCLUDED.title,
+       description = EXCLUDED.description, terms = EXCLUDED.terms,
+       start_at = EXCLUDED.start_at, end_at = EXCLUDED.end_at,
+       published_at = COALESCE(acp_deals.offers.published_at, EXCLUDED.published_at),
+       min_age_years = EXCLUDED.min_age_years, age_gate_required = EXCLUDED.age_gate_required,
+       attributes_json = EXCLUDED.attributes_json,
+       max_redemptions_total = EXCLUDED.max_redemptions_total,
+       max_redemptions_per_user = EXCLUDED.max_redemptions_per_user, updated_at = now()
+     RETURNING (xmax = 0) AS inserted;`,
+    [
+      offerId, tenantId, listingId, key, offerStatus(o),
+      o.title || key, o.description || null, o.fine_print || null, o.expires_on || null,
+      minAge(o.age_gate), minAge(o.age_gate) !== null, attrs,
+      o.created_at || null, o.updated_at || null,
+      toLimit(o.max_redemptions_total), toLimit(o.max_redemptions_per_user),
+      o.start_at || null, o.published_at || null,
+    ]
+  );
+  return { offerId, result };
+}
+
+/** Listing + offer row for one catalog entry (the live sync; the importer batches listings). */
+async function syncOffer(client, { tenantId, tenantKey, key, offer }) {
+  const slug = slugOf(offer);
+  const { listingId } = await upsertListing(client, {
+    tenantId, tenantKey, slug, name: String(offer.restaurant || slug).trim(),
+  });
+  return upsertOffer(client, { tenantId, tenantKey, listingId, key, offer });
+}
+
+module.exports = { OFFER_ATTRIBUTES, stableId, offerStatus, minAge, slugOf, upsertListing, upsertOffer, syncOffer };
@@ -0,0 +1,463 @@
+// src/data/pgStore.js
+/**
+ * Postgres driver for the store interface.
+ * Offers come from acp_deals.offers (keyed by offer_key = the offers.json id), kept in step
+ * with config/offers.json by syncOffers (every admin catalog write) and issuePass (see pgCatalog.js),
+ * passes are rows in acp_deals.offer_redemptions (see 0002_offer_passes.sql),
+ * cashier credentials rows in acp_deals.store_credentials (0005_store_credentials.sql).
+ */
+const crypto = require("crypto");
+const { env } = require("../config/env");
+const { getPool } = require("./db");
+const { offerLimits } = require("./limits");
+const { historyEntry } = require("./passHistory");
+const { syncOffer } = require("./pgCatalog");
+
+const sha12 = (s) => crypto.createHash("sha256").update(s).digest("hex").slice(0, 12);
+const iso = (d) => (d ? new Date(d).toISOString() : null);
+
+const PASS_COLUMNS = `
+  r.redemption_id, r.token, r.token_hash, r.status, r.issued_at, r.expires_at, r.redeemed_at,
+  r.store_code, r.staff, r.source, r.customer_key,
+  COALESCE(r.metadata_json->'history', '[]'::jsonb) AS history,
+  COALESCE(r.metadata_json->>'scan_id', '') AS scan_id, r.metadata_json->'pos' AS pos,
+  o.offer_key, o.attributes_json->>'client_slug' AS client_slug,
+  o.attributes_json->>'restaurant' AS restaurant`;
+
+function toPass(row) {
+  return {
+    id: row.redemption_id,
+    token: row.token,
+    token_hash: row.token_hash,
+    offer: row.offer_key,
+    client_slug: row.client_slug || "general",
+    restaurant: row.restaurant || "",
+    status: row.status,
+    issued_at: iso(row.issued_at),
+    expires_at: iso(row.expires_at),
+    redeemed_at: iso(row.redeemed_at),
+    redeemed_by_store: row.store_code || "",
+    redeemed_by_staff: row.staff || "",
+    source: row.source || "direct",
+    customer_id: row.customer_key || "",
+    redeem_scan_id: row.scan_id || "",
+    pos: row.pos || null,
+    history: row.history || [],
+  };
+}
+
+const CREDENTIAL_COLUMNS = `
+  credential_id, kind, store_code, label, staff, require_pin, secret_hash,
+  created_at, created_by, revoked_at, revoked_by`;
+
+function toCredential(row) {
+  return {
+    id: row.credential_id,
+    kind: row.kind,
+    store_id: row.store_code,
+    label: row.label || "",
+    staff: row.staff || "",
+    require_pin: row.require_pin,
+    secret_hash: row.secret_hash,
+    created_at: iso(row.created_at),
+    created_by: row.created_by || "",
+    revoked_at: iso(row.revoked_at),
+    revoked_by: row.revoked_by || "",
+  };
+}
+
+function toOffer(row) {
+  return {
+    ...(row.attributes_json || {}),
+    id: row.offer_key,
+    active: row.status === "active",
+    title: row.title,
+    description: row.description || "",
+    fine_print: row.terms || "",
+    expires_on: row.end_at ? iso(row.end_at).slice(0, 10) : undefined,
+    max_redemptions_total: row.max_redemptions_total,
+    max_redemptions_per_user: row.max_redemptions_per_user,
+  };
+}
+
+function createPgStore({ pool = getPool(), tenantKey = env.PG_TENANT_KEY } = {}) {
+  if (!pool) throw new Error("STORE_DRIVER=pg requires DATABASE_URL");
+
+  let tenantId = null;
+  async function tenant() {
+    if (tenantId) return tenantId;
+    const { rows } = await pool.query(
+      `SELECT tenant_id FROM acp_core.tenants WHERE tenant_key = $1 AND deleted_at IS NULL;`,
+      [tenantKey]
+    );
+    if (!rows.length) throw new Error(`Tenant not found: ${tenantKey}`);
+    tenantId = rows[0].tenant_id;
+    return tenantId;
+  }
+
+  async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN;");
+      const out = await fn(client);
+      await client.query("COMMIT;");
+      return out;
+    } catch (e) {
+      await client.query("ROLLBACK;");
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Locks the offer row so cap checks + the write that follows are serialized per offer.
+  async function lockOffer(client, where, param) {
+    const { rows } = await client.query(
+      `SELECT offer_id, max_redemptions_total, max_redemptions_per_user
+         FROM acp_deals.offers
+        WHERE tenant_id = $1 AND ${where}
+        FOR UPDATE;`,
+      [await tenant(), param]
+    );
+    return rows[0] || null;
+  }
+
+  async function countRedeemed(client, offerId, customerKey) {
+    const { rows } = await client.query(
+      `SELECT count(*)::int AS n FROM acp_deals.offer_redemptions
+        WHERE offer_id = $1 AND status = 'redeemed' AND ($2::text IS NULL OR customer_key = $2);`,
+      [offerId, customerKey || null]
+    );
+    return rows[0].n;
+  }
+
+  // issued -> expired, with the transition appended to metadata_json.history.
+  // `where` narrows the tenant's ($1) lapsed rows; extra params follow.
+  async function expireWhere(db, where, params) {
+    const res = await db.query(
+      `UPDATE acp_deals.offer_redemptions
+          SET status = 'expired',
+              metadata_json = jsonb_set(metadata_json, '{history}',
+                COALESCE(metadata_json->'history', '[]'::jsonb) ||
+                jsonb_build_array(jsonb_build_object(
+                  'action', 'expire', 'from', 'issued', 'to', 'expired', 'by', 'system',
+                  'at', to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+                  'expires_at', to_char(expires_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'))))
+        WHERE tenant_id = $1 AND status = 'issued' AND expires_at <= now() ${where};`,
+      [await tenant(), ...params]
+    );
+    return res.rowCount;
+  }
+
+  async function selectPasses(where, params) {
+    const { rows } = await pool.query(
+      `SELECT ${PASS_COLUMNS}
+         FROM acp_deals.offer_redemptions r
+         JOIN acp_deals.offers o ON o.offer_id = r.offer_id
+        WHERE r.tenant_id = $1 AND r.token IS NOT NULL ${where}
+        ORDER BY r.issued_at, r.redemption_id;`,
+      [await tenant(), ...params]
+    );
+    return rows.map(toPass);
+  }
+
+  return {
+    driver: "pg",
+
+    async queryOffers(params) {
+      const { rows } = await pool.query(
+        `SELECT offer_key, status, title, description, terms, end_at, attributes_json,
+                max_redemptions_total, max_redemptions_per_user
+           FROM acp_deals.offers
+          WHERE tenant_id = $1 AND status = 'active' AND offer_key IS NOT NULL
+            AND (start_at IS NULL OR start_at <= now())
+          ORDER BY created_at;`,
+        [await tenant()]
+      );
+      return rows.map(toOffer);
+    },
+
+    async getOffer(id) {
+      const { rows } = await pool.query(
+        `SELECT offer_key, status, title, description, terms, end_at, attributes_json,
+                max_redemptions_total, max_redemptions_per_user
+           FROM acp_deals.offers
+          WHERE tenant_id = $1 AND offer_key = $2;`,
+        [await tenant(), id]
+      );
+      return rows.length ? toOffer(rows[0]) : null;
+    },
+
+    async resetOffers() {
+      throw new Error("resetOffers is not supported by the pg driver; use scripts/import-json.js");
+    },
+
+    // Mirror offers.json entries ({ id: offer }) into acp_deals.offers.
+    async syncOffers(offers) {
+      const entries = Object.entries(offers || {}).filter(([, o]) => o && typeof o === "object");
+      if (!entries.length) return { synced: 0 };
+      const tenantId = await tenant();
+      await withTransaction(async (client) => {
+        for (const [key, offer] of entries) await syncOffer(client, { tenantId, tenantKey, key, offer });
+      });
+      return { synced: entries.length };
+    },
+
+    // `offer` is the offers.json entry the caller checked: its row is upserted first, so the
+    // caps and status used here are the catalog's, even for offers created after the import.
+    async issuePass({ offerId, offer: catalogOffer, token, passId, expiresAt, source, customerId }) {
+      const result = await withTransaction(async (client) => {
+        if (catalogOffer) await syncOffer(client, { tenantId: await tenant(), tenantKey, key: offerId, offer: catalogOffer });
+        const offer = await lockOffer(client, "offer_key = $2", offerId);
+        if (!offer) throw new Error(`Offer ${offerId} is not in acp_deals.offers`);
+        const limits = offerLimits(offer);
+
+        if (limits.total !== null && (await countRedeemed(client, offer.offer_id)) >= limits.total) {
+          return { ok: false, error: "cap_reached" };
+        }
+        if (limits.perUser !== null && customerId) {
+          const { rows } = await client.query(
+            `SELECT token, status FROM acp_deals.offer_redemptions
+              WHERE offer_id = $1 AND customer_key = $2 AND status IN ('issued', 'redeemed')
+                AND NOT (status = 'issued' AND expires_at IS NOT NULL AND expires_at <= now())
+              ORDER BY issued_at;`,
+            [offer.offer_id, customerId]
+          );
+          if (rows.length >= limits.perUser) {
+            // Hand back an outstanding pass instead of refusing (e.g. the customer closed the tab).
+            const open = rows.find((r) => r.status === "issued");
+            if (open) return { ok: true, reuseToken: open.token };
+            return { ok: false, error: "customer_limit" };
+          }
+        }
+
+        await client.query(
+          `INSERT INTO acp_deals.offer_redemptions
+             (redemption_id, tenant_id, offer_id, token, token_hash, status, issued_at, expires_at, redeemed_at, channel, source, customer_key)
+           VALUES ($1, $2, $3, $4, $5, 'issued', now(), $8, NULL, 'web', $6, $7);`,
+          [
+            passId || crypto.randomUUID(), await tenant(), offer.offer_id, token, sha12(token),
+            source || "direct", customerId || null, expiresAt || null,
+          ]
+        );
+        return { ok: true };
+      });
+      if (!result.ok) return result;
+      if (result.reuseToken) return { ok: true, pass: await this.findPass(result.reuseToken), reused: true };
+      return { ok: true, pass: await this.findPass(token) };
+    },
+
+    async findPass(token) {
+      const [pass] = await selectPasses("AND r.token = $2", [token]);
+      return pass || null;
+    },
+
+    async redeemPass({ token, storeId, staff, scanId, scannedAt }) {
+      // Pass row lock makes this a compare-and-set (one winner per token);
+      // the offer row lock serializes cap counting across tokens.
+      const result = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `SELECT redemption_id, offer_id, status, customer_key, metadata_json->>'scan_id' AS scan_id,
+                  COALESCE(status = 'issued' AND expires_at <= COALESCE($3::timestamptz, now()), false) AS lapsed,
+                  COALESCE(status = 'expired' AND expires_at > $3::timestamptz, false) AS reopened
+             FROM acp_deals.offer_redemptions
+            WHERE tenant_id = $1 AND token = $2
+            FOR UPDATE;`,
+          [await tenant(), token, scannedAt || null]
+        );
+        const row = rows[0];
+        if (!row) return { ok: false, error: "not_found" };
+        if (row.status === "voided") return { ok: false, error: "voided" };
+        if (row.status === "redeemed" && scanId && row.scan_id === scanId) return { ok: true, replayed: true };
+        // Expiry is judged at the scan's own time (see jsonStore): `lapsed` only when the scan
+        // came after expires_at; `reopened` when it came before the pass was flipped to expired.
+        if (row.lapsed) {
+          await expireWhere(client, "AND redemption_id = $2", [row.redemption_id]); // lazy expiry
+          return { ok: false, error: "expired" };
+        }
+        if (row.status === "expired" && !row.reopened) return { ok: false, error: "expired" };
+        if (row.status !== "issued" && !row.reopened) return { ok: false, error: "already_redeemed" };
+
+        const limits = offerLimits(await lockOffer(client, "offer_id = $2", row.offer_id));
+        if (limits.total !== null && (await countRedeemed(client, row.offer_id)) >= limits.total) {
+          return { ok: false, error: "cap_reached" };
+        }
+        if (
+          limits.perUser !== null && row.customer_key &&
+          (await countRedeemed(client, row.offer_id, row.customer_key)) >= limits.perUser
+        ) {
+          return { ok: false, error: "customer_limit" };
+        }
+
+        // Offline scans keep their original scan time (never earlier than issue).
+        await client.query(
+          `UPDATE acp_deals.offer_redemptions
+              SET status = 'redeemed', channel = 'in_store', store_code = $2, staff = $3,
+                  redeemed_at = CASE WHEN $4::timestamptz IS NULL THEN now()
+                                     ELSE GREATEST($4::timestamptz, issued_at) END,
+                  metadata_json = metadata_json || jsonb_build_object('scan_id', $5::text, 'received_at', now())
+            WHERE redemption_id = $1;`,
+          [row.redemption_id, storeId, staff || "", scannedAt || null, scanId || ""]
+        );
+        return { ok: true };
+      });
+      const pass = await this.findPass(token);
+      return pass ? { ...result, pass } : result;
+    },
+
+    async recordPos({ token, pos }) {
+      const res = await pool.query(
+        `UPDATE acp_deals.offer_redemptions
+            SET metadata_json = metadata_json || jsonb_build_object('pos', $3::jsonb)
+          WHERE tenant_id = $1 AND token = $2;`,
+        [await tenant(), token, JSON.stringify(pos)]
+      );
+      if (!res.rowCount) return { ok: false, error: "not_found" };
+      return { ok: true, pass: await this.findPass(token) };
+    },
+
+    async findPassByHash(tokenHash) {
+      const [pass] = await selectPasses("AND r.token_hash = $2", [tokenHash]);
+      return pass || null;
+    },
+
+    // Void / reverse a redemption; history goes to metadata_json + acp_compliance.audit_log.
+    async correctPass({ token, action, reason, note, by }) {
+      const result = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `SELECT redemption_id, status, redeemed_at, store_code, staff
+             FROM acp_deals.offer_redemptions
+            WHERE tenant_id = $1 AND token = $2
+            FOR UPDATE;`,
+          [await tenant(), token]
+        );
+        if (!rows.length) return { ok: false, error: "not_found" };
+        if (rows[0].status !== "redeemed") return { ok: false, error: "not_redeemed" };
+
+        const locked = {
+          status: rows[0].status,
+          redeemed_at: iso(rows[0].redeemed_at),
+          redeemed_by_store: rows[0].store_code,
+          redeemed_by_staff: rows[0].staff,
+        };
+        const entry = historyEntry(locked, { action, reason, note, by }, new Date().toISOString());
+        await client.query(
+          `UPDATE acp_deals.offer_redemptions
+              SET status = $2, redeemed_at = NULL, store_code = NULL, staff = NULL,
+                  metadata_json = jsonb_set(metadata_json, '{history}',
+                    COALESCE(metadata_json->'history', '[]'::jsonb) || $3::jsonb)
+            WHERE redemption_id = $1;`,
+          [rows[0].redemption_id, entry.to, JSON.stringify([entry])]
+        );
+        await client.query(
+          `INSERT INTO acp_compliance.audit_log
+             (tenant_id, actor_type, action, entity_type, entity_id, detail_json)
+           VALUES ($1, 'api_key', $2, 'offer_redemption', $3, $4);`,
+          [await tenant(), `redemption.${action}`, rows[0].redemption_id, entry]
+        );
+        return { ok: true, entry };
+      });
+      const pass = await this.findPass(token);
+      return pass ? { ...result, pass } : result;
+    },
+
+    async redemptionCounts() {
+      const { rows } = await pool.query(
+        `SELECT o.offer_key, count(*)::int AS n
+           FROM acp_deals.offer_redemptions r
+           JOIN acp_deals.offers o ON o.offer_id = r.offer_id
+          WHERE r.tenant_id = $1 AND r.status = 'redeemed' AND o.offer_key IS NOT NULL
+          GROUP BY o.offer_key;`,
+        [await tenant()]
+      );
+      const counts = {};
+      for (const r of rows) counts[r.offer_key] = r.n;
+      return counts;
+    },
+
+    async listPasses({ offerId, status } = {}) {
+      const where = [];
+      const params = [];
+      if (offerId) {
+        params.push(offerId);
+        where.push(`AND o.offer_key = $${params.length + 1}`);
+      }
+      if (status) {
+        params.push(status);
+        where.push(`AND r.status = $${params.length + 1}`);
+      }
+      return selectPasses(where.join(" "), params);
+    },
+
+    async listRedemptions() {
+      const passes = await this.listPasses({ status: "redeemed" });
+      return passes.map((p) => ({
+        token: p.token,
+        offer: p.offer,
+        client_slug: p.client_slug,
+        store_id: p.redeemed_by_store,
+        staff: p.redeemed_by_staff,
+        redeemed_at: p.redeemed_at,
+      }));
+    },
+
+    async cleanupExpired() {
+      return { cleaned: await expireWhere(pool, "", []) };
+    },
+
+    async issueCredential({ kind, storeId, label, staff, requirePin, secretHash, by }) {
+      const { rows } = await pool.query(
+        `INSERT INTO acp_deals.store_credentials
+           (tenant_id, kind, store_code, label, staff, require_pin, secret_hash, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (tenant_id, secret_hash) WHERE revoked_at IS NULL DO NOTHING
+         RETURNING ${CREDENTIAL_COLUMNS};`,
+        [
+          await tenant(), kind, storeId, label || null, staff || null,
+          kind === "device" && requirePin === true, secretHash, by || null,
+        ]
+      );
+      if (!rows.length) return { ok: false, error: "duplicate" };
+      return { ok: true, credential: toCredential(rows[0]) };
+    },
+
+    async findCredential(secretHash) {
+      const { rows } = await pool.query(
+        `SELECT ${CREDENTIAL_COLUMNS} FROM acp_deals.store_credentials
+          WHERE tenant_id = $1 AND secret_hash = $2 AND revoked_at IS NULL;`,
+        [await tenant(), secretHash]
+      );
+      return rows.length ? toCredential(rows[0]) : null;
+    },
+
+    async listCredentials({ storeId } = {}) {
+      const { rows } = await pool.query(
+        `SELECT ${CREDENTIAL_COLUMNS} FROM acp_deals.store_credentials
+          WHERE tenant_id = $1 AND ($2::text IS NULL OR store_code = $2)
+          ORDER BY created_at, credential_id;`,
+        [await tenant(), storeId || null]
+      );
+      return rows.map(toCredential);
+    },
+
+    async revokeCredential({ id, by }) {
+      const { rows } = await pool.query(
+        `UPDATE acp_deals.store_credentials
+            SET revoked_at = now(), revoked_by = $3
+          WHERE tenant_id = $1 AND credential_id::text = $2 AND revoked_at IS NULL
+          RETURNING ${CREDENTIAL_COLUMNS};`,
+        [await tenant(), id, by || null]
+      );
+      if (rows.length) return { ok: true, credential: toCredential(rows[0]) };
+      const { rows: existing } = await pool.query(
+        `SELECT ${CREDENTIAL_COLUMNS} FROM acp_deals.store_credentials
+          WHERE tenant_id = $1 AND credential_id::text = $2;`,
+        [await tenant(), id]
+      );
+      if (!existing.length) return { ok: false, error: "not_found" };
+      return { ok: false, error: "revoked", credential: toCredential(existing[0]) };
+    },
+  };
+}
+
+module.exports = { createPgStore };
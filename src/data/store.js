@@ -1,27 +1,57 @@
 // src/data/store.js
 /**
- * Replace with real DB calls.
- * Keep interface stable so routes/services don't change.
+ * Storage facade. Routes/services only talk to `store`; the driver behind it
+ * is picked by STORE_DRIVER:
+ *   - "json" (default): data/db.json + config/offers.json, for local dev
+ *   - "pg":             acp_deals.offers / acp_deals.offer_redemptions (offers.json is still
+ *                       the catalog the app reads and writes; see pgCatalog.js)
+ *
+ * Interface (all async):
+ *   queryOffers(params)                    -> active offers [{ id, ...offer }]
+ *   getOffer(id)                           -> offer | null
+ *   resetOffers(offers)                    -> replace the demo catalog (DEMO_MODE only)
+ *   syncOffers({ [id]: offer })            -> mirror offers.json entries into the driver's own
+ *                                             offer table (pg); { synced }
+ *   issuePass({ offerId, offer, token, passId?, expiresAt?, source, customerId })
+ *                                          -> { ok: true, pass, reused? } | { ok: false, error }
+ *   findPass(token)                        -> pass | null
+ *   findPassByHash(tokenHash)              -> pass | null
+ *   redeemPass({ token, storeId, staff, scanId, scannedAt })
+ *                                          -> { ok: true, pass, replayed? } | { ok: false, error, pass? }
+ *   recordPos({ token, pos })              -> remember the POS discount pushed for a redemption
+ *                                             (pass.pos = { adapter, order_id, discount_id, … })
+ *   correctPass({ token, action, reason, note, by })
+ *                                          -> void/reverse a redemption: { ok, pass, entry } | { ok: false, error }
+ *   listPasses({ offerId, status })        -> passes, oldest first
+ *   redemptionCounts()                     -> { [offerId]: redeemed count }
+ *   listRedemptions()                      -> redemption log entries
+ *   cleanupExpired()                       -> flip lapsed issued passes to expired: { cleaned }
+ *   issueCredential({ kind, storeId, label, staff, requirePin, secretHash, by })
+ *                                          -> { ok: true, credential } | { ok: false, error: "duplicate" }
+ *   findCredential(secretHash)             -> active (unrevoked) credential | null
+ *   listCredentials({ storeId })           -> credentials incl. revoked, oldest first
+ *   revokeCredential({ id, by })           -> { ok, credential } | { ok: false, error: not_found|revoked }
+ *
+ * Pass status: issued -> redeemed -> (reverse) issued | (void) voided; see passHistory.js.
+ * issued -> expired once pass.expires_at passes (cleanup job, or lazily in redeemPass).
+ * Signed tokens (src/lib/passToken.js) embed the pass id, so callers pass the id in.
+ * Error codes: not_found | already_redeemed | voided | expired | cap_reached | customer_limit | not_redeemed.
+ * scanId is the cashier's idempotency key: replaying a scan that already won returns
+ * { ok: true, replayed: true } instead of already_redeemed. scannedAt (ISO) backdates
+ * offline scans to when they happened, and expiry is judged at that time: a scan from
+ * before expires_at redeems even if the pass has been flipped to expired since.
+ * Redemption caps (src/data/limits.js) are checked atomically with the write.
+ * Credentials are store-scoped cashier logins (device tokens / staff PINs, see credentials.js).
  */
-const store = {
-  _offers: [
-    { id: 1, title: "10% off", active: true },
-    { id: 2, title: "Free delivery", active: true },
-  ],
+const { env } = require("../config/env");
+const { createJsonStore } = require("./jsonStore");
 
-  async queryOffers(params) {
-    // Add param filtering if needed
-    return this._offers.filter(o => o.active);
-  },
+function createStore(driver = env.STORE_DRIVER) {
+  if (driver === "json") return createJsonStore();
+  if (driver === "pg") return require("./pgStore").createPgStore();
+  throw new Error(`Unknown STORE_DRIVER: ${driver}`);
+}
 
-  async resetOffers(newOffers) {
-    this._offers = newOffers;
-  },
+const store = createStore();
 
-  async cleanupExpired() {
-    // placeholder for any cleanup logic
-    return { cleaned: 0 };
-  },
-};
-
-module.exports = { store };
+module.exports = { store, createStore };
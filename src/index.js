@@ -2,7 +2,7 @@
 const http = require("http");
 const { createApp } = require("./app");
 const { env } = require("./config/env");
-const { startJobs, stopJobs } = require("./jobs/cleanup");
+const { startJobs, startDemoJobs, stopJobs } = require("./jobs/cleanup");
 
 const app = createApp();
 const server = http.createServer(app);
@@ -12,6 +12,7 @@ server.listen(env.PORT, () => {
 });
 
 startJobs();
+startDemoJobs();
 
 function shutdown(signal) {
   console.log(`Received ${signal}. Shutting down...`);
@@ -2,12 +2,28 @@
 const { env } = require("../config/env");
 const { store } = require("../data/store");
 const { resetDemoData } = require("../data/demoSeed");
+const { advanceOfferStatuses } = require("../lib/offerStatus");
 
 let cleanupTimer = null;
 let demoResetTimer = null;
 
+// Scheduled offers go live at start_at, live/paused ones expire after expires_on
+// (src/lib/offerStatus.js); each run that moves something is a catalog revision, mirrored
+// to the store like an admin write (acp_deals.offers with STORE_DRIVER=pg).
+async function advanceOffers() {
+  try {
+    const { transitions, refused, revision } = await advanceOfferStatuses({ sync: (offers) => store.syncOffers(offers) });
+    for (const t of transitions) console.log(`Offer ${t.id}: ${t.from} -> ${t.to} (revision ${revision})`);
+    for (const t of refused) console.error(`Offer ${t.id}: not moved ${t.from} -> ${t.to}: ${t.problems.join("; ")}`);
+  } catch (e) {
+    console.error("Offer status job error:", e);
+  }
+}
+
+// Pass expiry + offer status sweep; safe on the main server (index.js).
 function startJobs() {
   if (env.ENABLE_CLEANUP_JOB) {
+    advanceOffers(); // catch up on anything that came due while the server was down
     cleanupTimer = setInterval(async () => {
       try {
         const result = await store.cleanupExpired();
@@ -15,10 +31,14 @@ function startJobs() {
       } catch (e) {
         console.error("Cleanup job error:", e);
       }
+      await advanceOffers();
     }, env.CLEANUP_EVERY_MS).unref();
   }
+}
 
-  if (env.ENABLE_DEMO_RESET_JOB && env.DEMO_RESET_EVERY_MS > 0) {
+// Demo catalog reset: only the standalone demo app (src/index.js) starts this.
+function startDemoJobs() {
+  if (env.DEMO_MODE && env.ENABLE_DEMO_RESET_JOB && env.DEMO_RESET_EVERY_MS > 0) {
     demoResetTimer = setInterval(async () => {
       try {
         await resetDemoData();
@@ -35,4 +55,4 @@ function stopJobs() {
   if (demoResetTimer) clearInterval(demoResetTimer);
 }
 
-module.exports = { startJobs, stopJobs };
+module.exports = { startJobs, startDemoJobs, stopJobs };
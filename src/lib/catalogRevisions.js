@@ -0,0 +1,183 @@
+// src/lib/catalogRevisions.js
+
+/**
+ * Revision history for the JSON catalogs (config/offers.json, config/stores.json).
+ *
+ * Every write records a revision: who, when, what (action + note), a per-entry diff
+ * against the previous file and a full snapshot of the file after the write, so any
+ * revision can be restored whole or one offer at a time.
+ *
+ * Layout (CATALOG_REVISIONS_DIR, default data/catalog-revisions; point it at a persistent
+ * disk in production, since hosts like Render reset data/ on every deploy and the history
+ * would go with it):
+ *   index.json   { next_id, revisions: [meta, ...] }   oldest first, snapshots not included
+ *   <id>.json    the catalog as it was right after revision <id>
+ *
+ * meta = { id, catalog: "offers"|"stores", at, by, action, note,
+ *          summary: { added, removed, changed }, keys: [touched ids],
+ *          diff: { added: [id], removed: [id], changed: { [id]: [{ field, from, to }] } } }
+ *
+ * The first write to a catalog also records a "baseline" revision of the file as it was,
+ * so that write can be undone too.
+ *
+ * Retention: a revision is pruned once it is neither among the newest CATALOG_REVISIONS_KEEP
+ * of its catalog nor younger than CATALOG_REVISIONS_KEEP_DAYS. The same rule clears the old
+ * "<name>.backup-<stamp>.json" copies the admin tools used to leave next to the catalogs,
+ * on every recorded write (from the written file's folder) and at startup.
+ */
+
+const fsp = require("fs/promises");
+const path = require("path");
+const { env } = require("../config/env");
+const { readJson, writeJsonAtomic, updateJson } = require("./jsonFile");
+
+const DIR = path.resolve(__dirname, "..", "..", env.CATALOG_REVISIONS_DIR);
+const INDEX_FILE = path.join(DIR, "index.json");
+const snapshotFile = (id) => path.join(DIR, `${id}.json`);
+const emptyIndex = () => ({ next_id: 1, revisions: [] });
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Per-entry diff of two catalog maps ({ id: object }), field by field at the top level.
+ */
+function diffCatalog(before = {}, after = {}) {
+  const diff = { added: [], removed: [], changed: {} };
+  for (const id of Object.keys(after)) {
+    if (!Object.prototype.hasOwnProperty.call(before, id)) diff.added.push(id);
+  }
+  for (const [id, prev] of Object.entries(before)) {
+    if (!Object.prototype.hasOwnProperty.call(after, id)) {
+      diff.removed.push(id);
+      continue;
+    }
+    const next = after[id];
+    if (same(prev, next)) continue;
+    if (!prev || !next || typeof prev !== "object" || typeof next !== "object") {
+      diff.changed[id] = [{ field: "", from: prev, to: next }];
+      continue;
+    }
+    const fields = [...new Set([...Object.keys(prev), ...Object.keys(next)])];
+    diff.changed[id] = fields
+      .filter((f) => !same(prev[f], next[f]))
+      .map((f) => ({ field: f, from: prev[f] === undefined ? null : prev[f], to: next[f] === undefined ? null : next[f] }));
+  }
+  return diff;
+}
+
+const isEmptyDiff = (d) => !d.added.length && !d.removed.length && !Object.keys(d.changed).length;
+
+function metaFor(id, { catalog, by, action, note }, diff, at) {
+  return {
+    id,
+    catalog,
+    at,
+    by: String(by || "admin"),
+    action: String(action || "edit"),
+    note: String(note || ""),
+    summary: { added: diff.added.length, removed: diff.removed.length, changed: Object.keys(diff.changed).length },
+    keys: [...diff.added, ...diff.removed, ...Object.keys(diff.changed)],
+    diff,
+  };
+}
+
+/**
+ * Record a catalog write. Call it with the file contents before and after the write
+ * (under the catalog's file lock). `file` is the catalog file written: legacy backups next
+ * to it are pruned along with the revisions. Returns the revision meta, or null when nothing changed.
+ */
+async function recordRevision({ catalog, before, after, by, action, note, file }) {
+  const diff = diffCatalog(before || {}, after || {});
+  if (isEmptyDiff(diff)) return null;
+  await fsp.mkdir(DIR, { recursive: true });
+
+  const rev = await updateJson(INDEX_FILE, emptyIndex, async (index) => {
+    const at = new Date().toISOString();
+    if (!index.revisions.some((r) => r.catalog === catalog)) {
+      const id = index.next_id++;
+      await writeJsonAtomic(snapshotFile(id), before || {});
+      index.revisions.push(metaFor(id, { catalog, by: "system", action: "baseline", note: "catalog before the first recorded change" }, diffCatalog({}, before || {}), at));
+    }
+    const id = index.next_id++;
+    await writeJsonAtomic(snapshotFile(id), after || {});
+    const meta = metaFor(id, { catalog, by, action, note }, diff, at);
+    index.revisions.push(meta);
+    return meta;
+  });
+  await pruneRevisions({ backupDirs: file ? [path.dirname(file)] : [] }).catch((e) => console.error("revision prune error", e));
+  return rev;
+}
+
+/**
+ * Revisions, newest first, without diffs.
+ * @param {{ catalog?: string, key?: string, limit?: number }} filter  key = an offer/store id the revision touched
+ */
+async function listRevisions({ catalog, key, limit = 50 } = {}) {
+  const index = await readJson(INDEX_FILE, emptyIndex());
+  return index.revisions
+    .filter((r) => (!catalog || r.catalog === catalog) && (!key || r.keys.includes(key)))
+    .reverse()
+    .slice(0, limit)
+    .map(({ diff, ...meta }) => meta);
+}
+
+/**
+ * One revision with its diff; { snapshot: true } adds the catalog as it was after it.
+ * Returns null for an unknown (or pruned) id.
+ */
+async function getRevision(id, { snapshot = false } = {}) {
+  const index = await readJson(INDEX_FILE, emptyIndex());
+  const meta = index.revisions.find((r) => r.id === Number(id));
+  if (!meta) return null;
+  if (!snapshot) return meta;
+  return { ...meta, snapshot: await readJson(snapshotFile(meta.id), null) };
+}
+
+// Keep the newest `keep` per group, plus anything younger than `keepDays`.
+// Revisions written in the same millisecond (baseline + first change) order by id.
+function expired(items, timeOf, { keep, keepDays }) {
+  const cutoff = Date.now() - keepDays * 86400000;
+  return items
+    .slice()
+    .sort((a, b) => timeOf(b) - timeOf(a) || (b.id || 0) - (a.id || 0))
+    .filter((item, i) => i >= keep && timeOf(item) < cutoff);
+}
+
+/**
+ * Apply the retention rule to recorded revisions and to legacy *.backup-*.json files in
+ * `backupDirs`. Returns { revisions: [ids], backups: [file names] } that were removed.
+ */
+async function pruneRevisions({ backupDirs = [] } = {}) {
+  const rule = { keep: Math.max(1, env.CATALOG_REVISIONS_KEEP), keepDays: Math.max(0, env.CATALOG_REVISIONS_KEEP_DAYS) };
+
+  const removedIds = await updateJson(INDEX_FILE, emptyIndex, async (index) => {
+    const drop = new Set();
+    for (const catalog of new Set(index.revisions.map((r) => r.catalog))) {
+      const mine = index.revisions.filter((r) => r.catalog === catalog);
+      for (const r of expired(mine, (x) => new Date(x.at).getTime(), rule)) drop.add(r.id);
+    }
+    if (!drop.size) return { write: false, result: [] };
+    index.revisions = index.revisions.filter((r) => !drop.has(r.id));
+    for (const id of drop) await fsp.unlink(snapshotFile(id)).catch(() => {});
+    return [...drop];
+  });
+
+  const backups = [];
+  for (const dir of backupDirs) {
+    const names = (await fsp.readdir(dir).catch(() => [])).filter((n) => /\.backup-[^/]*\.json$/i.test(n));
+    const files = [];
+    for (const name of names) {
+      const stat = await fsp.stat(path.join(dir, name)).catch(() => null);
+      if (stat) files.push({ name, base: name.split(".backup-")[0], mtime: stat.mtimeMs });
+    }
+    for (const base of new Set(files.map((f) => f.base))) {
+      for (const f of expired(files.filter((x) => x.base === base), (x) => x.mtime, rule)) {
+        await fsp.unlink(path.join(dir, f.name)).catch(() => {});
+        backups.push(f.name);
+      }
+    }
+  }
+  return { revisions: removedIds, backups };
+}
+
+module.exports = { diffCatalog, recordRevision, listRevisions, getRevision, pruneRevisions };
@@ -0,0 +1,369 @@
+// src/lib/catalogSchema.js
+
+/**
+ * Schema for the JSON catalogs: config/offers.json, config/stores.json, config/loyalty.json.
+ *
+ * Used on server start (report), on every admin catalog write (reject) and by
+ * scripts/lint-catalog.js (report / --normalize).
+ *
+ * Problems are { file, key, field, level: "error"|"warning", message }:
+ *   error   the entry is broken (wrong type, missing required field, unknown store code, …)
+ *   warning it works but is not canonical (legacy field names, unknown fields); `normalize`
+ *           rewrites the legacy shapes:
+ *             offers: address -> addresses[], Includes / bundle -> includes,
+ *                     "label" strings in addresses -> { label, lat, lng }, numeric-string lat/lng -> numbers
+ *             stores: "Brand" string entries -> { brand, label }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isValidTimezone, normalizeSchedule } = require("./schedule");
+const { OFFER_STATUSES } = require("./offerStatus");
+
+const CATALOG_FILES = { offers: "offers.json", stores: "stores.json", loyalty: "loyalty.json" };
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/;
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?$/;
+const AGE_GATES = ["all-ages", "18-plus-only", "21-plus-only"];
+const POS_ADAPTERS = { square: "location_id", toast: "restaurant_guid", clover: "merchant_id", mock: null };
+
+// ---------- field checks: each returns an error message or null ----------
+const isObject = (v) => Boolean(v) && typeof v === "object" && !Array.isArray(v);
+
+const check = {
+  string: (v) => (typeof v === "string" ? null : "expected text"),
+  required: (v) => (typeof v === "string" && v.trim() ? null : "required (non-empty text)"),
+  boolean: (v) => (typeof v === "boolean" ? null : "expected true or false"),
+  slug: (v) => (typeof v === "string" && SLUG_RE.test(v) ? null : "expected lowercase letters, digits and dashes"),
+  color: (v) => (v === "" || (typeof v === "string" && COLOR_RE.test(v)) ? null : "expected a color like #F26C2A"),
+  date: (v) => (typeof v === "string" && DATE_RE.test(v) && Number.isFinite(Date.parse(v)) ? null : "expected a date (YYYY-MM-DD or ISO)"),
+  image: (v) => (v === "" || (typeof v === "string" && /^(\/|https?:\/\/)/.test(v)) ? null : "expected a /path or http(s):// URL"),
+  ageGate: (v) => (AGE_GATES.includes(v) ? null : `expected one of ${AGE_GATES.join(", ")}`),
+  limit: (v) => (v === null || (Number.isInteger(v) && v > 0) ? null : "expected a positive whole number or null"),
+  days: (v) => (Number.isInteger(v) && v >= 0 ? null : "expected a whole number of days"),
+  lat: (v) => (v === null || v === undefined || (typeof v === "number" && v >= -90 && v <= 90) ? null : "expected a latitude (-90..90) or null"),
+  lng: (v) => (v === null || v === undefined || (typeof v === "number" && v >= -180 && v <= 180) ? null : "expected a longitude (-180..180) or null"),
+  timezone: (v) => (typeof v === "string" && isValidTimezone(v) ? null : "expected an IANA timezone like America/Chicago"),
+  schedule: (v) => normalizeSchedule(v).error || null,
+  status: (v) => (OFFER_STATUSES.includes(v) ? null : `expected one of ${OFFER_STATUSES.join(", ")}`),
+  variants: (v) =>
+    Array.isArray(v) && v.every((x) => isObject(x) && typeof x.url === "string" && Number.isInteger(x.width) && x.width > 0)
+      ? null
+      : "expected a list of { name, width, url, webp } (from the image upload)",
+};
+
+const OFFER_FIELDS = {
+  status: check.status,
+  active: check.boolean,
+  archived: check.boolean,
+  title: check.required,
+  restaurant: check.required,
+  description: check.required,
+  category: check.required,
+  includes: check.string,
+  client_slug: check.slug,
+  expires_on: check.date,
+  expires_days: check.days,
+  hero_image: check.image,
+  hero_variants: check.variants,
+  hero_nozoom: check.boolean,
+  logo: check.image,
+  logo_variants: check.variants,
+  brand_color: check.color,
+  accent_color: check.color,
+  fine_print: check.string,
+  age_gate: check.ageGate,
+  addresses: null, // checked below
+  max_redemptions_total: check.limit,
+  max_redemptions_per_user: check.limit,
+  pass_valid_hours: check.limit,
+  pass_valid_days: check.limit,
+  live_code: check.boolean,
+  franchise_wide: check.boolean,
+  store_codes: null, // checked below (must exist in stores.json)
+  schedule: check.schedule,
+  pos_discount: null, // checked below
+  cloned_from: check.string,
+  created_at: check.date,
+  updated_at: check.date,
+  paused_at: check.date,
+  archived_at: check.date,
+  start_at: check.date,
+  published_at: check.date,
+  status_changed_at: check.date,
+};
+const OFFER_REQUIRED = ["title", "restaurant", "description", "category"];
+const OFFER_LEGACY = { address: "addresses", Includes: "includes", bundle: "includes" };
+
+const STORE_FIELDS = {
+  brand: check.required,
+  label: check.required,
+  lat: check.lat,
+  lng: check.lng,
+  timezone: check.timezone,
+  pos: null, // checked below
+};
+
+function problem(file, key, field, message, level = "error") {
+  return { file, key, field, level, message };
+}
+
+function addressProblems(file, key, addresses) {
+  if (!Array.isArray(addresses)) return [problem(file, key, "addresses", "expected a list of { label, lat, lng }")];
+  return addresses.flatMap((a, i) => {
+    const field = `addresses[${i}]`;
+    if (typeof a === "string") return [problem(file, key, field, 'plain text address; expected { "label": … }', "warning")];
+    if (!isObject(a)) return [problem(file, key, field, "expected { label, lat, lng }")];
+    const out = [];
+    if (check.required(a.label)) out.push(problem(file, key, `${field}.label`, check.required(a.label)));
+    for (const f of ["lat", "lng"]) {
+      const err = check[f](a[f]);
+      if (err) out.push(problem(file, key, `${field}.${f}`, err, typeof a[f] === "string" && Number.isFinite(Number(a[f])) ? "warning" : "error"));
+    }
+    if ((a.lat === null || a.lat === undefined) !== (a.lng === null || a.lng === undefined)) {
+      out.push(problem(file, key, field, "lat and lng must be set together"));
+    }
+    return out;
+  });
+}
+
+function posDiscountProblems(file, key, d) {
+  if (!isObject(d)) return [problem(file, key, "pos_discount", "expected { name, percent | amount_cents, ref? }")];
+  const out = [];
+  if (d.name !== undefined && typeof d.name !== "string") out.push(problem(file, key, "pos_discount.name", "expected text"));
+  if (d.percent !== undefined && !(typeof d.percent === "number" && d.percent > 0 && d.percent <= 100)) {
+    out.push(problem(file, key, "pos_discount.percent", "expected a number above 0 and at most 100"));
+  }
+  if (d.amount_cents !== undefined && !(Number.isInteger(d.amount_cents) && d.amount_cents > 0)) {
+    out.push(problem(file, key, "pos_discount.amount_cents", "expected a positive whole number of cents"));
+  }
+  const refOk = d.ref === undefined || typeof d.ref === "string" ||
+    (isObject(d.ref) && Object.entries(d.ref).every(([k, v]) => k in POS_ADAPTERS && typeof v === "string"));
+  if (!refOk) out.push(problem(file, key, "pos_discount.ref", `expected text or { ${Object.keys(POS_ADAPTERS).join(" | ")}: "…" }`));
+  if (d.ref === undefined && d.percent === undefined && d.amount_cents === undefined) {
+    out.push(problem(file, key, "pos_discount", "needs ref, percent or amount_cents"));
+  }
+  return out;
+}
+
+/**
+ * Problems for one offer. `stores` (the stores.json map) enables the store_codes check.
+ */
+function validateOffer(key, offer, { stores = null, file = "offers.json" } = {}) {
+  if (!isObject(offer)) return [problem(file, key, "", "expected an offer object")];
+  const out = [];
+  if (!SLUG_RE.test(key)) out.push(problem(file, key, "", "offer id should be lowercase letters, digits and dashes", "warning"));
+  for (const f of OFFER_REQUIRED) if (offer[f] === undefined) out.push(problem(file, key, f, "required"));
+  if (offer.expires_on === undefined && offer.expires_days === undefined) {
+    out.push(problem(file, key, "expires_on", "required (or legacy expires_days)"));
+  }
+
+  for (const [field, value] of Object.entries(offer)) {
+    if (OFFER_LEGACY[field]) {
+      out.push(problem(file, key, field, `legacy field; use "${OFFER_LEGACY[field]}" (lint --normalize rewrites it)`, "warning"));
+      continue;
+    }
+    if (!(field in OFFER_FIELDS)) {
+      out.push(problem(file, key, field, "unknown field", "warning"));
+      continue;
+    }
+    const fn = OFFER_FIELDS[field];
+    const err = fn && value !== undefined ? fn(value) : null;
+    if (err) out.push(problem(file, key, field, err));
+  }
+
+  if (offer.status === "scheduled" && !offer.start_at) out.push(problem(file, key, "start_at", "required while status is scheduled"));
+  if (offer.addresses !== undefined) out.push(...addressProblems(file, key, offer.addresses));
+  if (offer.pos_discount !== undefined) out.push(...posDiscountProblems(file, key, offer.pos_discount));
+  if (offer.store_codes !== undefined) {
+    if (!Array.isArray(offer.store_codes) || offer.store_codes.some((c) => typeof c !== "string")) {
+      out.push(problem(file, key, "store_codes", "expected a list of store codes"));
+    } else if (stores) {
+      const unknown = offer.store_codes.filter((c) => !Object.prototype.hasOwnProperty.call(stores, c));
+      if (unknown.length) out.push(problem(file, key, "store_codes", `not in stores.json: ${unknown.join(", ")}`));
+    }
+  }
+  return out;
+}
+
+/**
+ * Problems for one stores.json entry.
+ */
+function validateStore(key, meta, { file = "stores.json" } = {}) {
+  if (typeof meta === "string") return [problem(file, key, "", 'plain text store; expected { "brand", "label" } (lint --normalize rewrites it)', "warning")];
+  if (!isObject(meta)) return [problem(file, key, "", "expected a store object")];
+  const out = [];
+  for (const f of ["brand", "label"]) if (meta[f] === undefined) out.push(problem(file, key, f, "required"));
+  for (const [field, value] of Object.entries(meta)) {
+    if (!(field in STORE_FIELDS)) {
+      out.push(problem(file, key, field, "unknown field", "warning"));
+      continue;
+    }
+    const fn = STORE_FIELDS[field];
+    const err = fn ? fn(value) : null;
+    if (err) out.push(problem(file, key, field, err));
+  }
+  if ((meta.lat === null || meta.lat === undefined) !== (meta.lng === null || meta.lng === undefined)) {
+    out.push(problem(file, key, "lat", "lat and lng must be set together"));
+  }
+
+  if (meta.pos !== undefined) {
+    const pos = meta.pos;
+    if (!isObject(pos)) return [...out, problem(file, key, "pos", "expected { adapter, … }")];
+    if (!(pos.adapter in POS_ADAPTERS)) {
+      out.push(problem(file, key, "pos.adapter", `expected one of ${Object.keys(POS_ADAPTERS).join(", ")}`));
+    } else if (POS_ADAPTERS[pos.adapter] && check.required(pos[POS_ADAPTERS[pos.adapter]])) {
+      out.push(problem(file, key, `pos.${POS_ADAPTERS[pos.adapter]}`, `required for ${pos.adapter}`));
+    }
+    for (const f of ["token_env", "base_url", "fail"]) {
+      if (pos[f] !== undefined && typeof pos[f] !== "string") out.push(problem(file, key, `pos.${f}`, "expected text"));
+    }
+  }
+  return out;
+}
+
+/**
+ * Problems for config/loyalty.json: { entries: [{ id?, customer_id?, offer?, points?, created_at? }] }.
+ */
+function validateLoyalty(doc, { offers = null, file = "loyalty.json" } = {}) {
+  if (!isObject(doc)) return [problem(file, "", "", 'expected { "entries": [] }')];
+  const out = [];
+  for (const field of Object.keys(doc)) {
+    if (field !== "entries") out.push(problem(file, "", field, "unknown field", "warning"));
+  }
+  if (!Array.isArray(doc.entries)) return [...out, problem(file, "", "entries", "expected a list")];
+  const seen = new Set();
+  doc.entries.forEach((e, i) => {
+    const key = `entries[${i}]`;
+    if (!isObject(e)) return out.push(problem(file, key, "", "expected an object"));
+    if (e.id !== undefined) {
+      if (typeof e.id !== "string" || !e.id) out.push(problem(file, key, "id", "expected text"));
+      else if (seen.has(e.id)) out.push(problem(file, key, "id", `duplicate id ${e.id}`));
+      seen.add(e.id);
+    }
+    if (e.customer_id !== undefined && typeof e.customer_id !== "string") out.push(problem(file, key, "customer_id", "expected text"));
+    if (e.points !== undefined && !(Number.isInteger(e.points) && e.points >= 0)) out.push(problem(file, key, "points", "expected a whole number ≥ 0"));
+    if (e.created_at !== undefined && check.date(e.created_at)) out.push(problem(file, key, "created_at", check.date(e.created_at)));
+    if (e.offer !== undefined && offers && !Object.prototype.hasOwnProperty.call(offers, e.offer)) {
+      out.push(problem(file, key, "offer", `not in offers.json: ${e.offer}`));
+    }
+  });
+  return out;
+}
+
+/**
+ * Validate whatever catalogs are given. `keys` limits offers/stores to those entries
+ * (admin writes only answer for what they touched). Returns { errors, warnings }.
+ */
+function validateCatalog({ offers, stores, loyalty }, { keys = null } = {}) {
+  const pick = (map) => Object.entries(map || {}).filter(([k]) => !keys || keys.includes(k));
+  const all = [];
+  if (offers !== undefined) {
+    if (!isObject(offers)) all.push(problem("offers.json", "", "", 'expected { "offer-id": { … } }'));
+    else for (const [k, o] of pick(offers)) all.push(...validateOffer(k, o, { stores: isObject(stores) ? stores : null }));
+  }
+  if (stores !== undefined) {
+    if (!isObject(stores)) all.push(problem("stores.json", "", "", 'expected { "store-code": { … } }'));
+    else for (const [k, s] of pick(stores)) all.push(...validateStore(k, s));
+  }
+  if (loyalty !== undefined) all.push(...validateLoyalty(loyalty, { offers: isObject(offers) ? offers : null }));
+  return { errors: all.filter((p) => p.level === "error"), warnings: all.filter((p) => p.level === "warning") };
+}
+
+function normalizeAddress(a) {
+  if (typeof a === "string") return { label: a.trim(), lat: null, lng: null };
+  if (!isObject(a)) return a;
+  const num = (v) => (typeof v === "string" && v.trim() && Number.isFinite(Number(v)) ? Number(v) : v);
+  return { ...a, lat: num(a.lat) ?? null, lng: num(a.lng) ?? null };
+}
+
+/**
+ * Rewrite legacy shapes into the canonical ones. Returns new maps plus what changed
+ * (as warning-level problems, so they print like lint output).
+ */
+function normalizeCatalog({ offers, stores }) {
+  const changes = [];
+  const outOffers = {};
+  for (const [key, o] of Object.entries(offers || {})) {
+    if (!isObject(o)) { outOffers[key] = o; continue; }
+    const n = { ...o };
+    if (n.address !== undefined) {
+      const list = Array.isArray(n.addresses) ? n.addresses : [];
+      n.addresses = [...list, ...(Array.isArray(n.address) ? n.address : [n.address])];
+      delete n.address;
+      changes.push(problem("offers.json", key, "address", "moved into addresses[]", "warning"));
+    }
+    for (const legacy of ["Includes", "bundle"]) {
+      if (n[legacy] === undefined) continue;
+      if (!n.includes && typeof n[legacy] === "string") n.includes = n[legacy].trim();
+      delete n[legacy];
+      changes.push(problem("offers.json", key, legacy, "renamed to includes", "warning"));
+    }
+    if (Array.isArray(n.addresses)) {
+      const before = JSON.stringify(n.addresses);
+      n.addresses = n.addresses.map(normalizeAddress);
+      if (JSON.stringify(n.addresses) !== before) changes.push(problem("offers.json", key, "addresses", "entries rewritten as { label, lat, lng }", "warning"));
+    }
+    outOffers[key] = n;
+  }
+
+  const outStores = {};
+  for (const [key, s] of Object.entries(stores || {})) {
+    if (typeof s === "string") {
+      outStores[key] = { brand: s, label: s };
+      changes.push(problem("stores.json", key, "", "plain text rewritten as { brand, label }", "warning"));
+    } else {
+      outStores[key] = s;
+    }
+  }
+  return { offers: outOffers, stores: outStores, changes };
+}
+
+/**
+ * Read the catalogs from a config dir without the silent `{}` fallback: a file that does not
+ * parse is reported with its line and column. Missing stores.json / loyalty.json are fine.
+ * @returns {{ offers?, stores?, loyalty?, problems: object[] }}
+ */
+function readCatalogFiles(dir) {
+  const out = { problems: [] };
+  for (const [name, file] of Object.entries(CATALOG_FILES)) {
+    const full = path.join(dir, file);
+    let text;
+    try {
+      text = fs.readFileSync(full, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT" || name === "offers") out.problems.push(problem(file, "", "", `cannot read: ${e.code || e.message}`));
+      continue;
+    }
+    try {
+      out[name] = JSON.parse(text);
+    } catch (e) {
+      const m = /position (\d+)/.exec(e.message);
+      const where = m ? (() => {
+        const before = text.slice(0, Number(m[1]));
+        return ` (line ${before.split("\n").length}, column ${Number(m[1]) - before.lastIndexOf("\n")})`;
+      })() : "";
+      out.problems.push(problem(file, "", "", `invalid JSON${where}: ${e.message.replace(/ in JSON at position.*$/s, "")}`));
+    }
+  }
+  return out;
+}
+
+/**
+ * One line per problem: `offers.json › popeyes-2pc › brand_color: expected a color like #F26C2A`.
+ */
+function formatProblem(p) {
+  return [p.file, p.key, p.field].filter(Boolean).join(" › ") + `: ${p.message}`;
+}
+
+module.exports = {
+  CATALOG_FILES,
+  validateOffer,
+  validateStore,
+  validateLoyalty,
+  validateCatalog,
+  normalizeCatalog,
+  readCatalogFiles,
+  formatProblem,
+};
@@ -0,0 +1,166 @@
+// src/lib/images.js
+
+/**
+ * Image uploads for offer hero images and logos (POST /api/admin/images).
+ *
+ * An upload (PNG, JPEG or WebP; checked by its leading bytes, not the declared type)
+ * becomes three sizes, each in the original format plus WebP:
+ *
+ *   hero   thumb 320w   card 800w   print 1600w
+ *   logo   thumb 96w    card 240w   print 600w
+ *
+ * written to public/<brand>/<brand>-<kind>-<hash>-<size>.<ext>, where <brand> is the
+ * restaurant name squashed like the hand-made folders (Burger King -> burgerking) and
+ * <hash> is the sha256 of the uploaded bytes, so re-uploading the same file reuses the same
+ * names and a changed file never collides with a cached one. Images are never enlarged:
+ * a small upload gives sizes narrower than listed. WebP uploads fall back to PNG (with
+ * transparency) or JPEG for browsers without WebP.
+ *
+ * The offer keeps the card size as hero_image / logo and every size in
+ * hero_variants / logo_variants: [{ name, width, height, url, webp }] (shared.js srcset).
+ */
+
+const crypto = require("crypto");
+const fsp = require("fs/promises");
+const path = require("path");
+const sharp = require("sharp");
+const { env } = require("../config/env");
+
+const PUBLIC_DIR = path.resolve(__dirname, "..", "..", "public");
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const IMAGE_KINDS = {
+  hero: [{ name: "thumb", width: 320 }, { name: "card", width: 800 }, { name: "print", width: 1600 }],
+  logo: [{ name: "thumb", width: 96 }, { name: "card", width: 240 }, { name: "print", width: 600 }],
+};
+const MIN_WIDTH = 64;
+const MAX_PIXELS = 40_000_000; // ~ 8000 x 5000
+
+class ImageError extends Error {
+  constructor(message, { status = 400, code = "invalid_image" } = {}) {
+    super(message);
+    this.name = "ImageError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** "image/png" | "image/jpeg" | "image/webp" from the file's leading bytes, else null. */
+function sniffType(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  return null;
+}
+
+/** Folder name for a brand: lowercase letters and digits only ("Dairy Queen" -> "dairyqueen"). */
+function brandFolder(brand) {
+  return String(brand || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "")
+    .slice(0, 40);
+}
+
+// Fallback format for browsers without WebP: keep PNG/JPEG as uploaded; WebP -> PNG if it has alpha.
+function fallbackFormat(type, hasAlpha) {
+  if (type === "image/png" || (type === "image/webp" && hasAlpha)) return { ext: "png", apply: (img) => img.png({ compressionLevel: 9 }) };
+  return { ext: "jpg", apply: (img) => img.jpeg({ quality: 82, mozjpeg: true }) };
+}
+
+async function writeOnce(file, render) {
+  try {
+    await fsp.access(file);
+    return; // same content hash: already written
+  } catch {
+    // not there yet
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fsp.writeFile(tmp, await render());
+  await fsp.rename(tmp, file);
+}
+
+/**
+ * Check an upload and write its variants.
+ * @param {Buffer} buf        the uploaded bytes
+ * @param {{ brand: string, kind: "hero"|"logo", declaredType?: string }} opts
+ * @returns {Promise<{ url, kind, brand, hash, width, height, type, variants: Array<{ name, width, height, url, webp }> }>}
+ * @throws {ImageError} status 400 / 413 / 415 with a code
+ */
+async function saveUploadedImage(buf, { brand, kind, declaredType = "" }) {
+  const sizes = IMAGE_KINDS[kind];
+  if (!sizes) throw new ImageError(`kind must be one of ${Object.keys(IMAGE_KINDS).join(", ")}`, { code: "invalid_kind" });
+  const folder = brandFolder(brand);
+  if (!folder) throw new ImageError("brand is required (the restaurant name)", { code: "invalid_brand" });
+  if (!buf || !buf.length) throw new ImageError("Empty upload", { code: "empty" });
+  if (buf.length > env.IMAGE_UPLOAD_MAX_BYTES) {
+    throw new ImageError(`Image is larger than ${Math.round(env.IMAGE_UPLOAD_MAX_BYTES / 1048576)} MB`, { status: 413, code: "too_large" });
+  }
+
+  const type = sniffType(buf);
+  if (!type) throw new ImageError("Only PNG, JPEG or WebP images are accepted", { status: 415, code: "unsupported_type" });
+  const declared = String(declaredType).split(";")[0].trim().toLowerCase();
+  if (declared && declared !== type) {
+    throw new ImageError(`File is ${type} but was sent as ${declared}`, { status: 415, code: "type_mismatch" });
+  }
+
+  let meta;
+  try {
+    meta = await sharp(buf, { limitInputPixels: MAX_PIXELS }).metadata();
+  } catch (e) {
+    throw new ImageError(`Could not read the image (${e.message})`, { code: "unreadable" });
+  }
+  // EXIF orientations 5-8 are rotated a quarter turn: width and height swap once applied.
+  const turned = meta.orientation >= 5;
+  const width = turned ? meta.height : meta.width;
+  const height = turned ? meta.width : meta.height;
+  if (!width || !height || width < MIN_WIDTH) {
+    throw new ImageError(`Image is too small (at least ${MIN_WIDTH}px wide)`, { code: "too_small" });
+  }
+
+  const hash = crypto.createHash("sha256").update(buf).digest("hex").slice(0, 12);
+  const dir = path.join(PUBLIC_DIR, folder);
+  await fsp.mkdir(dir, { recursive: true });
+  const fallback = fallbackFormat(type, meta.hasAlpha);
+
+  const variants = [];
+  for (const size of sizes) {
+    const base = `${folder}-${kind}-${hash}-${size.name}`;
+    const resized = () =>
+      sharp(buf, { limitInputPixels: MAX_PIXELS }).rotate().resize({ width: size.width, withoutEnlargement: true });
+    await writeOnce(path.join(dir, `${base}.${fallback.ext}`), () => fallback.apply(resized()).toBuffer());
+    await writeOnce(path.join(dir, `${base}.webp`), () => resized().webp({ quality: 80 }).toBuffer());
+    const w = Math.min(size.width, width);
+    variants.push({
+      name: size.name,
+      width: w,
+      height: Math.round((height * w) / width),
+      url: `/${folder}/${base}.${fallback.ext}`,
+      webp: `/${folder}/${base}.webp`,
+    });
+  }
+
+  const card = variants.find((v) => v.name === "card");
+  return { url: card.url, kind, brand: folder, hash, width, height, type, variants };
+}
+
+/**
+ * Variants to keep on an offer: the list is dropped once `url` (hero_image / logo) no longer
+ * points at one of them, e.g. after pasting a different URL.
+ */
+function keepVariants(variants, url) {
+  if (!Array.isArray(variants) || !url) return null;
+  const clean = variants
+    .filter((v) => v && typeof v.url === "string" && Number.isInteger(v.width) && v.width > 0)
+    .map((v) => ({
+      name: String(v.name || ""),
+      width: v.width,
+      height: Number.isInteger(v.height) ? v.height : null,
+      url: v.url,
+      webp: typeof v.webp === "string" ? v.webp : null,
+    }));
+  return clean.some((v) => v.url === url) ? clean : null;
+}
+
+module.exports = { IMAGE_TYPES, IMAGE_KINDS, ImageError, sniffType, brandFolder, saveUploadedImage, keepVariants };
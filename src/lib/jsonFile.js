@@ -0,0 +1,89 @@
+// src/lib/jsonFile.js
+
+/**
+ * Concurrency-safe JSON file access for the single-process JSON store.
+ *
+ * Features:
+ *  - Per-file mutex (promise chain) so read-modify-write cycles never interleave
+ *  - Atomic writes: write to a temp file in the same dir, fsync, then rename over
+ *    the target, so readers see either the old or the new file, never half of one
+ *
+ * The mutex only serializes callers inside this process. Run one instance per
+ * data dir (or use STORE_DRIVER=pg) when scaling out.
+ */
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const locks = new Map(); // absolute path -> tail Promise of the queue
+
+/**
+ * Run fn() while holding the lock for file. Resolves with fn's result.
+ * @param {string} file
+ * @param {Function} fn async function
+ */
+function withFileLock(file, fn) {
+  const key = path.resolve(file);
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(() => fn());
+  // Keep the chain alive even if fn throws; drop it once idle.
+  const tail = run.catch(() => {}).then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  locks.set(key, tail);
+  return run;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fsp.readFile(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+async function writeJsonAtomic(file, obj) {
+  const tmp = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`
+  );
+  const fh = await fsp.open(tmp, "w");
+  try {
+    await fh.writeFile(JSON.stringify(obj, null, 2));
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  try {
+    await fsp.rename(tmp, file);
+  } catch (e) {
+    await fsp.unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Locked read-modify-write. mutate(obj) may change obj in place and return a
+ * result; return { write: false, result } to skip the write (e.g. a failed CAS).
+ * @param {string} file
+ * @param {*} fallback value used when the file is missing/unreadable
+ * @param {Function} mutate (obj) => result | { write: false, result }
+ */
+function updateJson(file, fallback, mutate) {
+  return withFileLock(file, async () => {
+    const obj = await readJson(file, typeof fallback === "function" ? fallback() : fallback);
+    const out = await mutate(obj);
+    if (out && out.write === false) return out.result;
+    await writeJsonAtomic(file, obj);
+    return out;
+  });
+}
+
+function ensureJsonFile(file, initial) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (!fs.existsSync(file)) fs.writeFileSync(file, JSON.stringify(initial, null, 2));
+}
+
+module.exports = { withFileLock, readJson, writeJsonAtomic, updateJson, ensureJsonFile };
@@ -0,0 +1,63 @@
+// src/lib/liveCode.js
+
+/**
+ * Rotating "live codes" for offers with live_code: true (anti-screenshot).
+ * TOTP-style (RFC 6238 truncation, HMAC-SHA1, 6 digits, 30 s steps). The key is
+ * derived from a server-side secret and the pass id (liveCodeKey), so a code is only
+ * good for one pass and one window, and nothing the customer's screen shows (QR,
+ * token hash, current code) is enough to work out the next one.
+ */
+
+const crypto = require("crypto");
+
+const LIVE_CODE_PERIOD_S = 30;
+const LIVE_CODE_DIGITS = 6;
+
+function windowAt(at) {
+  return Math.floor(new Date(at).getTime() / 1000 / LIVE_CODE_PERIOD_S);
+}
+
+/** Per-pass key: HMAC-SHA256 of the pass id under the server secret. */
+function liveCodeKey(secret, passId) {
+  if (!secret) throw new Error("liveCodeKey needs a server secret");
+  return crypto.createHmac("sha256", String(secret)).update(`live-code:${passId}`).digest();
+}
+
+function codeForWindow(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = h[h.length - 1] & 0x0f;
+  const bin = h.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** LIVE_CODE_DIGITS).padStart(LIVE_CODE_DIGITS, "0");
+}
+
+/**
+ * Current code for a pass plus seconds until it rotates.
+ * @param {Buffer} key  liveCodeKey(secret, pass.id)
+ * @returns {{ code: string, period: number, expires_in: number }}
+ */
+function liveCode(key, at = Date.now()) {
+  const seconds = new Date(at).getTime() / 1000;
+  return {
+    code: codeForWindow(key, windowAt(at)),
+    period: LIVE_CODE_PERIOD_S,
+    expires_in: Math.ceil(LIVE_CODE_PERIOD_S - (seconds % LIVE_CODE_PERIOD_S)),
+  };
+}
+
+/**
+ * Accepts the window containing `at` or an adjacent one (clock skew, slow scans).
+ */
+function verifyLiveCode(key, code, at = Date.now(), drift = 1) {
+  const given = String(code || "").trim();
+  if (!/^\d+$/.test(given) || given.length !== LIVE_CODE_DIGITS) return false;
+  const w = windowAt(at);
+  for (let d = -drift; d <= drift; d++) {
+    const expected = codeForWindow(key, w + d);
+    if (crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) return true;
+  }
+  return false;
+}
+
+module.exports = { LIVE_CODE_PERIOD_S, liveCodeKey, liveCode, verifyLiveCode };
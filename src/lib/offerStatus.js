@@ -0,0 +1,154 @@
+// src/lib/offerStatus.js
+
+/**
+ * Offer lifecycle for the JSON catalog, matching acp_deals.offers.status:
+ *
+ *   draft ──publish──▶ scheduled ──start_at──▶ active ──expires_on──▶ expired
+ *     │                    │          ▲          │
+ *     └──publish (no start_at / past)─┘          pause ⇄ resume ── paused
+ *
+ * offers.json keeps the stored `status` plus:
+ *   start_at           ISO time a scheduled offer goes live (set by publish)
+ *   published_at       first time the offer went live
+ *   status_changed_at  last transition
+ *   active             mirror of status === "active", for readers that predate `status`
+ * Entries without `status` are read as active (or paused when active: false).
+ * Archived offers (archived: true) report "archived" and never move again.
+ *
+ * The stored status can lag the clock: offerStatus() is what the offer is now (a scheduled
+ * offer whose start_at has passed is active), and the cleanup job (src/jobs/cleanup.js)
+ * writes those due transitions back with advanceOfferStatuses(), the way an admin write
+ * goes: each moved entry must pass the catalog schema, the run is recorded as a catalog
+ * revision (action "status", by "scheduler") and mirrored to the store (store.syncOffers).
+ */
+
+const path = require("path");
+const { withFileLock, readJson, writeJsonAtomic } = require("./jsonFile");
+const { recordRevision } = require("./catalogRevisions");
+
+const OFFER_STATUSES = ["draft", "scheduled", "active", "paused", "expired"];
+const DEFAULT_OFFERS_FILE = path.resolve(__dirname, "..", "..", "config", "offers.json");
+const DEFAULT_STORES_FILE = path.resolve(__dirname, "..", "..", "config", "stores.json");
+
+function parseTime(s) {
+  const d = s ? new Date(String(s)) : null;
+  return d && Number.isFinite(d.getTime()) ? d : null;
+}
+
+/** Status as written in offers.json (legacy entries: from `active`). */
+function storedStatus(o) {
+  if (o && OFFER_STATUSES.includes(o.status)) return o.status;
+  return o && o.active === false ? "paused" : "active";
+}
+
+/** True once the offer is past expires_on (or a legacy expires_days ran out). */
+function hasEnded(o, now = new Date()) {
+  const end = parseTime(o && o.expires_on);
+  if (end) return end.getTime() < now.getTime();
+  return Boolean(o) && typeof o.expires_days === "number" && o.expires_days <= 0;
+}
+
+/**
+ * What the offer is at `now`: draft | scheduled | active | paused | expired | archived.
+ */
+function offerStatus(o, now = new Date()) {
+  if (o && o.archived) return "archived";
+  const status = storedStatus(o);
+  if (status === "draft" || status === "expired") return status;
+  if (hasEnded(o, now)) return "expired";
+  if (status === "scheduled") {
+    const start = parseTime(o.start_at);
+    return start && start > now ? "scheduled" : "active";
+  }
+  return status;
+}
+
+/** The offer moved to `to` at `at` (ISO); paused_at / published_at follow along. */
+function withStatus(o, to, at) {
+  const next = { ...o, status: to, active: to === "active", status_changed_at: at };
+  if (to === "active" && !next.published_at) next.published_at = at;
+  if (to === "paused") next.paused_at = at;
+  else delete next.paused_at;
+  return next;
+}
+
+/**
+ * Offers whose stored status is behind the clock: [{ id, from, to }].
+ */
+function dueTransitions(offers, now = new Date()) {
+  const out = [];
+  for (const [id, o] of Object.entries(offers || {})) {
+    if (!o || typeof o !== "object" || o.archived) continue;
+    const from = storedStatus(o);
+    const to = offerStatus(o, now);
+    if (from !== to) out.push({ id, from, to });
+  }
+  return out;
+}
+
+/**
+ * Write the due transitions to offers.json and record them as one catalog revision. An entry
+ * the catalog schema refuses once moved is left as it is and reported in `refused`; `sync`
+ * (e.g. store.syncOffers) gets the moved entries ({ id: offer }) after the write, and a
+ * failure there is logged, not thrown (offers.json is already written).
+ * @returns {Promise<{ transitions: Array<{ id, from, to, at }>, refused: Array<{ id, from, to, problems: string[] }>, revision: number|null }>}
+ */
+async function advanceOfferStatuses({
+  offersFile = DEFAULT_OFFERS_FILE,
+  storesFile = DEFAULT_STORES_FILE,
+  now = new Date(),
+  by = "scheduler",
+  sync = null,
+} = {}) {
+  // catalogSchema requires this module for OFFER_STATUSES, so it is loaded here, not at the top.
+  const { validateOffer, formatProblem } = require("./catalogSchema");
+  const stores = await readJson(storesFile, {});
+  return withFileLock(offersFile, async () => {
+    const before = await readJson(offersFile, {});
+    const at = now.toISOString();
+    const after = { ...before };
+    const transitions = [];
+    const refused = [];
+    for (const t of dueTransitions(before, now)) {
+      const next = withStatus(before[t.id], t.to, at);
+      const problems = validateOffer(t.id, next, { stores }).filter((p) => p.level === "error");
+      if (problems.length) {
+        refused.push({ ...t, problems: problems.map(formatProblem) });
+        continue;
+      }
+      after[t.id] = next;
+      transitions.push({ ...t, at });
+    }
+    if (!transitions.length) return { transitions, refused, revision: null };
+
+    await writeJsonAtomic(offersFile, after);
+    if (sync) {
+      const ids = transitions.map((t) => t.id);
+      try {
+        await sync(Object.fromEntries(ids.map((id) => [id, after[id]])));
+      } catch (e) {
+        console.error(`[catalog] could not mirror ${ids.join(", ")} to the store:`, e.message);
+      }
+    }
+    const revision = await recordRevision({
+      catalog: "offers",
+      before,
+      after,
+      by,
+      action: "status",
+      note: transitions.map((t) => `${t.id}: ${t.from} → ${t.to}`).join(", "),
+      file: offersFile,
+    });
+    return { transitions, refused, revision: revision && revision.id };
+  });
+}
+
+module.exports = {
+  OFFER_STATUSES,
+  storedStatus,
+  hasEnded,
+  offerStatus,
+  withStatus,
+  dueTransitions,
+  advanceOfferStatuses,
+};
@@ -0,0 +1,113 @@
+// src/lib/passToken.js
+
+/**
+ * Signed, self-verifying pass tokens.
+ *
+ * Format: acp1.<payload>.<signature>   (base64url, HMAC-SHA256 over "acp1.<payload>")
+ * Payload: { k: key id, o: offer id, p: pass id, iat: issued (unix s), exp: expiry (unix s) | null }
+ *
+ * Keys come from PASS_TOKEN_KEYS="kid2:secret2,kid1:secret1". The first key signs;
+ * all listed keys verify. To rotate, put the new key first and keep the old one
+ * until the passes it signed have expired.
+ *
+ * Legacy random-hex tokens are not signed; callers fall through to the store lookup.
+ */
+
+const crypto = require("crypto");
+const { env } = require("../config/env");
+
+const PREFIX = "acp1";
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function parseKeys(spec) {
+  const keys = [];
+  for (const part of String(spec || "").split(",")) {
+    const i = part.indexOf(":");
+    if (i <= 0) continue;
+    const id = part.slice(0, i).trim();
+    const secret = part.slice(i + 1).trim();
+    if (id && secret) keys.push({ id, secret });
+  }
+  return keys;
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+function isSignedToken(token) {
+  return typeof token === "string" && token.startsWith(`${PREFIX}.`) && token.split(".").length === 3;
+}
+
+/**
+ * Read the claims without checking the signature (display only).
+ * @returns {object|null}
+ */
+function decodePassToken(token) {
+  if (!isSignedToken(token)) return null;
+  try {
+    return JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {{ keys?: string, format?: "hex"|"signed" }} opts
+ */
+function createPassTokens({ keys = env.PASS_TOKEN_KEYS, format = env.PASS_TOKEN_FORMAT } = {}) {
+  const keyList = parseKeys(keys);
+  if (format === "signed" && !keyList.length) {
+    throw new Error("PASS_TOKEN_FORMAT=signed requires PASS_TOKEN_KEYS (kid:secret[,kid:secret])");
+  }
+  if (format !== "signed" && format !== "hex") throw new Error(`Unknown PASS_TOKEN_FORMAT: ${format}`);
+  const byId = new Map(keyList.map((k) => [k.id, k]));
+
+  return {
+    /** Issue signed tokens for new passes? */
+    signing: format === "signed",
+    /** Can signed tokens be checked locally? */
+    canVerify: keyList.length > 0,
+
+    /**
+     * @param {{ offerId: string, passId: string, issuedAt: Date, expiresAt: Date|null }} claims
+     */
+    sign({ offerId, passId, issuedAt, expiresAt }) {
+      const key = keyList[0];
+      const payload = b64url(JSON.stringify({
+        k: key.id,
+        o: offerId,
+        p: passId,
+        iat: Math.floor(issuedAt.getTime() / 1000),
+        exp: expiresAt ? Math.floor(expiresAt.getTime() / 1000) : null,
+      }));
+      const body = `${PREFIX}.${payload}`;
+      return `${body}.${b64url(hmac(key.secret, body))}`;
+    },
+
+    /**
+     * Check signature + expiry without touching the store.
+     * @returns {{ ok: true, claims } | { ok: false, error: "malformed"|"unknown_key"|"bad_signature"|"expired", claims? }}
+     */
+    verify(token, now = new Date()) {
+      const claims = decodePassToken(token);
+      if (!claims || !claims.k || !claims.o || !claims.p) return { ok: false, error: "malformed" };
+      const key = byId.get(claims.k);
+      if (!key) return { ok: false, error: "unknown_key" };
+
+      const [prefix, payload, sig] = token.split(".");
+      const expected = hmac(key.secret, `${prefix}.${payload}`);
+      const given = Buffer.from(sig, "base64url");
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { ok: false, error: "bad_signature" };
+      }
+      if (claims.exp && claims.exp * 1000 < now.getTime()) return { ok: false, error: "expired", claims };
+      return { ok: true, claims };
+    },
+  };
+}
+
+const passTokens = createPassTokens();
+
+module.exports = { passTokens, createPassTokens, parseKeys, isSignedToken, decodePassToken };
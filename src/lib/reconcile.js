@@ -0,0 +1,80 @@
+// src/lib/reconcile.js
+
+/**
+ * Input parsing for paper-coupon reconciliation (POST /api/admin/redemptions/reconcile).
+ *
+ * Accepts CSV or a pasted list, one coupon per line:
+ *   token,store_id,date              (no header: positional)
+ *   token_hash,store,redeemed_at     (header row: columns by name, any order)
+ *   9f3efa40e076                     (just the value; store/date come from the defaults)
+ * A value of 12 hex chars is a token_hash (the short code printed on the pass), anything else a token.
+ */
+
+const TOKEN_HASH_RE = /^[0-9a-f]{12}$/i;
+const VALUE_COLUMNS = ["token", "token_hash", "hash", "code"];
+const STORE_COLUMNS = ["store_id", "store", "store_code"];
+const DATE_COLUMNS = ["date", "redeemed_at", "redeemed_on"];
+
+// One CSV line -> fields (double-quoted fields may contain commas and "" escapes).
+function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === "," || ch === "\t" || ch === ";") { out.push(cur.trim()); cur = ""; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+const pick = (header, names) => header.findIndex((h) => names.includes(h));
+
+/**
+ * @param {string} text CSV / pasted list
+ * @param {{ storeId?: string, date?: string }} defaults used when a row leaves them blank
+ * @returns {{ line: number, value: string, kind: "token"|"token_hash", store_id: string, date: string }[]}
+ */
+function parseReconcileInput(text, defaults = {}) {
+  const lines = String(text || "").split(/\r?\n/).map((l, i) => ({ n: i + 1, text: l.trim() }));
+  const nonEmpty = lines.filter((l) => l.text && !l.text.startsWith("#"));
+  if (!nonEmpty.length) return [];
+
+  let cols = { value: 0, store: 1, date: 2 };
+  const first = splitCsvLine(nonEmpty[0].text).map((h) => h.toLowerCase());
+  if (pick(first, VALUE_COLUMNS) !== -1) {
+    cols = { value: pick(first, VALUE_COLUMNS), store: pick(first, STORE_COLUMNS), date: pick(first, DATE_COLUMNS) };
+    nonEmpty.shift();
+  }
+
+  return nonEmpty.map(({ n, text: line }) => {
+    const f = splitCsvLine(line);
+    const value = f[cols.value] || "";
+    return {
+      line: n,
+      value,
+      kind: TOKEN_HASH_RE.test(value) ? "token_hash" : "token",
+      store_id: (cols.store !== -1 && f[cols.store]) || defaults.storeId || "",
+      date: (cols.date !== -1 && f[cols.date]) || defaults.date || "",
+    };
+  });
+}
+
+/**
+ * Redemption time for a row date: "YYYY-MM-DD" (noon UTC, so it lands on that day
+ * in US timezones) or a full ISO timestamp. Returns an ISO string or null.
+ */
+function reconcileDate(value) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T12:00:00Z` : v);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+module.exports = { parseReconcileInput, reconcileDate };
@@ -0,0 +1,181 @@
+// src/lib/schedule.js
+
+/**
+ * Day-part / weekday schedules for offers (happy-hour deals).
+ *
+ * offer.schedule = {
+ *   timezone: "America/Chicago",          // the store's timezone (DEFAULT_TIMEZONE if omitted)
+ *   start_on: "2026-11-01",               // optional, first valid local date
+ *   windows: [                            // optional; none = all day
+ *     { days: ["mon","tue","wed","thu","fri"], start: "14:00", end: "17:00" }
+ *   ],
+ *   blackout_dates: ["2026-11-26"]        // optional local dates
+ * }
+ *
+ * Windows are local wall-clock times within one day (end > start, "24:00" allowed).
+ * Expiry stays with expires_on / expires_days.
+ */
+
+const { env } = require("../config/env");
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_LABELS = { sun: "Sun", mon: "Mon", tue: "Tue", wed: "Wed", thu: "Thu", fri: "Fri", sat: "Sat" };
+const LOOKAHEAD_DAYS = 400; // enough to step over long blackouts / a future start_on
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Local calendar date + minutes past midnight of an instant in `tz`.
+function localParts(at, tz) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  }).formatToParts(at)) parts[p.type] = p.value;
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+const dayOf = (date) => DAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+
+// Instant of local `date` + `minutes` in `tz` (two passes settle DST offsets).
+function zonedToUtc(date, minutes, tz) {
+  if (minutes >= 1440) return zonedToUtc(addDays(date, 1), minutes - 1440, tz);
+  const [y, m, d] = date.split("-").map(Number);
+  const want = Date.UTC(y, m - 1, d, 0, minutes);
+  let guess = want;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(guess), tz);
+    const [py, pm, pd] = p.date.split("-").map(Number);
+    guess += want - Date.UTC(py, pm - 1, pd, 0, p.minutes);
+  }
+  return new Date(guess);
+}
+
+function windowsOf(schedule) {
+  const list = Array.isArray(schedule.windows) && schedule.windows.length
+    ? schedule.windows
+    : [{ days: DAYS, start: "00:00", end: "24:00" }];
+  return list
+    .map((w) => ({ days: w.days && w.days.length ? w.days : DAYS, start: toMinutes(w.start), end: toMinutes(w.end) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Where the schedule stands at `at`.
+ * @returns {{ available_now: boolean, available_until: string|null, next_valid_at: string|null, timezone: string }}
+ *   next_valid_at is null when open now or never again (within the lookahead).
+ */
+function scheduleState(schedule, at = new Date(), tz) {
+  const zone = tz || (schedule && schedule.timezone) || env.DEFAULT_TIMEZONE;
+  const closed = { available_now: false, available_until: null, next_valid_at: null, timezone: zone };
+  if (!schedule) return { ...closed, available_now: true };
+
+  const blackouts = new Set(schedule.blackout_dates || []);
+  const windows = windowsOf(schedule);
+  const today = localParts(at, zone).date;
+
+  for (let k = 0; k < LOOKAHEAD_DAYS; k++) {
+    const date = addDays(today, k);
+    if (schedule.start_on && date < schedule.start_on) continue;
+    if (blackouts.has(date)) continue;
+    const day = dayOf(date);
+    for (const w of windows) {
+      if (!w.days.includes(day)) continue;
+      const start = zonedToUtc(date, w.start, zone);
+      const end = zonedToUtc(date, w.end, zone);
+      if (end <= at) continue;
+      if (start <= at) return { ...closed, available_now: true, available_until: end.toISOString() };
+      return { ...closed, next_valid_at: start.toISOString() };
+    }
+  }
+  return closed;
+}
+
+function formatMinutes(min) {
+  const h = Math.floor(min / 60) % 24;
+  const m = min % 60;
+  const suffix = h < 12 ? "am" : "pm";
+  const h12 = h % 12 || 12;
+  return m ? `${h12}:${String(m).padStart(2, "0")}${suffix}` : `${h12}${suffix}`;
+}
+
+function formatDays(days) {
+  const set = new Set(days);
+  if (set.size === 7) return "Daily";
+  if (set.size === 5 && ["mon", "tue", "wed", "thu", "fri"].every((d) => set.has(d))) return "Weekdays";
+  if (set.size === 2 && set.has("sat") && set.has("sun")) return "Weekends";
+  return DAYS.filter((d) => set.has(d)).map((d) => DAY_LABELS[d]).join(", ");
+}
+
+/**
+ * Human summary for messages, e.g. "Weekdays 2pm–5pm".
+ */
+function describeSchedule(schedule) {
+  if (!schedule) return "";
+  return windowsOf(schedule)
+    .map((w) => (w.start === 0 && w.end === 1440 ? formatDays(w.days) : `${formatDays(w.days)} ${formatMinutes(w.start)}–${formatMinutes(w.end)}`))
+    .join(", ");
+}
+
+/**
+ * Validate + clean an admin-supplied schedule.
+ * @returns {{ schedule: object|null } | { error: string }}
+ */
+function normalizeSchedule(input) {
+  if (input === undefined || input === null || input === "") return { schedule: null };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "schedule must be an object" };
+
+  const out = {};
+  const timezone = String(input.timezone || "").trim();
+  if (timezone) {
+    if (!isValidTimezone(timezone)) return { error: `Unknown schedule.timezone: ${timezone}` };
+    out.timezone = timezone;
+  }
+
+  const startOn = String(input.start_on || "").trim();
+  if (startOn) {
+    if (!DATE_RE.test(startOn)) return { error: "schedule.start_on must be YYYY-MM-DD" };
+    out.start_on = startOn;
+  }
+
+  const windows = input.windows || [];
+  if (!Array.isArray(windows)) return { error: "schedule.windows must be an array" };
+  out.windows = [];
+  for (const [i, w] of windows.entries()) {
+    const rawDays = Array.isArray(w && w.days) ? w.days : [];
+    const bad = rawDays.find((d) => !DAYS.includes(String(d).toLowerCase().slice(0, 3)));
+    if (bad !== undefined) return { error: `schedule.windows[${i}].days: unknown day "${bad}"` };
+    const days = rawDays.map((d) => String(d).toLowerCase().slice(0, 3));
+    const start = String((w && w.start) || "").trim();
+    const end = String((w && w.end) || "").trim();
+    if (!TIME_RE.test(start) || !TIME_RE.test(end)) return { error: `schedule.windows[${i}] needs start/end as HH:MM` };
+    if (toMinutes(end) <= toMinutes(start)) return { error: `schedule.windows[${i}]: end must be after start` };
+    out.windows.push({ days: [...new Set(days)], start, end });
+  }
+
+  const blackouts = input.blackout_dates || [];
+  if (!Array.isArray(blackouts)) return { error: "schedule.blackout_dates must be an array" };
+  const badDate = blackouts.find((d) => !DATE_RE.test(String(d).trim()));
+  if (badDate !== undefined) return { error: `schedule.blackout_dates: "${badDate}" is not YYYY-MM-DD` };
+  out.blackout_dates = blackouts.map((d) => String(d).trim());
+
+  return { schedule: out };
+}
+
+module.exports = { DAYS, scheduleState, describeSchedule, normalizeSchedule, isValidTimezone };
@@ -0,0 +1,61 @@
+// src/lib/storeMatch.js
+
+/**
+ * Which config/stores.json codes an offer can be redeemed at.
+ *
+ * Stores are matched the same way /admin/sync-stores links offer addresses to
+ * store codes: brand + address label, case-insensitive. Store labels written as
+ * "Brand — address" are compared by their address part.
+ *
+ * Precedence:
+ *   1. offer.store_codes (explicit list)
+ *   2. offer.franchise_wide === true -> every store of the offer's brand (admin override)
+ *   3. offer.addresses matched by brand + label
+ *   4. no addresses -> every store of the offer's brand
+ */
+
+const storeKey = (brand, label) => `${(brand || "").trim()}|${(label || "").trim()}`.toLowerCase();
+const brandKey = (brand) => String(brand || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function storeMeta(code, meta) {
+  if (typeof meta === "string") return { code, brand: meta, label: meta };
+  return { code, brand: meta.brand || "", label: meta.label || meta.brand || code };
+}
+
+function offerBrand(offer) {
+  return (offer && (offer.restaurant || offer.brand)) || "";
+}
+
+function addressLabel(a) {
+  return typeof a === "string" ? a : (a && a.label) || "";
+}
+
+// "Sonic — 6481 Eldorado Pkwy, …" -> "6481 Eldorado Pkwy, …"
+function addressPart(label) {
+  return String(label || "").split(" — ").pop();
+}
+
+/**
+ * @param {object} offer
+ * @param {object} stores config/stores.json map { code: meta }
+ * @returns {{ rule: "explicit"|"franchise"|"addresses"|"brand", stores: {code, brand, label}[] }}
+ */
+function eligibleStores(offer, stores) {
+  const all = Object.entries(stores || {}).map(([code, meta]) => storeMeta(code, meta));
+  const brand = offerBrand(offer);
+  const sameBrand = all.filter((s) => brandKey(s.brand) === brandKey(brand));
+
+  if (Array.isArray(offer && offer.store_codes) && offer.store_codes.length) {
+    const codes = new Set(offer.store_codes);
+    return { rule: "explicit", stores: all.filter((s) => codes.has(s.code)) };
+  }
+  if (offer && offer.franchise_wide === true) return { rule: "franchise", stores: sameBrand };
+
+  const labels = (Array.isArray(offer && offer.addresses) ? offer.addresses : []).map(addressLabel).filter(Boolean);
+  if (!labels.length) return { rule: "brand", stores: sameBrand };
+
+  const keys = new Set(labels.map((label) => storeKey(brand, addressPart(label))));
+  return { rule: "addresses", stores: sameBrand.filter((s) => keys.has(storeKey(brand, addressPart(s.label)))) };
+}
+
+module.exports = { storeKey, brandKey, eligibleStores };
@@ -10,4 +10,20 @@ const adminLimiter = rateLimit({
   message: { error: "Too many admin requests. Try again later." },
 });
 
-module.exports = { adminLimiter };
+// Staff PIN guessing, counted per cashier device (requireCashier in index.js sets
+// req.cashierDevice) so a stolen device key cannot walk the PIN space. Only failed
+// attempts count: a request that gets past the PIN check is given back.
+const pinLimiter = rateLimit({
+  windowMs: env.PIN_RL_WINDOW_MS,
+  max: env.PIN_RL_MAX,
+  standardHeaders: true,
+  legacyHeaders: false,
+  requestPropertyName: "pinRateLimit",
+  keyGenerator: (req) => req.cashierDevice.id,
+  skip: (req) => !req.cashierDevice || !String(req.header("x-staff-pin") || "").trim(),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.cashier),
+  message: { error: "Too many wrong staff PINs on this device. Try again later.", code: "pin_locked" },
+});
+
+module.exports = { adminLimiter, pinLimiter };
@@ -0,0 +1,79 @@
+// src/pos/clover.js
+
+/**
+ * Clover REST API adapter (v3).
+ *   GET    /v3/merchants/{mId}/orders/{orderId}?expand=discounts     -> order
+ *   GET    /v3/merchants/{mId}/orders?filter=state=open&orderBy=createdTime DESC&limit=2  (several: refused)
+ *   POST   /v3/merchants/{mId}/orders/{orderId}/discounts            -> { id, name, amount | percentage }
+ *   DELETE /v3/merchants/{mId}/orders/{orderId}/discounts/{discountId}
+ * Amounts are cents and discounts are negative (-500 = $5 off). `ref` is a saved
+ * merchant discount id (sent as discount.id); otherwise name + amount/percentage.
+ */
+
+const { posRequest, PosError } = require("./http");
+
+function toOrder(o) {
+  return {
+    id: o.id,
+    state: String(o.state || "").toLowerCase(),
+    total_cents: o.total !== undefined ? o.total : null,
+    discounts: ((o.discounts && o.discounts.elements) || []).map((d) => ({
+      id: d.id,
+      name: d.name || "",
+      amount_cents: d.amount !== undefined ? Math.abs(d.amount) : null,
+      percent: d.percentage !== undefined ? d.percentage : null,
+    })),
+    raw: o,
+  };
+}
+
+/**
+ * @param {{ token: string, baseUrl: string, merchant_id: string }} config
+ */
+function createCloverAdapter({ token, baseUrl, merchant_id: merchantId }) {
+  if (!merchantId) throw new Error("Clover stores need pos.merchant_id");
+  const headers = { Authorization: `Bearer ${token}` };
+  const base = `/v3/merchants/${encodeURIComponent(merchantId)}`;
+  const call = (method, path, opts = {}) => posRequest(baseUrl, method, base + path, { headers, ...opts });
+
+  async function fetchOrder(orderId) {
+    if (orderId) return call("GET", `/orders/${encodeURIComponent(orderId)}`, { query: { expand: "discounts" } });
+    const { elements } = await call("GET", "/orders", {
+      query: { filter: "state=open", orderBy: "createdTime DESC", limit: 2, expand: "discounts" },
+    });
+    if (!elements || !elements.length) throw new PosError("No open order for this merchant", { code: "order_not_found" });
+    if (elements.length > 1) {
+      throw new PosError("More than one open order for this merchant; send the order id", { code: "order_ambiguous" });
+    }
+    return elements[0];
+  }
+
+  return {
+    name: "clover",
+
+    async lookupOrder({ orderId } = {}) {
+      return toOrder(await fetchOrder(orderId));
+    },
+
+    async applyDiscount({ orderId, discount }) {
+      const order = await fetchOrder(orderId);
+      if (String(order.state || "").toLowerCase() !== "open") {
+        throw new PosError(`Order ${order.id} is ${order.state}`, { code: "order_closed" });
+      }
+      const body = { name: discount.name };
+      if (discount.ref) body.discount = { id: discount.ref };
+      if (discount.percent) body.percentage = discount.percent;
+      else if (discount.amount_cents) body.amount = -Math.abs(discount.amount_cents);
+
+      const added = await call("POST", `/orders/${encodeURIComponent(order.id)}/discounts`, { body });
+      return { order_id: order.id, discount_id: added.id, order: toOrder(await fetchOrder(order.id)) };
+    },
+
+    async voidDiscount({ orderId, discountId }) {
+      await call("DELETE", `/orders/${encodeURIComponent(orderId)}/discounts/${encodeURIComponent(discountId)}`);
+      return { order_id: orderId, discount_id: discountId, removed: true };
+    },
+  };
+}
+
+module.exports = { createCloverAdapter };
@@ -0,0 +1,69 @@
+// src/pos/http.js
+
+/**
+ * Small JSON-over-HTTP helper shared by the POS adapters.
+ * Non-2xx responses throw a PosError carrying the HTTP status and the POS's own message.
+ */
+
+const { env } = require("../config/env");
+
+class PosError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, code?: string, retryable?: boolean }} [info]
+   */
+  constructor(message, { status = 0, code = "pos_error", retryable = false } = {}) {
+    super(message);
+    this.name = "PosError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * @param {string} baseUrl e.g. "https://connect.squareup.com"
+ * @param {string} method
+ * @param {string} path
+ * @param {{ headers?: object, body?: any, query?: object }} [opts]
+ * @returns {Promise<any>} parsed JSON (null for empty bodies)
+ */
+async function posRequest(baseUrl, method, path, { headers = {}, body, query } = {}) {
+  const url = new URL(path, baseUrl.replace(/\/+$/, "") + "/");
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+  }
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: { Accept: "application/json", ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(env.POS_TIMEOUT_MS),
+    });
+  } catch (e) {
+    throw new PosError(`POS unreachable: ${e.message}`, { code: "pos_unreachable", retryable: true });
+  }
+
+  const text = await res.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { message: text };
+  }
+  if (!res.ok) {
+    const message =
+      (data && (data.message || (data.errors && data.errors[0] && (data.errors[0].detail || data.errors[0].message)))) ||
+      `HTTP ${res.status}`;
+    throw new PosError(message, {
+      status: res.status,
+      code: res.status === 404 ? "order_not_found" : res.status === 401 || res.status === 403 ? "pos_auth" : "pos_error",
+      retryable: res.status >= 500 || res.status === 429,
+    });
+  }
+  return data;
+}
+
+module.exports = { PosError, posRequest };
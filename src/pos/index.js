@@ -0,0 +1,83 @@
+// src/pos/index.js
+
+/**
+ * POS adapter layer: redemptions at a store with a `pos` block in config/stores.json
+ * push the discount straight to the store's POS instead of the robotjs bridge.
+ *
+ * stores.json:
+ *   "popeyes-mckinney-121": {
+ *     "brand": "Popeyes", "label": "…",
+ *     "pos": {
+ *       "adapter": "square",           // square | toast | clover | mock
+ *       "location_id": "L8X…",         // square; toast: restaurant_guid; clover: merchant_id
+ *       "token_env": "SQUARE_TOKEN",   // optional: env var holding this store's token (default per adapter)
+ *       "base_url": "http://…"         // optional: override the API URL (mock servers)
+ *     }
+ *   }
+ *
+ * offers.json — what to put on the ticket:
+ *   "pos_discount": { "name": "Free 2pc Combo", "percent": 100 | "amount_cents": 899,
+ *                     "ref": "<POS discount id>" | { "square": "…", "toast": "…", "clover": "…" } }
+ *
+ * Adapter interface (all async; errors are PosError from ./http):
+ *   lookupOrder({ orderId? })                       -> order (no id: the store's one open order; with
+ *                                                      several open, PosError code "order_ambiguous")
+ *   applyDiscount({ orderId?, discount, idempotencyKey, externalId })
+ *                                                   -> { order_id, discount_id, check_id?, order }
+ *   voidDiscount({ orderId, discountId, checkId?, idempotencyKey })
+ *                                                   -> { order_id, discount_id, removed: true }
+ * order = { id, state: "open"|"closed"|…, total_cents, discounts: [{ id, name, amount_cents, percent }], raw }
+ */
+
+const { env } = require("../config/env");
+const { PosError } = require("./http");
+const { createSquareAdapter } = require("./square");
+const { createToastAdapter } = require("./toast");
+const { createCloverAdapter } = require("./clover");
+const { createMockAdapter } = require("./mock");
+
+const ADAPTERS = {
+  square: { create: createSquareAdapter, tokenEnv: "SQUARE_TOKEN", baseUrl: () => env.SQUARE_API_URL },
+  toast: { create: createToastAdapter, tokenEnv: "TOAST_TOKEN", baseUrl: () => env.TOAST_API_URL },
+  clover: { create: createCloverAdapter, tokenEnv: "CLOVER_TOKEN", baseUrl: () => env.CLOVER_API_URL },
+  mock: { create: createMockAdapter, tokenEnv: null, baseUrl: () => "" },
+};
+
+/**
+ * Adapter for a store, or null when the store has no `pos` block (bridge / manual stores).
+ * Throws on a misconfigured block (unknown adapter, missing token or ids).
+ */
+function adapterFor(storeId, storeMeta) {
+  const pos = storeMeta && typeof storeMeta === "object" ? storeMeta.pos : null;
+  if (!pos || !pos.adapter) return null;
+  const def = ADAPTERS[pos.adapter];
+  if (!def) throw new Error(`Store ${storeId}: unknown pos.adapter "${pos.adapter}"`);
+
+  const tokenEnv = pos.token_env || def.tokenEnv;
+  const token = tokenEnv ? process.env[tokenEnv] || env[tokenEnv] || "" : "";
+  if (tokenEnv && !token) throw new Error(`Store ${storeId}: ${tokenEnv} is not set`);
+  return def.create({ ...pos, store_id: storeId, token, baseUrl: pos.base_url || def.baseUrl() });
+}
+
+/**
+ * The discount to push for an offer on a given adapter.
+ * @returns {{ discount: { name, percent?, amount_cents?, ref? } } | { error: string }}
+ */
+function discountFor(offer, offerId, adapterName) {
+  const d = offer && offer.pos_discount;
+  if (!d || typeof d !== "object") return { error: `Offer ${offerId} has no pos_discount for the store's POS` };
+  const ref = d.ref && typeof d.ref === "object" ? d.ref[adapterName] : d.ref;
+  const percent = Number(d.percent) || null;
+  const amount = Number.isInteger(Number(d.amount_cents)) && Number(d.amount_cents) > 0 ? Number(d.amount_cents) : null;
+  if (!ref && !percent && !amount) return { error: `Offer ${offerId}: pos_discount needs ref, percent or amount_cents` };
+  return {
+    discount: {
+      name: String(d.name || (offer && offer.title) || offerId).slice(0, 60),
+      ...(percent ? { percent } : {}),
+      ...(amount ? { amount_cents: amount } : {}),
+      ...(ref ? { ref: String(ref) } : {}),
+    },
+  };
+}
+
+module.exports = { ADAPTERS, adapterFor, discountFor, PosError };
@@ -0,0 +1,67 @@
+// src/pos/mock.js
+
+/**
+ * In-process POS for demos and local runs: one open order per store, kept in memory.
+ * pos.fail = "apply" | "lookup" | "void" makes that call throw, to exercise the
+ * failure paths (e.g. the redemption being reversed when the POS refuses the discount).
+ */
+
+const crypto = require("crypto");
+const { PosError } = require("./http");
+
+const orders = new Map(); // `${storeKey}:${orderId}` -> order
+
+function seed(storeKey) {
+  const id = `mock-${storeKey}`;
+  const key = `${storeKey}:${id}`;
+  if (!orders.has(key)) orders.set(key, { id, state: "open", total_cents: 1500, discounts: [] });
+  return orders.get(key);
+}
+
+/**
+ * @param {{ store_id?: string, fail?: string }} config
+ */
+function createMockAdapter({ store_id: storeKey = "default", fail = "" } = {}) {
+  function find(orderId) {
+    if (!orderId) return seed(storeKey);
+    const order = orders.get(`${storeKey}:${orderId}`);
+    if (!order) throw new PosError(`Order ${orderId} not found`, { status: 404, code: "order_not_found" });
+    return order;
+  }
+  const failing = (step) => {
+    if (fail === step) throw new PosError(`Mock POS: ${step} failed`, { status: 500, code: "pos_error" });
+  };
+  const view = (o) => ({ ...o, discounts: o.discounts.map((d) => ({ ...d })), raw: null });
+
+  return {
+    name: "mock",
+
+    async lookupOrder({ orderId } = {}) {
+      failing("lookup");
+      return view(find(orderId));
+    },
+
+    async applyDiscount({ orderId, discount }) {
+      failing("apply");
+      const order = find(orderId);
+      if (order.state !== "open") throw new PosError(`Order ${order.id} is ${order.state}`, { code: "order_closed" });
+      const line = {
+        id: `disc-${crypto.randomBytes(4).toString("hex")}`,
+        name: discount.name,
+        amount_cents: discount.amount_cents || null,
+        percent: discount.percent || null,
+      };
+      order.discounts.push(line);
+      return { order_id: order.id, discount_id: line.id, order: view(order) };
+    },
+
+    async voidDiscount({ orderId, discountId }) {
+      failing("void");
+      const order = find(orderId);
+      order.discounts = order.discounts.filter((d) => d.id !== discountId);
+      return { order_id: order.id, discount_id: discountId, removed: true };
+    },
+  };
+}
+
+module.exports = { createMockAdapter };
@@ -0,0 +1,95 @@
+// src/pos/square.js
+
+/**
+ * Square Orders API adapter.
+ *   GET  /v2/orders/{order_id}          -> { order }
+ *   POST /v2/orders/search              -> { orders } (the OPEN order at the location; refused when
+ *                                          there are several, e.g. more than one register)
+ *   PUT  /v2/orders/{order_id}          -> sparse update { order: { version, discounts }, idempotency_key }
+ *                                          removing uses fields_to_clear: ["discounts[<uid>]"]
+ * Orders are versioned: every update sends the version just read.
+ * Discounts are ORDER-scoped; `ref` is a catalog DISCOUNT object id.
+ */
+
+const crypto = require("crypto");
+const { posRequest, PosError } = require("./http");
+
+const SQUARE_VERSION = "2024-01-18";
+
+function toOrder(o) {
+  return {
+    id: o.id,
+    state: String(o.state || "").toLowerCase(),
+    total_cents: o.total_money ? o.total_money.amount : null,
+    discounts: (o.discounts || []).map((d) => ({
+      id: d.uid,
+      name: d.name || "",
+      amount_cents: d.amount_money ? d.amount_money.amount : null,
+      percent: d.percentage ? Number(d.percentage) : null,
+    })),
+    raw: o,
+  };
+}
+
+/**
+ * @param {{ token: string, baseUrl: string, location_id: string }} config
+ */
+function createSquareAdapter({ token, baseUrl, location_id: locationId }) {
+  if (!locationId) throw new Error("Square stores need pos.location_id");
+  const headers = { Authorization: `Bearer ${token}`, "Square-Version": SQUARE_VERSION };
+  const call = (method, path, body) => posRequest(baseUrl, method, path, { headers, body });
+
+  async function fetchOrder(orderId) {
+    if (orderId) return (await call("GET", `/v2/orders/${encodeURIComponent(orderId)}`)).order;
+    const { orders } = await call("POST", "/v2/orders/search", {
+      location_ids: [locationId],
+      query: {
+        filter: { state_filter: { states: ["OPEN"] } },
+        sort: { sort_field: "CREATED_AT", sort_order: "DESC" },
+      },
+      limit: 2,
+    });
+    if (!orders || !orders.length) throw new PosError("No open order at this location", { code: "order_not_found" });
+    if (orders.length > 1) {
+      throw new PosError("More than one open order at this location; send the order id", { code: "order_ambiguous" });
+    }
+    return orders[0];
+  }
+
+  return {
+    name: "square",
+
+    async lookupOrder({ orderId } = {}) {
+      return toOrder(await fetchOrder(orderId));
+    },
+
+    async applyDiscount({ orderId, discount, idempotencyKey }) {
+      const order = await fetchOrder(orderId);
+      if (order.state !== "OPEN") throw new PosError(`Order ${order.id} is ${order.state}`, { code: "order_closed" });
+
+      const uid = `acp-${crypto.randomBytes(6).toString("hex")}`;
+      const line = { uid, name: discount.name, scope: "ORDER" };
+      if (discount.ref) line.catalog_object_id = discount.ref;
+      else if (discount.percent) line.percentage = String(discount.percent);
+      else line.amount_money = { amount: discount.amount_cents, currency: order.total_money ? order.total_money.currency : "USD" };
+
+      const { order: updated } = await call("PUT", `/v2/orders/${encodeURIComponent(order.id)}`, {
+        order: { location_id: order.location_id || locationId, version: order.version, discounts: [line] },
+        idempotency_key: idempotencyKey,
+      });
+      return { order_id: updated.id, discount_id: uid, order: toOrder(updated) };
+    },
+
+    async voidDiscount({ orderId, discountId, idempotencyKey }) {
+      const order = await fetchOrder(orderId);
+      await call("PUT", `/v2/orders/${encodeURIComponent(order.id)}`, {
+        order: { location_id: order.location_id || locationId, version: order.version },
+        fields_to_clear: [`discounts[${discountId}]`],
+        idempotency_key: idempotencyKey,
+      });
+      return { order_id: order.id, discount_id: discountId, removed: true };
+    },
+  };
+}
+
+module.exports = { createSquareAdapter };
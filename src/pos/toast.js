@@ -0,0 +1,103 @@
+// src/pos/toast.js
+
+/**
+ * Toast Orders API adapter (orders/v2).
+ *   GET    /orders/v2/orders/{orderGuid}                               -> order with checks[]
+ *   GET    /orders/v2/ordersBulk?startDate&endDate&pageSize            -> today's orders (the one open order is
+ *                                                                         used; refused when there are several)
+ *   POST   /orders/v2/orders/{orderGuid}/checks/{checkGuid}/appliedDiscounts
+ *                                                                      -> [{ discount: { guid }, ... }] -> updated order
+ *   DELETE /orders/v2/orders/{orderGuid}/checks/{checkGuid}/appliedDiscounts/{appliedDiscountGuid}
+ * Every call carries Toast-Restaurant-External-ID (the restaurant GUID).
+ * Toast only applies discounts configured in the restaurant's menu setup, so `ref`
+ * (a discount GUID) is required; open-amount discounts send discountAmount / discountPercent.
+ * Discounts go on the first open check of the order.
+ */
+
+const { posRequest, PosError } = require("./http");
+
+const openCheck = (order) => (order.checks || []).find((c) => !c.closedDate && !c.voided && !c.deleted);
+
+function toOrder(o) {
+  const check = openCheck(o) || (o.checks || [])[0] || {};
+  return {
+    id: o.guid,
+    state: o.voided ? "voided" : o.closedDate || !openCheck(o) ? "closed" : "open",
+    total_cents: check.totalAmount !== undefined ? Math.round(check.totalAmount * 100) : null,
+    check_id: check.guid || null,
+    discounts: (check.appliedDiscounts || []).map((d) => ({
+      id: d.guid,
+      name: d.name || "",
+      amount_cents: d.discountAmount !== undefined ? Math.round(d.discountAmount * 100) : null,
+      percent: d.discountPercent !== undefined ? d.discountPercent : null,
+    })),
+    raw: o,
+  };
+}
+
+/**
+ * @param {{ token: string, baseUrl: string, restaurant_guid: string }} config
+ */
+function createToastAdapter({ token, baseUrl, restaurant_guid: restaurantGuid }) {
+  if (!restaurantGuid) throw new Error("Toast stores need pos.restaurant_guid");
+  const headers = { Authorization: `Bearer ${token}`, "Toast-Restaurant-External-ID": restaurantGuid };
+  const call = (method, path, opts = {}) => posRequest(baseUrl, method, path, { headers, ...opts });
+
+  async function fetchOrder(orderId) {
+    if (orderId) return call("GET", `/orders/v2/orders/${encodeURIComponent(orderId)}`);
+    const end = new Date();
+    const start = new Date(end.getTime() - 24 * 3600 * 1000);
+    const orders = await call("GET", "/orders/v2/ordersBulk", {
+      query: { startDate: start.toISOString(), endDate: end.toISOString(), pageSize: 100 },
+    });
+    const open = (orders || [])
+      .filter((o) => !o.voided && !o.closedDate && openCheck(o))
+      .sort((a, b) => String(b.openedDate || "").localeCompare(String(a.openedDate || "")));
+    if (!open.length) throw new PosError("No open order at this restaurant", { code: "order_not_found" });
+    if (open.length > 1) {
+      throw new PosError("More than one open order at this restaurant; send the order id", { code: "order_ambiguous" });
+    }
+    return open[0];
+  }
+
+  return {
+    name: "toast",
+
+    async lookupOrder({ orderId } = {}) {
+      return toOrder(await fetchOrder(orderId));
+    },
+
+    async applyDiscount({ orderId, discount, externalId }) {
+      if (!discount.ref) throw new PosError("Toast needs pos_discount.ref (the discount GUID)", { code: "no_pos_discount" });
+      const order = await fetchOrder(orderId);
+      const check = openCheck(order);
+      if (!check) throw new PosError(`Order ${order.guid} has no open check`, { code: "order_closed" });
+
+      const applied = { discount: { guid: discount.ref, entityType: "Discount" }, externalId };
+      if (discount.amount_cents) applied.discountAmount = discount.amount_cents / 100;
+      else if (discount.percent) applied.discountPercent = discount.percent;
+
+      const updated = await call(
+        "POST",
+        `/orders/v2/orders/${encodeURIComponent(order.guid)}/checks/${encodeURIComponent(check.guid)}/appliedDiscounts`,
+        { body: [applied] }
+      );
+      const after = toOrder(updated);
+      const mine = (openCheck(updated) || check).appliedDiscounts || [];
+      const added = mine.find((d) => d.externalId === externalId) || mine[mine.length - 1] || {};
+      return { order_id: after.id, check_id: check.guid, discount_id: added.guid, order: after };
+    },
+
+    async voidDiscount({ orderId, checkId, discountId }) {
+      const order = await fetchOrder(orderId);
+      const check = checkId || (openCheck(order) || {}).guid;
+      await call(
+        "DELETE",
+        `/orders/v2/orders/${encodeURIComponent(order.guid)}/checks/${encodeURIComponent(check)}/appliedDiscounts/${encodeURIComponent(discountId)}`
+      );
+      return { order_id: order.guid, discount_id: discountId, removed: true };
+    },
+  };
+}
+
+module.exports = { createToastAdapter };
@@ -1,5 +1,6 @@
 // src/routes/admin.js
 const router = require("express").Router();
+const { env } = require("../config/env");
 const { requireAdminApiKey } = require("../middleware/adminAuth");
 const { adminLimiter } = require("../middleware/rateLimiters");
 const { resetDemoData } = require("../data/demoSeed");
@@ -9,6 +10,7 @@ router.use(adminLimiter);
 router.use(requireAdminApiKey);
 
 router.post("/reset-demo", async (req, res, next) => {
+  if (!env.DEMO_MODE) return res.status(409).json({ error: "Demo mode is off (DEMO_MODE=true)" });
   try {
     await resetDemoData();
     invalidateOffersCache();
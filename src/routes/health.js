@@ -1,6 +1,6 @@
 // src/routes/health.js
 const express = require("express");
-const { Pool } = require("pg");
+const { getPool } = require("../data/db");
 
 const router = express.Router();
 
@@ -10,18 +10,9 @@ router.get("/", (_req, res) => {
   res.json({ ok: true, ts: new Date().toISOString() });
 });
 
-// Render-safe PG pool (created once per process)
-const pool = process.env.DATABASE_URL
-  ? new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl: process.env.DATABASE_URL.includes("render.com")
-        ? { rejectUnauthorized: false }
-        : undefined,
-    })
-  : null;
-
 router.get("/db", async (_req, res) => {
   try {
+    const pool = getPool();
     if (!pool) {
       return res.status(500).json({
         ok: false,